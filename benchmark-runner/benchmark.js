@@ -1,8 +1,15 @@
 #!/usr/bin/env node
 
-const { createSampleDirectories } = require('./scripts/setup');
+const { createSampleDirectories, createSample } = require('./scripts/setup');
 const ClaudeSessionRunner = require('./scripts/runner');
 const BenchmarkAnalyzer = require('./scripts/analyzer');
+const { resolveAgent } = require('./scripts/agents');
+const { getTrialCount } = require('./scripts/sessions');
+const { replaySession } = require('./scripts/recordings');
+const { isScorable } = require('./scripts/failures');
+const { getBasePath, getWorkspacePath, createWorkspace, removeRunWorkspaces } = require('./scripts/workspaces');
+const { loadBaseline } = require('./scripts/baseline');
+const { resolveTaskId, loadTask, listTasks } = require('./scripts/tasks');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -31,14 +38,14 @@ class BenchmarkOrchestrator {
           console.log('   ✅ Existing samples cleared');
         }
         
-        await createSampleDirectories();
+        await createSampleDirectories(options);
       } else {
         console.log('\\n📁 Step 1: Skipping setup (--skip-setup flag)');
       }
       
       // Step 2: Initialize runner
       console.log('\\n🤖 Step 2: Initializing Claude Code sessions...');
-      await this.runner.initialize();
+      await this.runner.initialize({ record: options.record });
       
       // Step 3: Run scenarios
       console.log('\\n🎯 Step 3: Running benchmark scenarios...');
@@ -66,6 +73,8 @@ class BenchmarkOrchestrator {
         console.log('\\n📊 Step 5: Skipping analysis (--skip-analysis flag)');
       }
       
+      await this.runner.cleanupWorkspaces();
+      
       // Step 6: Cleanup
       if (options.cleanup) {
         console.log('\\n🧹 Step 6: Cleaning up sample directories...');
@@ -81,7 +90,7 @@ class BenchmarkOrchestrator {
       
       console.log('\\n✨ Benchmark Complete!');
       console.log(`   Total Duration: ${totalDuration}s`);
-      console.log(`   Scenarios Run: ${results.length}`);
+      console.log(`   Sessions Run: ${results.length}`);
       
       return { results, totalDuration };
       
@@ -102,11 +111,11 @@ class BenchmarkOrchestrator {
         if (fs.existsSync(samplesPath)) {
           await fs.remove(samplesPath);
         }
-        await createSampleDirectories();
+        await createSampleDirectories(options);
       }
       
       // Initialize and run
-      await this.runner.initialize();
+      await this.runner.initialize({ record: options.record });
       const result = await this.runner.runSingleScenario(scenarioId);
       await this.runner.saveResults();
       
@@ -120,6 +129,8 @@ class BenchmarkOrchestrator {
         this.analyzer.printSummary(report);
       }
       
+      await this.runner.cleanupWorkspaces();
+      
       console.log(`\\n✅ Scenario ${scenarioId} completed successfully`);
       return result;
       
@@ -129,6 +140,114 @@ class BenchmarkOrchestrator {
     }
   }
 
+  // Continues an interrupted run in place: only sessions that are missing or
+  // failed run again (or, with retryFailed, only errored/timed-out ones), each
+  // in a fresh workspace, and everything merges into the same results
+  async resumeBenchmark(runId, options = {}) {
+    console.log(`🔄 Resuming benchmark run: ${runId}`);
+    
+    await this.runner.initialize({ runId, record: options.record });
+    const pending = this.runner.getPendingSessions({ retryFailed: options.retryFailed });
+    
+    if (pending.length === 0) {
+      console.log('✅ Nothing to resume: every session already has a result');
+    } else {
+      await this.ensurePreparedSamples(pending.map(session => session.scenario), options);
+      await this.runner.runAllScenarios(pending);
+    }
+    
+    const resultsFile = await this.runner.saveResults();
+    this.runner.printSummary();
+    
+    if (!options.skipAnalysis) {
+      await this.analyzer.loadRunResults(this.runner.runId);
+      const validationResults = await this.analyzer.runValidationTests();
+      const comparison = this.analyzer.generateComparison(validationResults);
+      const report = this.analyzer.generateReport(comparison, validationResults);
+      await this.analyzer.saveReport(report);
+      this.analyzer.printSummary(report);
+    }
+    
+    await this.runner.cleanupWorkspaces();
+    
+    return resultsFile;
+  }
+
+  // Creates the prepared sample of any of these scenarios that lacks one
+  async ensurePreparedSamples(scenarios, options = {}) {
+    const missing = [...new Map(scenarios.map(scenario => [scenario.id, scenario])).values()]
+      .filter(scenario => !fs.existsSync(getBasePath(scenario.id)));
+    
+    for (const scenario of missing) {
+      console.log(`📁 Preparing sample for ${scenario.id}...`);
+      await createSample(scenario, getBasePath(scenario.id), scenario.id, options);
+    }
+  }
+
+  // Rebuilds every recorded session of a run from the template plus its
+  // recorded patch, then re-runs validation and analysis without any agent
+  async replayRun(runId, options = {}) {
+    console.log(`⏪ Replaying benchmark run: ${runId}`);
+    
+    const results = await this.analyzer.loadRunResults(runId);
+    if (!results.results.some(result => result.recording)) {
+      throw new Error(`Run ${runId} has no recorded sessions (run the benchmark with --record)`);
+    }
+    
+    const runName = path.basename(this.analyzer.runDir);
+    await this.ensurePreparedSamples(results.results
+      .filter(result => result.recording)
+      .map(result => results.config.scenarios.find(s => s.id === result.scenarioId)), options);
+    
+    const replayed = [];
+    for (const result of results.results) {
+      if (!result.recording) {
+        // Infrastructure failures are never recorded but still belong in the report
+        if (isScorable(result)) {
+          console.warn(`   ⚠️  ${result.sessionId} was not recorded, leaving it out`);
+        } else {
+          replayed.push(result);
+        }
+        continue;
+      }
+      
+      console.log(`📁 Rebuilding ${result.sessionId} from ${result.recording}`);
+      const workspace = await createWorkspace(getBasePath(result.scenarioId), getWorkspacePath(`${runName}-replay`, result.sessionId));
+      
+      const { stages } = await replaySession(path.join(this.analyzer.runDir, result.recording), workspace);
+      stages.forEach(({ stage, snapshotCommit }) => {
+        result.stages.find(entry => entry.stage === stage).snapshotCommit = snapshotCommit;
+      });
+      result.projectPath = workspace;
+      replayed.push(result);
+    }
+    
+    results.results = replayed;
+    results.replayedAt = new Date().toISOString();
+    
+    if (!options.skipAnalysis) {
+      const validationResults = await this.analyzer.runValidationTests();
+      const comparison = this.analyzer.generateComparison(validationResults);
+      const report = this.analyzer.generateReport(comparison, validationResults);
+      await this.analyzer.saveReport(report);
+      this.analyzer.printSummary(report);
+    }
+    
+    if (results.config.settings.cleanupAfterRun) {
+      await removeRunWorkspaces(`${runName}-replay`);
+    }
+    
+    console.log(`✅ Replayed ${replayed.filter(result => result.recording).length} sessions of ${runId}`);
+  }
+
+  async latestRunId() {
+    const resultsPath = path.join(__dirname, 'results');
+    const runDirs = fs.existsSync(resultsPath)
+      ? fs.readdirSync(resultsPath).filter(dir => dir.startsWith('run-')).sort()
+      : [];
+    return runDirs.length > 0 ? runDirs[runDirs.length - 1] : null;
+  }
+
   async listScenarios() {
     const configPath = path.join(__dirname, 'config/ClaudeMapper.json');
     const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
@@ -148,11 +267,28 @@ class BenchmarkOrchestrator {
         console.log(`   Config: Not specified`);
       }
       
+      console.log(`   Task: ${resolveTaskId(config, scenario)}`);
+      console.log(`   Agent: ${resolveAgent(config, scenario).name}`);
+      console.log(`   Trials: ${getTrialCount(config, scenario)}`);
+      
       console.log('');
     });
     
+    console.log('Tasks:');
+    listTasks().forEach(taskId => {
+      const task = loadTask(taskId);
+      console.log(`   - ${task.id}: ${task.name} (${task.validators.length} checks${task.hiddenTestsPath ? ', hidden tests' : ''})`);
+    });
+    console.log('');
+    
     console.log('Settings:');
+    console.log(`   Default Task: ${resolveTaskId(config, null)}`);
+    console.log(`   Default Agent: ${config.settings.agent || 'claude'}`);
+    console.log(`   Trials: ${config.settings.trials || 1}`);
     console.log(`   Parallel Execution: ${config.settings.parallelExecution}`);
+    if (config.settings.parallelExecution) {
+      console.log(`   Max Concurrency: ${config.settings.maxConcurrency ?? 4}`);
+    }
     console.log(`   Timeout: ${config.settings.timeoutMinutes} minutes`);
     console.log(`   Cleanup After Run: ${config.settings.cleanupAfterRun}`);
   }
@@ -166,9 +302,17 @@ class BenchmarkOrchestrator {
     
     // Check sample directories
     if (fs.existsSync(samplesPath)) {
-      const samples = fs.readdirSync(samplesPath);
+      const samples = fs.readdirSync(samplesPath)
+        .filter(sample => fs.statSync(path.join(samplesPath, sample)).isDirectory());
+      const baseline = await loadBaseline();
       console.log(`✅ Sample directories: ${samples.length} found`);
-      samples.forEach(sample => console.log(`   - ${sample}`));
+      samples.forEach(sample => {
+        const entry = baseline?.scenarios?.[sample];
+        const health = !entry
+          ? 'no baseline'
+          : entry.healthy ? 'baseline healthy' : `baseline broken: ${Object.keys(entry.checks).filter(name => !entry.checks[name].passed).join(', ')}`;
+        console.log(`   - ${sample} (${health})`);
+      });
     } else {
       console.log('❌ No sample directories found (run setup first)');
     }
@@ -205,6 +349,11 @@ async function main() {
     skipSetup: args.includes('--skip-setup'),
     skipAnalysis: args.includes('--skip-analysis'),
     cleanup: args.includes('--cleanup'),
+    retryFailed: args.includes('--retry-failed'),
+    record: args.includes('--record') || undefined,
+    offline: args.includes('--offline'),
+    run: args.find(arg => arg.startsWith('--run='))?.split('=')[1]
+      || (args.includes('--run') ? args[args.indexOf('--run') + 1] : undefined),
     scenario: args.find(arg => arg.startsWith('--scenario='))?.split('=')[1],
     prompt: args.find(arg => arg.startsWith('--prompt='))?.split('=')[1]
   };
@@ -233,14 +382,41 @@ async function main() {
         await orchestrator.runSingleScenario(scenarioId, options);
         break;
         
+      case 'resume': {
+        const runId = args[1] && !args[1].startsWith('--') ? args[1] : await orchestrator.latestRunId();
+        if (!runId) {
+          console.error('❌ No benchmark run to resume');
+          console.log('Use: node benchmark.js resume <run-id> [--retry-failed]');
+          process.exit(1);
+        }
+        await orchestrator.resumeBenchmark(runId, options);
+        break;
+      }
+        
+      case 'replay': {
+        const runId = args[1] && !args[1].startsWith('--') ? args[1] : await orchestrator.latestRunId();
+        if (!runId) {
+          console.error('❌ No benchmark run to replay');
+          console.log('Use: node benchmark.js replay <run-id>');
+          process.exit(1);
+        }
+        await orchestrator.replayRun(runId, options);
+        break;
+      }
+        
       case 'setup':
         console.log('📁 Setting up sample directories...');
-        await createSampleDirectories();
+        await createSampleDirectories(options);
         break;
         
       case 'analyze':
-        console.log('📊 Running analysis on latest results...');
-        await orchestrator.analyzer.loadLatestResults();
+        if (options.run) {
+          console.log(`📊 Running analysis on archived workspaces of ${options.run}...`);
+          await orchestrator.analyzer.loadRunResults(options.run, { archived: true });
+        } else {
+          console.log('📊 Running analysis on latest results...');
+          await orchestrator.analyzer.loadLatestResults();
+        }
         const validationResults = await orchestrator.analyzer.runValidationTests();
         const comparison = orchestrator.analyzer.generateComparison(validationResults);
         const report = orchestrator.analyzer.generateReport(comparison, validationResults);
@@ -265,6 +441,8 @@ Usage: node benchmark.js [command] [options]
 Commands:
   run, benchmark    Run full benchmark suite (default)
   scenario <id>     Run specific scenario only
+  resume [runId]    Resume an interrupted run (defaults to the latest run)
+  replay [runId]    Rebuild recorded sessions and re-run analysis without an agent
   setup            Setup sample directories only
   analyze          Analyze latest results only
   list             List available scenarios
@@ -276,6 +454,10 @@ Options:
   --skip-analysis   Skip result analysis
   --cleanup         Clean up sample directories after run
   --scenario=<id>   Run specific scenario (alternative to 'scenario' command)
+  --retry-failed    With resume: re-run only sessions that errored or timed out
+  --record          Save transcripts and workspace patches so the run can be replayed
+  --run <id>        With analyze: validate that run's archived workspaces
+  --offline         Set up samples from the dependency cache only (no npm registry)
   --prompt=<file>   Use custom prompt file
 
 Examples:
@@ -283,8 +465,14 @@ Examples:
   node benchmark.js --skip-setup              # Run without setup
   node benchmark.js scenario tdd-strict       # Run TDD scenario only
   node benchmark.js --scenario=minimal        # Run minimal scenario
+  node benchmark.js resume run-2024-01-01T00-00-00-000Z   # Resume a run
+  node benchmark.js resume --retry-failed     # Retry failures of the latest run
+  node benchmark.js --record                  # Run and record every session
+  node benchmark.js replay                    # Re-analyze the latest recorded run
   node benchmark.js setup                     # Setup only
+  node benchmark.js setup --offline           # Setup from the dependency cache
   node benchmark.js analyze                   # Analyze latest results
+  node benchmark.js analyze --run <run-id>    # Re-analyze an earlier run from its archives
   node benchmark.js list                      # List scenarios
   node benchmark.js status                    # Check status
 
@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from 'react';
+import './App.css';
+
+const NAME_STORAGE_KEY = 'benchmark-user-name';
+const NAME_PATTERN = /^[A-Za-z][A-Za-z' -]{0,39}$/;
+
+function loadStoredName() {
+  try {
+    return window.localStorage.getItem(NAME_STORAGE_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+function App() {
+  const [count, setCount] = useState(0);
+  const [name, setName] = useState(loadStoredName);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(NAME_STORAGE_KEY, name);
+    } catch (storageError) {
+      setError('Unable to save your name');
+    }
+  }, [name]);
+
+  const handleNameChange = (event) => {
+    const value = event.target.value;
+    if (value && !NAME_PATTERN.test(value)) {
+      setError('Name may only contain letters, spaces, hyphens and apostrophes');
+      return;
+    }
+    setError('');
+    setName(value);
+  };
+
+  const greeting = name ? `Hello ${name}` : 'Hello there';
+
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>Benchmark React App</h1>
+        <label htmlFor="user-name">Your name</label>
+        <input id="user-name" value={name} onChange={handleNameChange} />
+        {error && <p role="alert">{error}</p>}
+        <div className="counter">
+          <p>{greeting}, your count is: {count}</p>
+          <button onClick={() => setCount(count + 1)}>
+            Increment
+          </button>
+          <button onClick={() => setCount(count - 1)}>
+            Decrement
+          </button>
+          <button onClick={() => setCount(0)}>
+            Reset
+          </button>
+        </div>
+      </header>
+    </div>
+  );
+}
+
+export default App;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import App from '../src/App';
+
+describe('Name greeting', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('shows the default greeting when no name is entered', () => {
+    render(<App />);
+    expect(screen.getByText('Hello there, your count is: 0')).toBeInTheDocument();
+  });
+
+  test('personalizes the greeting and stores the name', () => {
+    render(<App />);
+    fireEvent.change(screen.getByLabelText('Your name'), { target: { value: 'Ada' } });
+    expect(screen.getByText('Hello Ada, your count is: 0')).toBeInTheDocument();
+    expect(window.localStorage.getItem('benchmark-user-name')).toBe('Ada');
+  });
+
+  test('rejects invalid names', () => {
+    render(<App />);
+    fireEvent.change(screen.getByLabelText('Your name'), { target: { value: '123' } });
+    expect(screen.getByRole('alert')).toBeInTheDocument();
+  });
+});
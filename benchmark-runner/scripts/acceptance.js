@@ -0,0 +1,103 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { runCommand } = require('./commands');
+
+// Hidden acceptance tests. A task's hidden-tests/ directory never exists in a
+// workspace while the agent works; after the session it is copied into the
+// workspace, run with the workspace's own Jest and removed again. Each test's
+// pass/fail is recorded, and the share that passed is the acceptance score.
+
+const ACCEPTANCE_DIR = '__benchmark_acceptance__';
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const FAILURE_MESSAGE_LENGTH = 500;
+
+function failedRun(error) {
+  return { total: 0, passed: 0, failed: 0, score: 0, tests: [], error };
+}
+
+// Flattens Jest's --json report into one entry per test. A test file that
+// failed to run at all (syntax error, missing module) counts as one failed test.
+function parseJestReport(report, acceptanceDir) {
+  const tests = [];
+
+  for (const suite of report.testResults || []) {
+    const file = path.relative(acceptanceDir, suite.name);
+    const assertions = suite.assertionResults || [];
+    if (assertions.length === 0 && (suite.status === 'failed' || suite.testExecError)) {
+      tests.push({
+        name: `${file} (failed to run)`,
+        status: 'failed',
+        failure: (suite.message || suite.testExecError?.message || '').slice(0, FAILURE_MESSAGE_LENGTH)
+      });
+      continue;
+    }
+
+    assertions.forEach(assertion => {
+      const entry = { name: `${file}: ${assertion.fullName}`, status: assertion.status };
+      if (assertion.status === 'failed') {
+        entry.failure = assertion.failureMessages.join('\n').slice(0, FAILURE_MESSAGE_LENGTH);
+      }
+      tests.push(entry);
+    });
+  }
+
+  const scored = tests.filter(test => test.status === 'passed' || test.status === 'failed');
+  const passed = scored.filter(test => test.status === 'passed').length;
+  return {
+    total: scored.length,
+    passed,
+    failed: scored.length - passed,
+    score: scored.length > 0 ? passed / scored.length : 0,
+    tests
+  };
+}
+
+// Runs the task's hidden tests against projectPath; null for tasks without any
+async function runAcceptanceTests(projectPath, task, { timeoutSeconds = DEFAULT_TIMEOUT_SECONDS } = {}) {
+  if (!task.hiddenTestsPath) return null;
+
+  const jestBin = path.join(projectPath, 'node_modules', '.bin', 'jest');
+  if (!fs.existsSync(jestBin)) {
+    return failedRun('Jest is not installed in the workspace');
+  }
+
+  const acceptanceDir = path.join(projectPath, ACCEPTANCE_DIR);
+  const reportFile = path.join(os.tmpdir(), `benchmark-acceptance-${process.pid}-${Date.now()}.json`);
+  await fs.remove(acceptanceDir);
+  await fs.copy(task.hiddenTestsPath, acceptanceDir);
+
+  try {
+    // The workspace's Jest config (which the agent may have extended with
+    // transforms) still applies, but only the injected tests are collected
+    const run = await runCommand(jestBin, [
+      '--ci',
+      '--json',
+      `--outputFile=${reportFile}`,
+      `--roots=${acceptanceDir}`,
+      '--testMatch=**/*.test.[jt]s?(x)',
+      '--testPathIgnorePatterns=/node_modules/'
+    ], projectPath, {
+      timeoutMs: timeoutSeconds * 1000,
+      env: { BENCHMARK_PROJECT_PATH: projectPath }
+    });
+
+    if (run.timedOut) {
+      return failedRun(`Acceptance tests timed out after ${timeoutSeconds}s`);
+    }
+    if (!fs.existsSync(reportFile)) {
+      return failedRun(`Jest produced no report (exit code ${run.exitCode}): ${run.output}`);
+    }
+
+    return parseJestReport(await fs.readJson(reportFile), acceptanceDir);
+  } finally {
+    await fs.remove(acceptanceDir);
+    await fs.remove(reportFile);
+  }
+}
+
+module.exports = {
+  ACCEPTANCE_DIR,
+  parseJestReport,
+  runAcceptanceTests
+};
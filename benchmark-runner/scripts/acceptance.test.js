@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseJestReport, runAcceptanceTests } = require('./acceptance');
+
+const acceptanceDir = '/work/project/__benchmark_acceptance__';
+
+test('parseJestReport records each assertion and scores the passed share', () => {
+  const result = parseJestReport({
+    testResults: [{
+      name: `${acceptanceDir}/todo.test.js`,
+      status: 'failed',
+      assertionResults: [
+        { fullName: 'adds a todo', status: 'passed', failureMessages: [] },
+        { fullName: 'removes a todo', status: 'failed', failureMessages: ['Expected 0', 'Received 1'] },
+        { fullName: 'edits a todo', status: 'pending', failureMessages: [] }
+      ]
+    }]
+  }, acceptanceDir);
+
+  assert.deepStrictEqual(result, {
+    total: 2,
+    passed: 1,
+    failed: 1,
+    score: 0.5,
+    tests: [
+      { name: 'todo.test.js: adds a todo', status: 'passed' },
+      { name: 'todo.test.js: removes a todo', status: 'failed', failure: 'Expected 0\nReceived 1' },
+      { name: 'todo.test.js: edits a todo', status: 'pending' }
+    ]
+  });
+});
+
+test('parseJestReport counts a suite that failed to run as one failed test', () => {
+  const result = parseJestReport({
+    testResults: [
+      {
+        name: `${acceptanceDir}/broken.test.js`,
+        status: 'failed',
+        message: '',
+        testExecError: { message: "Cannot find module './Todo' from 'broken.test.js'" }
+      },
+      {
+        name: `${acceptanceDir}/todo.test.js`,
+        status: 'passed',
+        assertionResults: [{ fullName: 'adds a todo', status: 'passed', failureMessages: [] }]
+      }
+    ]
+  }, acceptanceDir);
+
+  assert.deepStrictEqual(result.tests[0], {
+    name: 'broken.test.js (failed to run)',
+    status: 'failed',
+    failure: "Cannot find module './Todo' from 'broken.test.js'"
+  });
+  assert.deepStrictEqual([result.total, result.passed, result.failed, result.score], [2, 1, 1, 0.5]);
+});
+
+test('runAcceptanceTests reports a run that wrote no Jest report as failed', async (t) => {
+  const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-acceptance-'));
+  t.after(() => fs.remove(projectPath));
+  const hiddenTestsPath = path.join(projectPath, 'hidden-tests');
+  await fs.outputFile(path.join(hiddenTestsPath, 'todo.test.js'), '');
+
+  assert.strictEqual(await runAcceptanceTests(projectPath, {}), null);
+  assert.deepStrictEqual(await runAcceptanceTests(projectPath, { hiddenTestsPath }), {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    score: 0,
+    tests: [],
+    error: 'Jest is not installed in the workspace'
+  });
+
+  // A Jest that crashes before writing its --outputFile
+  await fs.outputFile(path.join(projectPath, 'node_modules/.bin/jest'), '#!/bin/sh\necho "jest crashed"\nexit 1\n', { mode: 0o755 });
+  const result = await runAcceptanceTests(projectPath, { hiddenTestsPath });
+
+  assert.strictEqual(result.score, 0);
+  assert.deepStrictEqual(result.tests, []);
+  assert.match(result.error, /^Jest produced no report \(exit code 1\): .*jest crashed/s);
+  assert.strictEqual(fs.existsSync(path.join(projectPath, '__benchmark_acceptance__')), false);
+});
@@ -0,0 +1,135 @@
+const path = require('path');
+
+const RUNNER_ROOT = path.join(__dirname, '..');
+const MOCK_AGENT_PATH = path.join(__dirname, 'mock-agent.js');
+
+// Built-in agent adapters. A scenario selects one with `agent`, falling back to
+// `settings.agent` and then to `claude`. Entries under `agents` in
+// ClaudeMapper.json add new adapters or override fields of these.
+// `continueArgs` are appended when a follow-up prompt continues the session.
+const BUILTIN_AGENTS = {
+  claude: {
+    command: 'claude',
+    args: ['--print', '--dangerously-skip-permissions', '--output-format', 'stream-json', '--verbose'],
+    promptDelivery: 'stdin',
+    outputFormat: 'stream-json',
+    continueArgs: ['--continue'],
+    env: {},
+    completion: {
+      patterns: ['Task completed', '✓', 'Generated with']
+    }
+  },
+  mock: {
+    command: process.execPath,
+    args: [MOCK_AGENT_PATH, '--script', '{mockScript}', '--output-format', 'stream-json'],
+    promptDelivery: 'stdin',
+    outputFormat: 'stream-json',
+    continueArgs: ['--continue', '--stage', '{stage}'],
+    env: {},
+    mockScript: 'config/mock-agent/default.json',
+    completion: {
+      patterns: ['Task completed'],
+      exitCode: 0
+    }
+  }
+};
+
+const PROMPT_DELIVERY_MODES = ['stdin', 'argument', 'file'];
+const OUTPUT_FORMATS = ['text', 'stream-json'];
+
+function resolveAgent(config, scenario = {}) {
+  const name = scenario.agent || config.settings?.agent || 'claude';
+  const builtin = BUILTIN_AGENTS[name];
+  const custom = config.agents?.[name];
+
+  if (!builtin && !custom) {
+    throw new Error(`Unknown agent "${name}" for scenario ${scenario.id}`);
+  }
+
+  const agent = {
+    ...builtin,
+    ...custom,
+    env: { ...builtin?.env, ...custom?.env },
+    completion: { ...builtin?.completion, ...custom?.completion },
+    name
+  };
+
+  if (!agent.command) {
+    throw new Error(`Agent "${name}" has no command configured`);
+  }
+  if (!PROMPT_DELIVERY_MODES.includes(agent.promptDelivery || 'stdin')) {
+    throw new Error(`Agent "${name}" has invalid promptDelivery "${agent.promptDelivery}" (expected ${PROMPT_DELIVERY_MODES.join(', ')})`);
+  }
+  if (!OUTPUT_FORMATS.includes(agent.outputFormat || 'text')) {
+    throw new Error(`Agent "${name}" has invalid outputFormat "${agent.outputFormat}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  return agent;
+}
+
+// Expands {prompt}, {promptFile}, {projectPath}, {mockScript} and {stage} in
+// the adapter's args and decides what, if anything, goes to stdin. Follow-up
+// prompts (continuation) also get the adapter's continueArgs.
+function buildInvocation(agent, { prompt, projectPath, promptFile, stage = 1, continuation = false }) {
+  const delivery = agent.promptDelivery || 'stdin';
+  const values = {
+    prompt,
+    promptFile,
+    projectPath,
+    mockScript: agent.mockScript ? path.resolve(RUNNER_ROOT, agent.mockScript) : '',
+    stage: String(stage)
+  };
+  const expand = (arg) => arg.replace(/\{(prompt|promptFile|projectPath|mockScript|stage)\}/g, (_, key) => values[key]);
+
+  const rawArgs = continuation
+    ? [...(agent.args || []), ...(agent.continueArgs || [])]
+    : agent.args || [];
+  const args = rawArgs.map(expand);
+
+  // Append the prompt (or its file) when the adapter doesn't place it explicitly
+  if (delivery === 'argument' && !rawArgs.some(arg => arg.includes('{prompt}'))) {
+    args.push(prompt);
+  }
+  if (delivery === 'file' && !rawArgs.some(arg => arg.includes('{promptFile}'))) {
+    args.push(promptFile);
+  }
+
+  return {
+    command: agent.command,
+    args,
+    env: { ...process.env, ...agent.env },
+    stdinInput: delivery === 'stdin' ? prompt : null,
+    delivery
+  };
+}
+
+// Decides whether a finished session counts as completed. A structured
+// transcript with a result event decides on its own; otherwise patterns match
+// against the full output and exitCode, when set, must also match.
+function isSessionComplete(agent, { output, exitCode, transcript = null }) {
+  if (transcript?.result) {
+    return transcript.succeeded();
+  }
+
+  const completion = agent.completion || {};
+
+  if (completion.exitCode !== undefined && exitCode !== completion.exitCode) {
+    return false;
+  }
+
+  const patterns = completion.patterns || [];
+  const regex = completion.regex ? new RegExp(completion.regex, 'm') : null;
+
+  if (patterns.length === 0 && !regex) {
+    return exitCode === 0;
+  }
+
+  return patterns.some(pattern => output.includes(pattern)) || (regex ? regex.test(output) : false);
+}
+
+module.exports = {
+  BUILTIN_AGENTS,
+  resolveAgent,
+  buildInvocation,
+  isSessionComplete
+};
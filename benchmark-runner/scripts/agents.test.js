@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { BUILTIN_AGENTS, resolveAgent, buildInvocation, isSessionComplete } = require('./agents');
+
+test('resolveAgent falls back from scenario to settings to claude', () => {
+  assert.strictEqual(resolveAgent({}, { id: 'a' }).name, 'claude');
+  assert.strictEqual(resolveAgent({ settings: { agent: 'mock' } }, { id: 'a' }).name, 'mock');
+  assert.strictEqual(resolveAgent({ settings: { agent: 'mock' } }, { id: 'a', agent: 'claude' }).name, 'claude');
+});
+
+test('resolveAgent merges custom fields over the builtin adapter', () => {
+  const agent = resolveAgent({
+    agents: { claude: { env: { FOO: '1' }, completion: { exitCode: 0 } } }
+  }, { id: 'a' });
+
+  assert.strictEqual(agent.command, 'claude');
+  assert.deepStrictEqual(agent.env, { FOO: '1' });
+  assert.deepStrictEqual(agent.completion, { patterns: BUILTIN_AGENTS.claude.completion.patterns, exitCode: 0 });
+});
+
+test('resolveAgent rejects unknown and misconfigured adapters', () => {
+  assert.throws(() => resolveAgent({}, { id: 'a', agent: 'nope' }), /Unknown agent "nope" for scenario a/);
+  assert.throws(() => resolveAgent({ agents: { bare: {} } }, { id: 'a', agent: 'bare' }), /has no command configured/);
+  assert.throws(() => resolveAgent({ agents: { bad: { command: 'x', promptDelivery: 'pipe' } } }, { id: 'a', agent: 'bad' }), /invalid promptDelivery "pipe"/);
+  assert.throws(() => resolveAgent({ agents: { bad: { command: 'x', outputFormat: 'xml' } } }, { id: 'a', agent: 'bad' }), /invalid outputFormat "xml"/);
+});
+
+test('buildInvocation sends the prompt on stdin by default', () => {
+  const invocation = buildInvocation({ command: 'agent', args: ['--print'] }, { prompt: 'do it', projectPath: '/p' });
+
+  assert.deepStrictEqual(invocation.args, ['--print']);
+  assert.strictEqual(invocation.stdinInput, 'do it');
+  assert.strictEqual(invocation.delivery, 'stdin');
+});
+
+test('buildInvocation appends the prompt or its file unless the args place it', () => {
+  const byArgument = buildInvocation({ command: 'agent', args: ['-p'], promptDelivery: 'argument' }, { prompt: 'do it' });
+  assert.deepStrictEqual(byArgument.args, ['-p', 'do it']);
+  assert.strictEqual(byArgument.stdinInput, null);
+
+  const placed = buildInvocation({ command: 'agent', args: ['--prompt={prompt}', '--cwd', '{projectPath}'], promptDelivery: 'argument' }, { prompt: 'do it', projectPath: '/p' });
+  assert.deepStrictEqual(placed.args, ['--prompt=do it', '--cwd', '/p']);
+
+  const byFile = buildInvocation({ command: 'agent', args: [], promptDelivery: 'file' }, { prompt: 'do it', promptFile: '/tmp/prompt.md' });
+  assert.deepStrictEqual(byFile.args, ['/tmp/prompt.md']);
+});
+
+test('buildInvocation adds continueArgs and the stage for follow-up prompts', () => {
+  const agent = resolveAgent({}, { id: 'a', agent: 'mock' });
+  const first = buildInvocation(agent, { prompt: 'p', stage: 1 });
+  const followUp = buildInvocation(agent, { prompt: 'p', stage: 2, continuation: true });
+
+  assert.ok(!first.args.includes('--continue'));
+  assert.deepStrictEqual(followUp.args.slice(-3), ['--continue', '--stage', '2']);
+  assert.strictEqual(first.args[2], path.resolve(__dirname, '..', 'config/mock-agent/default.json'));
+});
+
+test('isSessionComplete lets a transcript result decide', () => {
+  const agent = { completion: { patterns: ['Task completed'] } };
+  const transcript = (succeeded) => ({ result: {}, succeeded: () => succeeded });
+
+  assert.strictEqual(isSessionComplete(agent, { output: 'Task completed', exitCode: 0, transcript: transcript(false) }), false);
+  assert.strictEqual(isSessionComplete(agent, { output: '', exitCode: 1, transcript: transcript(true) }), true);
+});
+
+test('isSessionComplete matches patterns, regex and exit code', () => {
+  assert.strictEqual(isSessionComplete({ completion: { patterns: ['Done'] } }, { output: 'All Done', exitCode: 1 }), true);
+  assert.strictEqual(isSessionComplete({ completion: { patterns: ['Done'], exitCode: 0 } }, { output: 'All Done', exitCode: 1 }), false);
+  assert.strictEqual(isSessionComplete({ completion: { regex: '^finished$' } }, { output: 'log\nfinished\n', exitCode: 0 }), true);
+  assert.strictEqual(isSessionComplete({ completion: {} }, { output: '', exitCode: 0 }), true);
+  assert.strictEqual(isSessionComplete({ completion: {} }, { output: '', exitCode: 2 }), false);
+});
@@ -1,18 +1,48 @@
 #!/usr/bin/env node
 
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
-const validationTests = require('../config/ValidationTests');
+const {
+  mean,
+  summarize,
+  bootstrapCI,
+  mannWhitneyU,
+  cliffsDelta,
+  cliffsDeltaMagnitude,
+  cohensD,
+  holmAdjust
+} = require('./stats');
+const { isScorable } = require('./failures');
+const { withSnapshot } = require('./snapshots');
+const { restoreArchive } = require('./archives');
+const { BASELINE_FILE, loadBaseline } = require('./baseline');
+const { DEFAULT_TASK, getScenarioTask } = require('./tasks');
+const { runAcceptanceTests } = require('./acceptance');
+const { scoreValidation, scoreChange, sessionMetrics } = require('./scoring');
+const { COVERAGE_METRICS, getCoverageOptions, runCoverage } = require('./coverage');
+const { getMutationOptions, runMutationTests } = require('./mutation');
+const { scenarioConfigFiles, checkIntegrity } = require('./integrity');
+const { analyzeChanges } = require('./changes');
+const { getAuditOptions, auditDependencies } = require('./audit');
+
+const DEFAULT_ALPHA = 0.05;
 
 const RESULTS_PATH = path.join(__dirname, '../results');
 const SAMPLES_PATH = path.join(__dirname, '../samples');
-const TEMPLATE_PATH = path.join(__dirname, '../templates/react-app');
 
 class BenchmarkAnalyzer {
   constructor() {
     this.results = null;
     this.analysis = {};
     this.runDir = null;
+    this.archived = false;
+    this.baseline = null;
+  }
+
+  // Significance level for scenario comparisons (settings.alpha)
+  getAlpha() {
+    return this.results?.config?.settings?.alpha ?? DEFAULT_ALPHA;
   }
 
   async loadLatestResults() {
@@ -26,166 +56,754 @@ class BenchmarkAnalyzer {
       throw new Error('No benchmark run directories found. Run the benchmark first.');
     }
     
-    const latestRunDir = path.join(RESULTS_PATH, runDirs[0]);
-    const resultsFile = path.join(latestRunDir, 'benchmark-results.json');
+    return this.loadRunResults(runDirs[0]);
+  }
+
+  // With { archived: true } sessions are validated against the workspaces
+  // archived with the run rather than the current contents of samples/
+  async loadRunResults(runId, options = {}) {
+    const runDirName = runId.startsWith('run-') ? runId : `run-${runId}`;
+    const runDir = path.join(RESULTS_PATH, runDirName);
+    const resultsFile = path.join(runDir, 'benchmark-results.json');
     
     if (!fs.existsSync(resultsFile)) {
-      throw new Error(`No benchmark results found in ${runDirs[0]}. Run the benchmark first.`);
+      throw new Error(`No benchmark results found in ${runDirName}. Run the benchmark first.`);
     }
     
     this.results = await fs.readJson(resultsFile);
-    this.runDir = latestRunDir;
+    this.runDir = runDir;
+    this.archived = Boolean(options.archived);
+    this.baseline = await loadBaseline(path.join(runDir, BASELINE_FILE));
     
-    console.log(`📊 Analyzing results from: ${runDirs[0]}`);
+    console.log(`📊 Analyzing results from: ${runDirName}${this.archived ? ' (archived workspaces)' : ''}`);
     return this.results;
   }
 
+  // Task of a scenario in the analyzed run
+  getTask(scenarioId) {
+    const config = this.results.config;
+    return getScenarioTask(config, config.scenarios.find(s => s.id === scenarioId));
+  }
+
+  // Runs the validators of the task, every one a pass/fail check, and scores
+  // them with the task's scoring model. session holds the session metrics of
+  // the process category; the baseline sample has none. scenario tells which
+  // files its configuration put in the sample.
+  async validateProject(projectPath, label, task, session = null, scenario = null) {
+    const validation = {};
+    
+    try {
+      // Integrity and the changes are measured first, before any check or test
+      // run can touch the workspace
+      const configFiles = scenarioConfigFiles(scenario);
+      validation.integrity = checkIntegrity(projectPath, task, { ignore: configFiles });
+      validation.changes = analyzeChanges(projectPath, task.templatePath, { ignore: configFiles });
+      
+      const auditOptions = getAuditOptions(this.results?.config?.settings);
+      if (auditOptions.enabled) {
+        validation.dependencies = await auditDependencies(projectPath, task.templatePath, {
+          ...auditOptions,
+          policy: scenario?.dependencyPolicy ?? auditOptions.policy
+        });
+        validation.dependencies.violations.forEach(violation => {
+          console.warn(`  ⚠️  ${label}: ${violation.message}`);
+        });
+        if (validation.dependencies.install.status === 'failed') {
+          console.warn(`  ⚠️  ${label}: dependencies no longer install offline`);
+        }
+      }
+      validation.integrity.flags.forEach(flag => {
+        console.warn(`  ⚠️  ${label}: ${flag.message}`);
+      });
+      
+      const context = { task, templatePath: task.templatePath };
+      for (const validator of task.validators) {
+        validation[validator.name] = Boolean(await validator.check(projectPath, context));
+      }
+      validation.featuresImplemented = task.validators
+        .filter(validator => validator.category === 'functionality' && validation[validator.name]).length;
+      
+      const coverageOptions = getCoverageOptions(this.results?.config?.settings);
+      if (coverageOptions.enabled) {
+        validation.coverage = await runCoverage(projectPath, task.templatePath, coverageOptions);
+      }
+      
+      const mutationOptions = getMutationOptions(this.results?.config?.settings);
+      if (mutationOptions.enabled) {
+        validation.mutation = await runMutationTests(projectPath, task.templatePath, mutationOptions);
+      }
+      
+      // Hidden acceptance tests run last, once the heuristic checks have seen
+      // the workspace exactly as the agent left it
+      const acceptance = await runAcceptanceTests(projectPath, task, this.results?.config?.settings?.acceptance);
+      if (acceptance) {
+        validation.acceptance = acceptance;
+        validation.acceptanceScore = acceptance.score;
+      }
+      
+      const { categoryScores, penalty, score } = scoreValidation(task.scoring, validation, session);
+      validation.categoryScores = categoryScores;
+      validation.penalty = penalty;
+      validation.overallScore = score;
+      validation.scoringModel = task.scoring.fingerprint;
+      
+    } catch (error) {
+      console.warn(`  ⚠️  Error validating ${label}: ${error.message}`);
+      validation.error = error.message;
+      validation.overallScore = 0;
+    }
+    
+    return validation;
+  }
+
+  // The baseline of a scenario's untouched sample, rescored with the current
+  // scoring model of its task so it stays comparable when the model changes;
+  // null without a baseline or when it was scored for another task
+  scoreBaseline(scenarioId, task = this.getTask(scenarioId)) {
+    const entry = this.baseline?.scenarios?.[scenarioId];
+    if (!entry || (entry.task || DEFAULT_TASK) !== task.id) return null;
+    
+    return { validation: entry.validation, ...scoreValidation(task.scoring, entry.validation) };
+  }
+
+  // Scores a validation against the baseline of the untouched sample:
+  // overallScore becomes the weighted change in the category subscores
+  // (negative when the session made things worse) and the absolute score is
+  // kept as absoluteScore. Runs without a baseline keep absolute scores.
+  relativeToBaseline(validation, scenarioId, task) {
+    const baselineScore = this.scoreBaseline(scenarioId, task);
+    if (!baselineScore) return validation;
+    
+    const baseline = baselineScore.validation;
+    const checks = task.validators.map(validator => validator.name);
+    return {
+      ...validation,
+      absoluteScore: validation.overallScore,
+      baselineScore: baselineScore.score,
+      // Validations that errored have no subscores and lose the whole baseline score
+      overallScore: validation.categoryScores
+        ? scoreChange(task.scoring, validation.categoryScores, baselineScore.categoryScores, validation.penalty)
+        : validation.overallScore - baselineScore.score,
+      improvedChecks: checks.filter(key => !baseline[key] && validation[key]),
+      regressedChecks: checks.filter(key => baseline[key] && !validation[key])
+    };
+  }
+
   async runValidationTests() {
     console.log('🔍 Running validation tests on all scenarios...');
     
     const validationResults = {};
+    let workspaceRoot = null;
     
-    for (const result of this.results.results) {
-      console.log(`  Testing ${result.scenarioId}...`);
-      
-      const projectPath = result.projectPath;
-      const validation = {};
-      
-      try {
-        // Run each validation test
-        validation.todoComponentExists = validationTests.todoComponentExists(projectPath);
-        validation.testsWritten = validationTests.testsWritten(projectPath);
-        validation.hasLocalStorageImplementation = validationTests.hasLocalStorageImplementation(projectPath);
-        validation.hasErrorHandling = validationTests.hasErrorHandling(projectPath);
-        validation.linesOfCodeAdded = validationTests.linesOfCodeAdded(projectPath, TEMPLATE_PATH);
+    try {
+      for (const result of this.results.results) {
+        // Infrastructure failures never reached the task, so scoring them would
+        // only drag the scenario down for reasons unrelated to its instructions
+        if (!isScorable(result)) {
+          console.log(`  Skipping ${result.sessionId} (${result.failureClass})`);
+          continue;
+        }
         
-        // Async tests
-        validation.passesLinting = await validationTests.passesLinting(projectPath);
-        validation.testsPass = await validationTests.testsPass(projectPath);
+        // Workspaces removed by cleanupAfterRun are restored from their archive too
+        let projectPath = result.projectPath;
+        const useArchive = this.archived || !fs.existsSync(projectPath);
+        if (useArchive) {
+          if (!result.archive) {
+            console.warn(`  ⚠️  ${result.sessionId} has no archived workspace, leaving it out`);
+            continue;
+          }
+          workspaceRoot = workspaceRoot || await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-archives-'));
+          console.log(`  Restoring ${result.sessionId} from ${result.archive.bundle}...`);
+          projectPath = await restoreArchive(path.join(this.runDir, result.archive.bundle), path.join(workspaceRoot, result.sessionId));
+        }
         
-        // Calculate overall score
-        const scores = [
-          validation.todoComponentExists ? 1 : 0,
-          validation.testsWritten ? 1 : 0,
-          validation.hasLocalStorageImplementation ? 1 : 0,
-          validation.hasErrorHandling ? 1 : 0,
-          validation.passesLinting ? 1 : 0,
-          validation.testsPass ? 1 : 0
-        ];
+        const task = this.getTask(result.scenarioId);
+        const scenario = this.results.config.scenarios.find(s => s.id === result.scenarioId);
+        console.log(`  Testing ${result.sessionId} (task ${task.id})...`);
+        const validation = this.relativeToBaseline(
+          await this.validateProject(projectPath, result.sessionId, task, sessionMetrics([result]), scenario),
+          result.scenarioId,
+          task
+        );
         
-        validation.overallScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
-        validation.featuresImplemented = scores.slice(0, 4).reduce((sum, score) => sum + score, 0);
-        validation.codeQuality = scores.slice(4).reduce((sum, score) => sum + score, 0) / 2;
+        // Multi-prompt sessions are also scored at each stage's snapshot, with
+        // the session metrics of the stages so far. The last stage's snapshot
+        // is the final state, which was just scored.
+        if (result.stages) {
+          const finalValidation = { ...validation };
+          validation.stages = [];
+          for (const stage of result.stages) {
+            const isFinal = stage.stage === result.stages.length;
+            const snapshot = useArchive ? stage.snapshotRef : stage.snapshotCommit;
+            console.log(`  Testing ${result.sessionId} stage ${stage.stage}...`);
+            const stageValidation = isFinal
+              ? finalValidation
+              : this.relativeToBaseline(
+                await withSnapshot(projectPath, snapshot, () => this.validateProject(
+                  projectPath,
+                  `${result.sessionId} stage ${stage.stage}`,
+                  task,
+                  sessionMetrics(result.stages.slice(0, stage.stage)),
+                  scenario
+                )),
+                result.scenarioId,
+                task
+              );
+            validation.stages.push({ stage: stage.stage, prompt: stage.prompt, ...stageValidation });
+          }
+        }
         
-      } catch (error) {
-        console.warn(`  ⚠️  Error validating ${result.scenarioId}: ${error.message}`);
-        validation.error = error.message;
-        validation.overallScore = 0;
+        validationResults[result.sessionId] = validation;
+      }
+    } finally {
+      if (workspaceRoot) {
+        await fs.remove(workspaceRoot);
       }
-      
-      validationResults[result.scenarioId] = validation;
     }
     
     return validationResults;
   }
 
+
+  // Collapses the validations of several trials into one record: booleans
+  // become pass rates (0-1) and numbers become means.
+  aggregateValidations(validations) {
+    const aggregated = {};
+    const keys = new Set(validations.flatMap(v => Object.keys(v)));
+    
+    keys.forEach(key => {
+      const values = validations.map(v => v[key]).filter(value => value !== undefined);
+      if (values.length === 0) return;
+      
+      if (values.every(value => typeof value === 'boolean')) {
+        aggregated[key] = values.filter(Boolean).length / values.length;
+      } else if (values.every(value => typeof value === 'number')) {
+        aggregated[key] = values.reduce((sum, value) => sum + value, 0) / values.length;
+      }
+    });
+    
+    // Category subscores are averaged over the trials that could score them
+    const categoryNames = new Set(validations.flatMap(v => Object.keys(v.categoryScores || {})));
+    if (categoryNames.size > 0) {
+      aggregated.categoryScores = {};
+      categoryNames.forEach(name => {
+        const scores = validations.map(v => v.categoryScores?.[name]).filter(score => typeof score === 'number');
+        aggregated.categoryScores[name] = scores.length > 0 ? mean(scores) : null;
+      });
+    }
+    
+    const errors = validations.filter(v => v.error).map(v => v.error);
+    if (errors.length > 0) {
+      aggregated.errors = errors;
+    }
+    
+    return aggregated;
+  }
+
+  // Token and cost totals for a scenario's sessions, or null when the agent
+  // reported no usage. Cost per score point divides the mean cost of a trial by
+  // the mean score in percentage points.
+  summarizeCost(sessions, meanScore) {
+    const withUsage = sessions.filter(r => r.usage);
+    if (withUsage.length === 0) return null;
+    
+    const sum = key => withUsage.reduce((total, r) => total + (r.usage[key] || 0), 0);
+    const totalUsd = sum('costUsd');
+    const meanUsd = totalUsd / withUsage.length;
+    
+    return {
+      sessions: withUsage.length,
+      totalUsd,
+      meanUsd,
+      inputTokens: sum('inputTokens'),
+      outputTokens: sum('outputTokens'),
+      cacheCreationTokens: sum('cacheCreationTokens'),
+      cacheReadTokens: sum('cacheReadTokens'),
+      totalTokens: sum('totalTokens'),
+      costPerScorePoint: meanScore > 0 ? meanUsd / (meanScore * 100) : null
+    };
+  }
+
+  // Scores at each stage of a multi-prompt scenario, over the trials that
+  // reached that stage; null for single-prompt scenarios
+  summarizeStages(validations) {
+    const staged = validations.filter(v => v.stages);
+    if (staged.length === 0) return null;
+    
+    const stageCount = Math.max(...staged.map(v => v.stages.length));
+    return Array.from({ length: stageCount }, (_, index) => {
+      const stageValidations = staged.map(v => v.stages[index]).filter(Boolean);
+      return {
+        stage: index + 1,
+        prompt: stageValidations[0].prompt,
+        trials: stageValidations.length,
+        score: summarize(stageValidations.map(v => v.overallScore || 0)),
+        validation: this.aggregateValidations(stageValidations)
+      };
+    });
+  }
+
+  // Baseline of a scenario's untouched sample and how often its sessions
+  // broke a check that passed there; null for runs without a baseline
+  summarizeBaseline(scenarioId, validations) {
+    const entry = this.baseline?.scenarios?.[scenarioId];
+    if (!entry) return null;
+    
+    const regressedChecks = {};
+    validations.flatMap(v => v.regressedChecks || []).forEach(key => {
+      regressedChecks[key] = (regressedChecks[key] || 0) + 1;
+    });
+    
+    return {
+      healthy: entry.healthy,
+      failedChecks: Object.keys(entry.checks).filter(name => !entry.checks[name].passed),
+      score: this.scoreBaseline(scenarioId)?.score ?? entry.validation.overallScore,
+      regressedChecks
+    };
+  }
+
+  // Acceptance score and per-test pass rates of a scenario's trials; null
+  // when its task has no hidden tests
+  summarizeAcceptance(validations) {
+    const runs = validations.filter(v => v.acceptance);
+    if (runs.length === 0) return null;
+    
+    const tests = new Map();
+    runs.forEach(v => v.acceptance.tests.forEach(test => {
+      const entry = tests.get(test.name) || { name: test.name, passed: 0, runs: 0, failures: [] };
+      entry.runs++;
+      if (test.status === 'passed') {
+        entry.passed++;
+      } else if (test.failure && entry.failures.length < 1) {
+        entry.failures.push(test.failure);
+      }
+      tests.set(test.name, entry);
+    }));
+    
+    return {
+      trials: runs.length,
+      score: summarize(runs.map(v => v.acceptanceScore)),
+      errors: runs.filter(v => v.acceptance.error).map(v => v.acceptance.error),
+      tests: [...tests.values()]
+    };
+  }
+
+  // Mean coverage of a scenario's trials for the whole project and for the
+  // files the sessions changed; null when coverage was not measured
+  summarizeCoverage(validations) {
+    const runs = validations.filter(v => v.coverage);
+    if (runs.length === 0) return null;
+    
+    const measured = runs.filter(v => !v.coverage.error);
+    const meanOf = scope => Object.fromEntries(COVERAGE_METRICS.map(metric => {
+      const values = measured.map(v => v.coverage[scope][metric]).filter(value => typeof value === 'number');
+      return [metric, values.length > 0 ? mean(values) : null];
+    }));
+    
+    return {
+      trials: runs.length,
+      project: meanOf('project'),
+      changed: meanOf('changed'),
+      uncollected: [...new Set(measured.flatMap(v => v.coverage.changed.uncollected || []))],
+      errors: runs.filter(v => v.coverage.error).map(v => v.coverage.error)
+    };
+  }
+
+  // Mutants of a scenario's trials added up, with the mutation score of the
+  // pooled mutants and the surviving ones; null when mutation testing was off
+  summarizeMutation(validations) {
+    const runs = validations.filter(v => v.mutation);
+    if (runs.length === 0) return null;
+    
+    const judged = runs.filter(v => !v.mutation.error);
+    const total = key => judged.reduce((sum, v) => sum + v.mutation[key], 0);
+    const mutants = total('total');
+    
+    return {
+      trials: runs.length,
+      total: mutants,
+      killed: total('killed'),
+      timedOut: total('timedOut'),
+      survived: total('survived'),
+      score: mutants > 0 ? (total('killed') + total('timedOut')) / mutants : null,
+      survivors: judged.flatMap(v => v.mutation.mutants.filter(mutant => mutant.status === 'survived')),
+      errors: runs.filter(v => v.mutation.error).map(v => v.mutation.error)
+    };
+  }
+
+  // Mean diff statistics of a scenario's trials: totals and per file type,
+  // the largest hunk of any trial and every file touched outside src/ and tests/
+  summarizeChanges(validations) {
+    const analyses = validations.map(v => v.changes).filter(Boolean);
+    const meanOf = counts => Object.fromEntries(Object.keys(counts[0] || {}).map(key => [key, mean(counts.map(entry => entry[key]))]));
+    const types = [...new Set(analyses.flatMap(analysis => Object.keys(analysis.byType)))];
+    const empty = { files: 0, linesAdded: 0, linesRemoved: 0, linesModified: 0, churn: 0 };
+    
+    return {
+      trials: analyses.length,
+      totals: analyses.length > 0
+        ? meanOf(analyses.map(analysis => analysis.totals))
+        : { ...empty, newFiles: 0, editedFiles: 0, deletedFiles: 0, netLines: 0 },
+      byType: Object.fromEntries(types.map(type => [type, meanOf(analyses.map(analysis => analysis.byType[type] || empty))])),
+      largestHunk: analyses
+        .map(analysis => analysis.largestHunk)
+        .filter(Boolean)
+        .reduce((largest, hunk) => (hunk.lines > (largest?.lines || 0) ? hunk : largest), null),
+      outsideExpectedDirs: [...new Set(analyses.flatMap(analysis => analysis.outsideExpectedDirs))]
+    };
+  }
+
+  // Dependency changes of a scenario's trials: each package added, removed,
+  // upgraded or downgraded with the number of trials that did so, the mean
+  // change in installed packages and the policy violations; null when the
+  // audit was off
+  summarizeDependencies(validations) {
+    const audits = validations.map(v => v.dependencies).filter(Boolean);
+    if (audits.length === 0) return null;
+    
+    const countBy = (key, describe) => {
+      const counts = new Map();
+      audits.forEach(audit => {
+        new Set(audit[key].map(describe)).forEach(entry => counts.set(entry, (counts.get(entry) || 0) + 1));
+      });
+      return [...counts].map(([name, trials]) => ({ name, trials }));
+    };
+    const deltas = audits.map(audit => audit.transitive.delta).filter(delta => typeof delta === 'number');
+    
+    return {
+      trials: audits.length,
+      changedTrials: audits.filter(audit => audit.changed).length,
+      added: countBy('added', dependency => dependency.name),
+      removed: countBy('removed', dependency => dependency.name),
+      upgraded: countBy('upgraded', change => `${change.name} ${change.from} → ${change.to}`),
+      downgraded: countBy('downgraded', change => `${change.name} ${change.from} → ${change.to}`),
+      transitiveDelta: deltas.length > 0 ? mean(deltas) : null,
+      installFailures: audits.filter(audit => audit.install.status === 'failed').length,
+      policy: audits[0].policy,
+      violations: countBy('violations', violation => violation.message)
+    };
+  }
+
+  // Integrity flags of a scenario's trials, one entry per distinct finding
+  // with the number of trials it was raised in
+  summarizeIntegrity(validations) {
+    const flags = new Map();
+    validations.forEach(v => {
+      (v.integrity?.flags || []).forEach(flag => {
+        const entry = flags.get(flag.message) || { ...flag, trials: 0 };
+        entry.trials++;
+        flags.set(flag.message, entry);
+      });
+    });
+    
+    return {
+      flaggedTrials: validations.filter(v => v.integrity?.flags?.length > 0).length,
+      penalty: mean(validations.map(v => v.penalty || 0)),
+      flags: [...flags.values()]
+    };
+  }
+
+  // Failed attempts grouped by class, counting retried attempts as well as the
+  // sessions whose final attempt still failed
+  summarizeFailures() {
+    const byClass = {};
+    
+    this.results.results.forEach(result => {
+      const attempts = result.attempts || [{ attempt: 1, failureClass: result.failureClass, failureDetail: result.failureDetail }];
+      attempts.filter(attempt => attempt.failureClass).forEach(attempt => {
+        const entry = byClass[attempt.failureClass] = byClass[attempt.failureClass] || {
+          failureClass: attempt.failureClass,
+          attempts: 0,
+          sessions: [],
+          scored: isScorable({ failureClass: attempt.failureClass }),
+          examples: []
+        };
+        entry.attempts++;
+        if (entry.examples.length < 3 && attempt.failureDetail) {
+          entry.examples.push(`${result.sessionId}: ${attempt.failureDetail}`);
+        }
+      });
+      
+      if (result.failureClass) {
+        byClass[result.failureClass].sessions.push(result.sessionId);
+      }
+    });
+    
+    return Object.values(byClass).sort((a, b) => b.attempts - a.attempts);
+  }
+
+  // Mean number of calls per tool across trials
+  meanToolCalls(sessions) {
+    const totals = {};
+    sessions.forEach(r => Object.entries(r.toolCalls || {}).forEach(([tool, count]) => {
+      totals[tool] = (totals[tool] || 0) + count;
+    }));
+    Object.keys(totals).forEach(tool => {
+      totals[tool] = totals[tool] / sessions.length;
+    });
+    return totals;
+  }
+
   generateComparison(validationResults) {
     console.log('📈 Generating comparative analysis...');
     
-    const scenarios = Object.keys(validationResults);
+    // Group sessions by scenario so repeated trials are aggregated together
+    const sessionsByScenario = {};
+    this.results.results
+      .filter(result => validationResults[result.sessionId])
+      .forEach(result => {
+        sessionsByScenario[result.scenarioId] = sessionsByScenario[result.scenarioId] || [];
+        sessionsByScenario[result.scenarioId].push(result);
+      });
+    
+    const scenarios = Object.keys(sessionsByScenario);
     const comparison = {
       summary: {
         totalScenarios: scenarios.length,
+        totalSessions: Object.keys(validationResults).length,
         avgCompletionTime: 0,
         avgScore: 0,
-        avgLinesAdded: 0
+        avgAbsoluteScore: 0,
+        relativeToBaseline: Boolean(this.baseline),
+        avgAcceptanceScore: null,
+        avgLinesAdded: 0,
+        avgLinesRemoved: 0,
+        totalCostUsd: 0,
+        totalTokens: 0,
+        skippedSessions: this.results.skippedSessions || []
       },
+      failures: this.summarizeFailures(),
       rankings: {
         byOverallScore: [],
+        byAcceptanceScore: [],
         byCompletionTime: [],
         byLinesAdded: [],
+        byChurn: [],
         byFeatureCompletion: []
       },
+      pairwise: [],
       detailed: {}
     };
     
-    // Calculate averages
-    const completionTimes = this.results.results.map(r => r.duration);
-    const scores = scenarios.map(s => validationResults[s].overallScore || 0);
-    const linesAdded = scenarios.map(s => validationResults[s].linesOfCodeAdded || 0);
+    // Calculate averages across every session
+    const completionTimes = this.results.results
+      .filter(r => validationResults[r.sessionId])
+      .map(r => r.duration);
+    const scores = Object.values(validationResults).map(v => v.overallScore || 0);
+    const linesAdded = Object.values(validationResults).map(v => v.changes?.totals.linesAdded || 0);
     
-    comparison.summary.avgCompletionTime = completionTimes.reduce((sum, time) => sum + time, 0) / completionTimes.length;
-    comparison.summary.avgScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
-    comparison.summary.avgLinesAdded = linesAdded.reduce((sum, lines) => sum + lines, 0) / linesAdded.length;
+    // mean() is 0 for an empty list, e.g. when every session failed to start
+    comparison.summary.avgCompletionTime = mean(completionTimes);
+    comparison.summary.avgScore = mean(scores);
+    comparison.summary.avgAbsoluteScore = mean(Object.values(validationResults).map(v => v.absoluteScore ?? v.overallScore ?? 0));
+    comparison.summary.avgLinesAdded = mean(linesAdded);
+    comparison.summary.avgLinesRemoved = mean(Object.values(validationResults).map(v => v.changes?.totals.linesRemoved || 0));
+    const acceptanceScores = Object.values(validationResults).filter(v => v.acceptance).map(v => v.acceptanceScore);
+    comparison.summary.avgAcceptanceScore = acceptanceScores.length > 0 ? mean(acceptanceScores) : null;
+    comparison.summary.totalCostUsd = this.results.results.reduce((sum, r) => sum + (r.usage?.costUsd || 0), 0);
+    comparison.summary.totalTokens = this.results.results.reduce((sum, r) => sum + (r.usage?.totalTokens || 0), 0);
     
-    // Generate rankings
+    // Generate rankings on per-scenario means
     const scenarioData = scenarios.map(scenarioId => {
-      const result = this.results.results.find(r => r.scenarioId === scenarioId);
-      const validation = validationResults[scenarioId];
+      const sessions = sessionsByScenario[scenarioId];
+      const validations = sessions.map(r => validationResults[r.sessionId]);
+      const validation = this.aggregateValidations(validations);
+      const samples = {
+        score: validations.map(v => v.overallScore || 0),
+        duration: sessions.map(r => r.duration || 0),
+        linesAdded: validations.map(v => v.changes?.totals.linesAdded || 0),
+        churn: validations.map(v => v.changes?.totals.churn || 0)
+      };
+      const stats = {
+        score: { ...summarize(samples.score), ci: bootstrapCI(samples.score, { confidence: 1 - this.getAlpha() }) },
+        duration: summarize(samples.duration),
+        linesAdded: summarize(samples.linesAdded),
+        churn: summarize(samples.churn)
+      };
+      
+      // Turn counts only exist for agents with structured (stream-json) output
+      if (sessions.every(r => typeof r.turns === 'number')) {
+        samples.turns = sessions.map(r => r.turns);
+        stats.turns = summarize(samples.turns);
+      }
+      
+      const coverage = this.summarizeCoverage(validations);
+      const mutation = this.summarizeMutation(validations);
+      const integrity = this.summarizeIntegrity(validations);
+      const changes = this.summarizeChanges(validations);
+      const dependencies = this.summarizeDependencies(validations);
+      const acceptance = this.summarizeAcceptance(validations);
+      if (acceptance) {
+        samples.acceptance = validations.map(v => v.acceptanceScore || 0);
+        stats.acceptance = summarize(samples.acceptance);
+      }
+      
+      const task = this.getTask(scenarioId);
       
       return {
         scenarioId,
-        duration: result?.duration || 0,
-        overallScore: validation?.overallScore || 0,
-        linesOfCodeAdded: validation?.linesOfCodeAdded || 0,
-        featuresImplemented: validation?.featuresImplemented || 0,
+        task: {
+          id: task.id,
+          name: task.name,
+          features: task.validators.filter(validator => validator.category === 'functionality').length,
+          scoringModel: task.scoring.fingerprint,
+          checks: task.validators.map(({ name, description, category, weight }) => ({ name, description, category, weight }))
+        },
+        trials: sessions.length,
+        duration: stats.duration.mean,
+        overallScore: stats.score.mean,
+        absoluteScore: mean(validations.map(v => v.absoluteScore ?? v.overallScore ?? 0)),
+        acceptanceScore: acceptance ? acceptance.score.mean : null,
+        changes,
+        featuresImplemented: validation.featuresImplemented || 0,
+        categoryScores: validation.categoryScores || {},
+        cost: this.summarizeCost(sessions, stats.score.mean),
+        stages: this.summarizeStages(validations),
+        acceptance,
+        coverage,
+        mutation,
+        integrity,
+        dependencies,
+        stats,
+        samples,
         validation,
-        result
+        sessions: sessions.map(r => r.sessionId)
       };
     });
     
     comparison.rankings.byOverallScore = [...scenarioData]
       .sort((a, b) => b.overallScore - a.overallScore);
     
+    comparison.rankings.byAcceptanceScore = scenarioData
+      .filter(data => data.acceptance)
+      .sort((a, b) => b.acceptanceScore - a.acceptanceScore);
+    
     comparison.rankings.byCompletionTime = [...scenarioData]
       .sort((a, b) => a.duration - b.duration);
     
     comparison.rankings.byLinesAdded = [...scenarioData]
-      .sort((a, b) => b.linesOfCodeAdded - a.linesOfCodeAdded);
+      .sort((a, b) => b.changes.totals.linesAdded - a.changes.totals.linesAdded);
+    
+    comparison.rankings.byChurn = [...scenarioData]
+      .sort((a, b) => b.changes.totals.churn - a.changes.totals.churn);
     
     comparison.rankings.byFeatureCompletion = [...scenarioData]
       .sort((a, b) => b.featuresImplemented - a.featuresImplemented);
     
+    comparison.pairwise = this.comparePairs(comparison.rankings.byOverallScore);
+    
     // Detailed analysis
-    scenarios.forEach(scenarioId => {
+    scenarioData.forEach(data => {
+      const { scenarioId, validation, trials } = data;
       const scenario = this.results.config.scenarios.find(s => s.id === scenarioId);
-      const result = this.results.results.find(r => r.scenarioId === scenarioId);
-      const validation = validationResults[scenarioId];
+      const sessions = sessionsByScenario[scenarioId];
+      const completedTrials = sessions.filter(r => r.completed).length;
       
       comparison.detailed[scenarioId] = {
         name: scenario?.name || scenarioId,
         description: scenario?.description || '',
+        task: data.task,
         performance: {
-          completionTime: result?.duration || 0,
-          completed: result?.completed || false,
-          exitCode: result?.exitCode || -1
+          completionTime: data.duration,
+          completed: completedTrials === trials,
+          completedTrials,
+          timedOutTrials: sessions.filter(r => r.status === 'timeout').length,
+          trials,
+          exitCodes: sessions.map(r => r.exitCode ?? -1),
+          turns: data.stats.turns ? data.stats.turns.mean : null,
+          toolCalls: this.meanToolCalls(sessions),
+          agentErrors: sessions.flatMap(r => (r.errors || []).map(error => `${r.sessionId}: ${error}`))
         },
+        stats: data.stats,
+        stages: data.stages,
+        acceptance: data.acceptance,
+        coverage: data.coverage,
+        mutation: data.mutation,
+        integrity: data.integrity,
+        dependencies: data.dependencies,
         validation,
+        baseline: this.summarizeBaseline(scenarioId, sessions.map(r => validationResults[r.sessionId])),
         strengths: [],
         weaknesses: []
       };
       
-      // Identify strengths and weaknesses
-      if (validation) {
-        if (validation.todoComponentExists) comparison.detailed[scenarioId].strengths.push('Successfully implemented todo component');
-        if (validation.testsWritten) comparison.detailed[scenarioId].strengths.push('Wrote comprehensive tests');
-        if (validation.hasLocalStorageImplementation) comparison.detailed[scenarioId].strengths.push('Implemented local storage persistence');
-        if (validation.hasErrorHandling) comparison.detailed[scenarioId].strengths.push('Added proper error handling');
-        if (validation.passesLinting) comparison.detailed[scenarioId].strengths.push('Code passes linting standards');
-        if (validation.testsPass) comparison.detailed[scenarioId].strengths.push('All tests pass successfully');
-        
-        if (!validation.todoComponentExists) comparison.detailed[scenarioId].weaknesses.push('Failed to implement todo component');
-        if (!validation.testsWritten) comparison.detailed[scenarioId].weaknesses.push('No tests written');
-        if (!validation.hasLocalStorageImplementation) comparison.detailed[scenarioId].weaknesses.push('Missing local storage implementation');
-        if (!validation.hasErrorHandling) comparison.detailed[scenarioId].weaknesses.push('Lacks error handling');
-        if (!validation.passesLinting) comparison.detailed[scenarioId].weaknesses.push('Code fails linting standards');
-        if (!validation.testsPass) comparison.detailed[scenarioId].weaknesses.push('Tests fail or missing');
+      // Identify strengths and weaknesses (a check counts when it passes in at least half the trials)
+      this.getTask(scenarioId).validators.forEach(({ name, strength, weakness }) => {
+        const rate = validation[name] || 0;
+        const suffix = trials > 1 ? ` (${Math.round(rate * trials)}/${trials} trials)` : '';
+        if (rate >= 0.5) {
+          comparison.detailed[scenarioId].strengths.push(strength + suffix);
+        } else {
+          comparison.detailed[scenarioId].weaknesses.push(weakness + suffix);
+        }
+      });
+      
+      if (data.acceptance) {
+        const score = data.acceptance.score.mean;
+        const summary = `Passes ${(score * 100).toFixed(0)}% of the hidden acceptance tests`;
+        comparison.detailed[scenarioId][score >= 0.5 ? 'strengths' : 'weaknesses'].push(summary);
+        data.acceptance.tests
+          .filter(test => test.passed / test.runs < 0.5)
+          .forEach(test => {
+            comparison.detailed[scenarioId].weaknesses.push(`Fails acceptance test "${test.name}"${trials > 1 ? ` (${test.passed}/${test.runs} trials passed)` : ''}`);
+          });
+      }
+      
+      Object.entries(comparison.detailed[scenarioId].baseline?.regressedChecks || {}).forEach(([key, count]) => {
+        comparison.detailed[scenarioId].weaknesses.push(`Broke ${key}, which passed before the session (${count}/${trials} trials)`);
+      });
+      
+      data.integrity.flags.forEach(flag => {
+        comparison.detailed[scenarioId].weaknesses.push(`⚠️ ${flag.message}${trials > 1 ? ` (${flag.trials}/${trials} trials)` : ''}`);
+      });
+      
+      data.dependencies?.violations.forEach(violation => {
+        comparison.detailed[scenarioId].weaknesses.push(`⚠️ ${violation.name}${trials > 1 ? ` (${violation.trials}/${trials} trials)` : ''}`);
+      });
+      if (data.dependencies?.installFailures > 0) {
+        comparison.detailed[scenarioId].weaknesses.push(`Dependencies no longer install offline (${data.dependencies.installFailures}/${trials} trials)`);
       }
     });
     
     return comparison;
   }
 
+  // Mann-Whitney U test and effect sizes on per-trial scores for every pair of
+  // scenarios. p-values are Holm-adjusted across all pairs.
+  comparePairs(scenarioData) {
+    const alpha = this.getAlpha();
+    const pairs = [];
+    
+    for (let i = 0; i < scenarioData.length; i++) {
+      for (let j = i + 1; j < scenarioData.length; j++) {
+        const a = scenarioData[i];
+        const b = scenarioData[j];
+        const test = mannWhitneyU(a.samples.score, b.samples.score);
+        const delta = cliffsDelta(a.samples.score, b.samples.score);
+        
+        pairs.push({
+          scenarioA: a.scenarioId,
+          scenarioB: b.scenarioId,
+          meanDifference: a.overallScore - b.overallScore,
+          u: test.u,
+          method: test.method,
+          pValue: test.pValue,
+          cliffsDelta: delta,
+          effectSize: cliffsDeltaMagnitude(delta),
+          cohensD: cohensD(a.samples.score, b.samples.score)
+        });
+      }
+    }
+    
+    const adjusted = holmAdjust(pairs.map(pair => pair.pValue));
+    pairs.forEach((pair, index) => {
+      pair.adjustedPValue = adjusted[index];
+      pair.significant = pair.adjustedPValue < alpha;
+    });
+    
+    return pairs;
+  }
+
   generateReport(comparison, validationResults) {
     console.log('📝 Generating analysis report...');
     
@@ -194,10 +812,29 @@ class BenchmarkAnalyzer {
       metadata: {
         generatedAt: timestamp,
         benchmarkResults: this.results.timestamp,
-        analyzer: 'Claude Code Benchmarker v1.0'
+        analyzer: 'Claude Code Benchmarker v1.0',
+        alpha: this.getAlpha(),
+        replayedAt: this.results.replayedAt || null,
+        archivedWorkspaces: this.archived,
+        baseline: this.baseline
+          ? Object.fromEntries(Object.entries(this.baseline.scenarios).map(([scenarioId, entry]) => [scenarioId, {
+            healthy: entry.healthy,
+            checks: Object.fromEntries(Object.entries(entry.checks).map(([name, check]) => [name, { passed: check.passed, detail: check.detail }])),
+            score: this.scoreBaseline(scenarioId)?.score ?? entry.validation.overallScore,
+            acceptanceScore: entry.validation.acceptanceScore ?? null
+          }]))
+          : null,
+        // Scoring model of every task in the run, so scores of runs can be
+        // compared (or the raw validations rescored) knowing how they were made
+        scoring: Object.fromEntries(this.results.config.scenarios
+          .filter(scenario => comparison.detailed[scenario.id])
+          .map(scenario => this.getTask(scenario.id))
+          .map(task => [task.id, task.scoring]))
       },
       summary: comparison.summary,
       rankings: comparison.rankings,
+      pairwise: comparison.pairwise,
+      failures: comparison.failures,
       detailed: comparison.detailed,
       insights: this.generateInsights(comparison),
       rawValidation: validationResults
@@ -211,7 +848,8 @@ class BenchmarkAnalyzer {
       topPerformer: null,
       fastestCompletion: null,
       mostThorough: null,
-      recommendations: []
+      recommendations: [],
+      inconclusive: []
     };
     
     // Top performer (best overall score)
@@ -229,44 +867,60 @@ class BenchmarkAnalyzer {
       insights.mostThorough = comparison.rankings.byLinesAdded[0];
     }
     
-    // Generate recommendations
-    const scenarios = Object.keys(comparison.detailed);
+    // Recommendations are only emitted for differences significant at alpha;
+    // everything else is listed as inconclusive
+    const alpha = this.getAlpha();
+    const formatP = p => p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`;
+    
+    comparison.pairwise.forEach(pair => {
+      const [winner, loser] = pair.meanDifference >= 0
+        ? [pair.scenarioA, pair.scenarioB]
+        : [pair.scenarioB, pair.scenarioA];
+      const detail = `p ${formatP(pair.adjustedPValue)}, Cliff's δ = ${Math.abs(pair.cliffsDelta).toFixed(2)} (${pair.effectSize})`;
+      
+      if (pair.significant) {
+        insights.recommendations.push(`${winner} scores significantly higher than ${loser} (${detail})`);
+      } else {
+        insights.inconclusive.push(`No significant score difference between ${pair.scenarioA} and ${pair.scenarioB} (${detail})`);
+      }
+    });
     
-    // Check if TDD approach performed better
-    const tddResults = scenarios.filter(s => s.includes('tdd'));
-    const nonTddResults = scenarios.filter(s => !s.includes('tdd'));
+    // Check if TDD approach performed better, pooling every trial
+    const scenarios = comparison.rankings.byOverallScore;
+    const isTdd = s => s.scenarioId.includes('tdd') && !s.scenarioId.includes('no-tdd');
+    const tddScores = scenarios.filter(isTdd).flatMap(s => s.samples.score);
+    const nonTddScores = scenarios.filter(s => !isTdd(s)).flatMap(s => s.samples.score);
     
-    if (tddResults.length > 0 && nonTddResults.length > 0) {
-      const tddAvgScore = tddResults.reduce((sum, s) => 
-        sum + (comparison.detailed[s].validation?.overallScore || 0), 0) / tddResults.length;
-      const nonTddAvgScore = nonTddResults.reduce((sum, s) => 
-        sum + (comparison.detailed[s].validation?.overallScore || 0), 0) / nonTddResults.length;
+    if (tddScores.length > 0 && nonTddScores.length > 0) {
+      const test = mannWhitneyU(tddScores, nonTddScores);
+      const delta = cliffsDelta(tddScores, nonTddScores);
+      const detail = `p ${formatP(test.pValue)}, Cliff's δ = ${delta.toFixed(2)} (${cliffsDeltaMagnitude(delta)})`;
       
-      if (tddAvgScore > nonTddAvgScore) {
-        insights.recommendations.push('TDD approach shows better overall results');
+      if (test.pValue >= alpha) {
+        insights.inconclusive.push(`TDD and non-TDD approaches are not significantly different (${detail})`);
+      } else if (delta > 0) {
+        insights.recommendations.push(`TDD approach shows better overall results (${detail})`);
       } else {
-        insights.recommendations.push('Non-TDD approaches perform comparably or better');
+        insights.recommendations.push(`Non-TDD approaches perform better (${detail})`);
       }
     }
     
-    // Check for correlation between completion time and quality
-    const timeVsQuality = comparison.rankings.byOverallScore.map(item => ({
-      time: item.duration,
-      score: item.overallScore
-    }));
-    
-    // Simple correlation check
-    const fastFinishers = timeVsQuality.filter(item => item.time < comparison.summary.avgCompletionTime);
-    const slowFinishers = timeVsQuality.filter(item => item.time >= comparison.summary.avgCompletionTime);
+    // Check whether longer sessions produce higher scores
+    const sessions = scenarios.flatMap(s => s.samples.duration.map((time, i) => ({ time, score: s.samples.score[i] })));
+    const fastScores = sessions.filter(item => item.time < comparison.summary.avgCompletionTime).map(item => item.score);
+    const slowScores = sessions.filter(item => item.time >= comparison.summary.avgCompletionTime).map(item => item.score);
     
-    if (fastFinishers.length > 0 && slowFinishers.length > 0) {
-      const fastAvgScore = fastFinishers.reduce((sum, item) => sum + item.score, 0) / fastFinishers.length;
-      const slowAvgScore = slowFinishers.reduce((sum, item) => sum + item.score, 0) / slowFinishers.length;
+    if (fastScores.length > 0 && slowScores.length > 0) {
+      const test = mannWhitneyU(slowScores, fastScores);
+      const delta = cliffsDelta(slowScores, fastScores);
+      const detail = `p ${formatP(test.pValue)}, Cliff's δ = ${delta.toFixed(2)} (${cliffsDeltaMagnitude(delta)})`;
       
-      if (slowAvgScore > fastAvgScore) {
-        insights.recommendations.push('Longer completion times correlate with higher quality output');
+      if (test.pValue >= alpha) {
+        insights.inconclusive.push(`Completion time has no significant relation to output quality (${detail})`);
+      } else if (delta > 0) {
+        insights.recommendations.push(`Longer completion times correlate with higher quality output (${detail})`);
       } else {
-        insights.recommendations.push('Faster completion does not compromise output quality');
+        insights.recommendations.push(`Faster completion correlates with higher quality output (${detail})`);
       }
     }
     
@@ -279,6 +933,17 @@ class BenchmarkAnalyzer {
     await fs.writeJson(reportFile, report, { spaces: 2 });
     console.log(`💾 Analysis report saved to: ${reportFile}`);
     
+    // Per-file diff statistics of every session (and stage) on their own
+    const diffFile = path.join(this.runDir, 'diff-analysis.json');
+    await fs.writeJson(diffFile, {
+      generatedAt: report.metadata.generatedAt,
+      sessions: Object.fromEntries(Object.entries(report.rawValidation).map(([sessionId, validation]) => [sessionId, {
+        ...validation.changes,
+        stages: validation.stages?.map(stage => ({ stage: stage.stage, ...stage.changes }))
+      }]))
+    }, { spaces: 2 });
+    console.log(`💾 Diff analysis saved to: ${diffFile}`);
+    
     // Also generate a human-readable summary
     await this.generateHumanReadableReport(report);
     
@@ -287,38 +952,265 @@ class BenchmarkAnalyzer {
 
   async generateHumanReadableReport(report) {
     const summaryFile = path.join(this.runDir, 'analysis-summary.md');
+    const relative = report.summary.relativeToBaseline;
     
     let markdown = `# Claude Code Benchmark Analysis Report
 
-Generated: ${new Date(report.metadata.generatedAt).toLocaleString()}
+Generated: ${new Date(report.metadata.generatedAt).toLocaleString()}${report.metadata.replayedAt ? ' (replayed from recorded sessions)' : ''}
 
 ## Summary
 
 - **Total Scenarios**: ${report.summary.totalScenarios}
+- **Total Sessions**: ${report.summary.totalSessions}
 - **Average Completion Time**: ${Math.round(report.summary.avgCompletionTime / 1000)}s
-- **Average Score**: ${(report.summary.avgScore * 100).toFixed(1)}%
-- **Average Lines Added**: ${Math.round(report.summary.avgLinesAdded)}
-
-## Top Performers
+- **Average Score**: ${this.describeScore(report.summary.avgScore, report.summary.avgAbsoluteScore, relative)}
+${report.summary.avgAcceptanceScore !== null ? `- **Average Acceptance**: ${(report.summary.avgAcceptanceScore * 100).toFixed(1)}% of hidden tests passed\n` : ''}- **Average Lines Added**: ${Math.round(report.summary.avgLinesAdded)} (${Math.round(report.summary.avgLinesRemoved)} removed)
+- **Total Cost**: $${report.summary.totalCostUsd.toFixed(4)} (${report.summary.totalTokens} tokens)
+${report.summary.skippedSessions.length > 0 ? `- **Skipped (budget)**: ${report.summary.skippedSessions.map(skip => skip.sessionId).join(', ')}\n` : ''}
+${relative ? this.formatBaseline(report) : ''}## Top Performers
 
 ### Overall Best Score
-**${report.insights.topPerformer?.scenarioId}** - ${(report.insights.topPerformer?.overallScore * 100).toFixed(1)}%
+**${report.insights.topPerformer?.scenarioId}** - ${this.describeScore(report.insights.topPerformer?.overallScore, report.insights.topPerformer?.absoluteScore, relative)}
 
 ### Fastest Completion
 **${report.insights.fastestCompletion?.scenarioId}** - ${Math.round(report.insights.fastestCompletion?.duration / 1000)}s
 
 ### Most Code Generated
-**${report.insights.mostThorough?.scenarioId}** - ${report.insights.mostThorough?.linesOfCodeAdded} lines
+**${report.insights.mostThorough?.scenarioId}** - ${Math.round(report.insights.mostThorough?.changes.totals.linesAdded)} lines
 
 ## Detailed Results
 
-| Scenario | Score | Time | Features | Tests | Linting | Storage | Errors |
-|----------|-------|------|----------|-------|---------|---------|--------|
+| Scenario | Task | Trials | ${relative ? 'Δ Score' : 'Score'} (CI) | Acceptance | Coverage (changed) | Time | Features |
+|----------|------|--------|-------|------------|--------------------|------|----------|
 `;
 
+    const formatCoverage = value => (typeof value === 'number' ? `${(value * 100).toFixed(1)}%` : 'n/a');
+
+    // Single trials show ✅/❌, repeated trials show how many passed
+    const formatRate = (rate, trials) => trials > 1
+      ? `${Math.round((rate || 0) * trials)}/${trials}`
+      : (rate ? '✅' : '❌');
+
     report.rankings.byOverallScore.forEach(item => {
       const val = item.validation;
-      markdown += `| ${item.scenarioId} | ${(item.overallScore * 100).toFixed(1)}% | ${Math.round(item.duration / 1000)}s | ${val?.featuresImplemented || 0}/4 | ${val?.testsWritten ? '✅' : '❌'} | ${val?.passesLinting ? '✅' : '❌'} | ${val?.hasLocalStorageImplementation ? '✅' : '❌'} | ${val?.hasErrorHandling ? '✅' : '❌'} |
+      const ci = item.stats.score.ci;
+      const score = item.trials > 1
+        ? `${(item.overallScore * 100).toFixed(1)}% [${(ci.lower * 100).toFixed(1)}–${(ci.upper * 100).toFixed(1)}]`
+        : `${(item.overallScore * 100).toFixed(1)}%`;
+      const acceptance = item.acceptanceScore !== null ? `${(item.acceptanceScore * 100).toFixed(1)}%` : 'n/a';
+      markdown += `| ${item.scenarioId} | ${item.task.id} | ${item.trials} | ${score} | ${acceptance} | ${formatCoverage(item.coverage?.changed?.lines)} | ${Math.round(item.duration / 1000)}s | ${(val?.featuresImplemented || 0).toFixed(1)}/${item.task.features} |
+`;
+    });
+
+    markdown += this.formatIntegrity(report);
+    markdown += this.formatScoreBreakdown(report);
+
+    markdown += `
+
+## Checks
+
+| Scenario | Check | Category | Weight | Passed |
+|----------|-------|----------|--------|--------|
+`;
+
+    report.rankings.byOverallScore.forEach(item => {
+      item.task.checks.forEach(check => {
+        markdown += `| ${item.scenarioId} | ${check.description} | ${check.category} | ${check.weight ?? 1} | ${formatRate(item.validation?.[check.name], item.trials)} |
+`;
+      });
+    });
+
+    const accepted = report.rankings.byOverallScore.filter(item => item.acceptance);
+    if (accepted.length > 0) {
+      markdown += `
+
+## Acceptance Tests
+
+Hidden tests of the task, copied into the workspace only after the session.
+
+| Scenario | Test | Passed | First Failure |
+|----------|------|--------|---------------|
+`;
+      accepted.forEach(item => {
+        item.acceptance.tests.forEach(test => {
+          const failure = (test.failures[0] || '').split('\n').filter(Boolean).slice(0, 2).join(' ').replace(/\|/g, '\\|');
+          markdown += `| ${item.scenarioId} | ${test.name.replace(/\|/g, '\\|')} | ${item.trials > 1 ? `${test.passed}/${test.runs}` : (test.passed ? '✅' : '❌')} | ${failure} |
+`;
+        });
+        item.acceptance.errors.forEach(error => {
+          markdown += `| ${item.scenarioId} | (run failed) | ❌ | ${error.split('\n')[0].replace(/\|/g, '\\|')} |
+`;
+        });
+      });
+    }
+
+    const covered = report.rankings.byOverallScore.filter(item => item.coverage);
+    if (covered.length > 0) {
+      markdown += `
+
+## Coverage
+
+Jest coverage after the session, for the whole project and for the files the session added or modified.
+
+| Scenario | Lines | Branches | Functions | Changed Lines | Changed Branches | Changed Functions | Not Instrumented |
+|----------|-------|----------|-----------|---------------|------------------|-------------------|------------------|
+`;
+      covered.forEach(item => {
+        const { project, changed, uncollected, errors } = item.coverage;
+        const notes = [...uncollected, ...errors.map(error => `error: ${error.split('\n')[0]}`)].join(', ').replace(/\|/g, '\\|');
+        markdown += `| ${item.scenarioId} | ${formatCoverage(project.lines)} | ${formatCoverage(project.branches)} | ${formatCoverage(project.functions)} | ${formatCoverage(changed.lines)} | ${formatCoverage(changed.branches)} | ${formatCoverage(changed.functions)} | ${notes} |
+`;
+      });
+    }
+
+    const mutated = report.rankings.byOverallScore.filter(item => item.mutation);
+    if (mutated.length > 0) {
+      markdown += `
+
+## Mutation Testing
+
+Faults injected one at a time into the lines each session changed; a mutant is killed when the project's own tests fail against it and times out when they hang; the score counts both.
+
+| Scenario | Mutants | Killed | Timed Out | Survived | Score | Surviving Mutants |
+|----------|---------|--------|-----------|----------|-------|-------------------|
+`;
+      mutated.forEach(item => {
+        const { total, killed, timedOut, survived, score, survivors, errors } = item.mutation;
+        const notes = [
+          ...survivors.slice(0, 3).map(mutant => `${mutant.file}:${mutant.line} \`${mutant.original}\` → \`${mutant.replacement}\``),
+          ...(survivors.length > 3 ? [`${survivors.length - 3} more`] : []),
+          ...errors.map(error => `error: ${error.split('\n')[0]}`)
+        ].join(', ').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        markdown += `| ${item.scenarioId} | ${total} | ${killed} | ${timedOut} | ${survived} | ${formatCoverage(score)} | ${notes} |
+`;
+      });
+    }
+
+    markdown += `
+
+## Code Changes
+
+Mean per trial, compared with the task's template; lockfiles are left out. Modified lines are removed lines replaced within the same hunk.
+
+| Scenario | New / Edited / Deleted Files | Added | Removed | Modified | Churn | Largest Hunk | By Type | Outside src/ and tests/ |
+|----------|------------------------------|-------|---------|----------|-------|--------------|---------|-------------------------|
+`;
+    report.rankings.byOverallScore.forEach(item => {
+      const { totals, byType, largestHunk, outsideExpectedDirs } = item.changes;
+      const round = value => Math.round(value * 10) / 10;
+      const types = Object.entries(byType)
+        .sort(([, a], [, b]) => b.churn - a.churn)
+        .map(([type, counts]) => `${type} +${round(counts.linesAdded)}/-${round(counts.linesRemoved)}`)
+        .join(', ');
+      markdown += `| ${item.scenarioId} | ${round(totals.newFiles)} / ${round(totals.editedFiles)} / ${round(totals.deletedFiles)} | ${round(totals.linesAdded)} | ${round(totals.linesRemoved)} | ${round(totals.linesModified)} | ${round(totals.churn)} | ${largestHunk ? `${largestHunk.lines} (${largestHunk.file})` : 'n/a'} | ${types} | ${outsideExpectedDirs.join(', ')} |
+`;
+    });
+
+    const withDependencies = report.rankings.byOverallScore.filter(item => item.dependencies?.changedTrials > 0 || item.dependencies?.policy);
+    if (withDependencies.length > 0) {
+      markdown += `
+
+## Dependency Changes
+
+Direct dependencies in package.json and installed packages in the lockfile, compared with what each session started from. With several trials, the number of trials that made a change follows it in parentheses.
+
+| Scenario | Changed Trials | Added | Removed | Upgraded | Downgraded | Transitive Δ | Offline Install Failures | Policy Violations |
+|----------|----------------|-------|---------|----------|------------|--------------|--------------------------|-------------------|
+`;
+      withDependencies.forEach(item => {
+        const { changedTrials, added, removed, upgraded, downgraded, transitiveDelta, installFailures, violations } = item.dependencies;
+        const list = entries => entries.map(entry => (item.trials > 1 ? `${entry.name} (${entry.trials})` : entry.name)).join(', ').replace(/\|/g, '\\|');
+        const delta = transitiveDelta === null ? 'n/a' : `${transitiveDelta > 0 ? '+' : ''}${Math.round(transitiveDelta * 10) / 10}`;
+        markdown += `| ${item.scenarioId} | ${changedTrials}/${item.trials} | ${list(added)} | ${list(removed)} | ${list(upgraded)} | ${list(downgraded)} | ${delta} | ${installFailures} | ${violations.length > 0 ? `⚠️ ${list(violations)}` : ''} |
+`;
+      });
+    }
+
+    markdown += `
+
+## Trial Statistics
+
+| Scenario | Metric | Mean | Median | Std Dev | Min | Max |
+|----------|--------|------|--------|---------|-----|-----|
+`;
+
+    const formatters = {
+      score: value => `${(value * 100).toFixed(1)}%`,
+      duration: value => `${Math.round(value / 1000)}s`,
+      linesAdded: value => `${Math.round(value)}`,
+      churn: value => `${Math.round(value)}`,
+      turns: value => value.toFixed(1),
+      acceptance: value => `${(value * 100).toFixed(1)}%`
+    };
+    const metricLabels = { score: 'Score', duration: 'Duration', linesAdded: 'Lines Added', churn: 'Churn', turns: 'Turns', acceptance: 'Acceptance' };
+
+    report.rankings.byOverallScore.forEach(item => {
+      Object.entries(item.stats).forEach(([metric, stat]) => {
+        const format = formatters[metric];
+        markdown += `| ${item.scenarioId} | ${metricLabels[metric]} | ${format(stat.mean)} | ${format(stat.median)} | ${format(stat.stdDev)} | ${format(stat.min)} | ${format(stat.max)} |
+`;
+      });
+    });
+
+    markdown += `
+
+Score intervals are ${Math.round((1 - report.metadata.alpha) * 100)}% bootstrap confidence intervals of the mean across trials.
+`;
+
+    const staged = report.rankings.byOverallScore.filter(item => item.stages);
+    if (staged.length > 0) {
+      markdown += `
+## Stage Scores
+
+| Scenario | Stage | Prompt | Trials | Score | Acceptance | Features |
+|----------|-------|--------|--------|-------|------------|----------|
+`;
+      staged.forEach(item => {
+        item.stages.forEach(stage => {
+          markdown += `| ${item.scenarioId} | ${stage.stage} | ${stage.prompt.replace(/\|/g, '\\|')} | ${stage.trials} | ${(stage.score.mean * 100).toFixed(1)}% | ${stage.validation.acceptanceScore !== undefined ? `${(stage.validation.acceptanceScore * 100).toFixed(1)}%` : 'n/a'} | ${(stage.validation.featuresImplemented || 0).toFixed(1)}/${item.task.features} |
+`;
+        });
+      });
+    }
+
+    const costed = report.rankings.byOverallScore.filter(item => item.cost);
+    if (costed.length > 0) {
+      markdown += `
+## Cost
+
+| Scenario | Total Cost | Mean Cost / Trial | Input Tokens | Output Tokens | Cache Tokens (write/read) | Cost per Score Point |
+|----------|------------|-------------------|--------------|---------------|---------------------------|----------------------|
+`;
+      costed.forEach(item => {
+        const cost = item.cost;
+        markdown += `| ${item.scenarioId} | $${cost.totalUsd.toFixed(4)} | $${cost.meanUsd.toFixed(4)} | ${cost.inputTokens} | ${cost.outputTokens} | ${cost.cacheCreationTokens}/${cost.cacheReadTokens} | ${cost.costPerScorePoint !== null ? `$${cost.costPerScorePoint.toFixed(4)}` : 'n/a'} |
+`;
+      });
+    }
+
+    if (report.failures.length > 0) {
+      markdown += `
+## Failures
+
+| Class | Failed Attempts | Sessions Failed | Scored | Example |
+|-------|-----------------|-----------------|--------|---------|
+`;
+      report.failures.forEach(failure => {
+        markdown += `| ${failure.failureClass} | ${failure.attempts} | ${failure.sessions.length} | ${failure.scored ? 'yes' : 'no'} | ${(failure.examples[0] || '').replace(/\|/g, '\\|')} |
+`;
+      });
+    }
+
+    markdown += `
+
+## Pairwise Comparisons
+
+| Scenario A | Scenario B | Mean Diff | p (Holm) | Cliff's δ | Effect | Cohen's d | Significant |
+|------------|------------|-----------|----------|-----------|--------|-----------|-------------|
+`;
+
+    report.pairwise.forEach(pair => {
+      markdown += `| ${pair.scenarioA} | ${pair.scenarioB} | ${(pair.meanDifference * 100).toFixed(1)}% | ${pair.adjustedPValue.toFixed(3)} | ${pair.cliffsDelta.toFixed(2)} | ${pair.effectSize} | ${pair.cohensD.toFixed(2)} | ${pair.significant ? '✅' : '❌'} |
 `;
     });
 
@@ -326,6 +1218,8 @@ Generated: ${new Date(report.metadata.generatedAt).toLocaleString()}
 
 ## Key Insights
 
+Recommendations require significance at α = ${report.metadata.alpha}.
+
 `;
 
     report.insights.recommendations.forEach(rec => {
@@ -333,6 +1227,16 @@ Generated: ${new Date(report.metadata.generatedAt).toLocaleString()}
 `;
     });
 
+    if (report.insights.inconclusive.length > 0) {
+      markdown += `
+**Inconclusive**:
+`;
+      report.insights.inconclusive.forEach(item => {
+        markdown += `- ${item}
+`;
+      });
+    }
+
     markdown += `
 
 ## Individual Scenario Analysis
@@ -344,10 +1248,12 @@ Generated: ${new Date(report.metadata.generatedAt).toLocaleString()}
 
 **Description**: ${details.description}
 
-**Performance**:
-- Completion Time: ${Math.round(details.performance.completionTime / 1000)}s
-- Success: ${details.performance.completed ? '✅' : '❌'}
+**Task**: ${details.task.name} (\`${details.task.id}\`)
 
+**Performance**:
+- Completion Time: ${Math.round(details.performance.completionTime / 1000)}s (mean)
+- Success: ${details.performance.completed ? '✅' : '❌'} (${details.performance.completedTrials}/${details.performance.trials} trials completed)
+${details.performance.timedOutTrials > 0 ? `- Timeouts: ${details.performance.timedOutTrials}/${details.performance.trials} trials (scored on partial output)\n` : ''}${details.performance.turns !== null ? `- Turns: ${details.performance.turns.toFixed(1)} (mean)\n` : ''}${Object.keys(details.performance.toolCalls).length > 0 ? `- Tool Calls: ${Object.entries(details.performance.toolCalls).map(([tool, count]) => `${tool} ×${count.toFixed(1)}`).join(', ')} (mean)\n` : ''}${details.performance.agentErrors.length > 0 ? `- Agent Errors: ${details.performance.agentErrors.join('; ')}\n` : ''}
 **Strengths**:
 ${details.strengths.map(s => `- ${s}`).join('\\n')}
 
@@ -365,15 +1271,119 @@ ${details.weaknesses.map(w => `- ${w}`).join('\\n')}
     return summaryFile;
   }
 
+  // Warnings for sessions that weakened the template's tests or changed files
+  // outside the task's scope; empty when no session did
+  formatIntegrity(report) {
+    const flagged = report.rankings.byOverallScore.filter(item => item.integrity?.flags.length > 0);
+    if (flagged.length === 0) return '';
+    
+    let markdown = `
+
+## ⚠️ Integrity Warnings
+
+These sessions deleted, skipped or weakened existing tests, changed which tests Jest runs, or changed files outside the task's scope. Each kind of finding is deducted from the score as a penalty.
+
+| Scenario | Flagged Trials | Mean Penalty | Finding | Trials |
+|----------|----------------|--------------|---------|--------|
+`;
+    flagged.forEach(item => {
+      const { flaggedTrials, penalty, flags } = item.integrity;
+      flags.forEach((flag, index) => {
+        const summary = index === 0 ? `${flaggedTrials}/${item.trials} | -${(penalty * 100).toFixed(1)}%` : ' | ';
+        markdown += `| ${index === 0 ? item.scenarioId : ''} | ${summary} | ${flag.type}: ${flag.message.replace(/\|/g, '\\|')} | ${flag.trials} |
+`;
+      });
+    });
+    
+    return markdown;
+  }
+
+  // Absolute category subscores of each scenario and the scoring models
+  // behind them
+  formatScoreBreakdown(report) {
+    const models = Object.entries(report.metadata.scoring || {});
+    if (models.length === 0) return '';
+    
+    const categoryNames = [...new Set(models.flatMap(([, model]) => model.categories.map(category => category.name)))];
+    let markdown = `
+
+## Score Breakdown
+
+| Scenario | ${categoryNames.join(' | ')} |
+|----------|${categoryNames.map(() => '------').join('|')}|
+`;
+    report.rankings.byOverallScore.forEach(item => {
+      const cells = categoryNames.map(name => {
+        const score = item.categoryScores?.[name];
+        return typeof score === 'number' ? `${(score * 100).toFixed(1)}%` : 'n/a';
+      });
+      markdown += `| ${item.scenarioId} | ${cells.join(' | ')} |
+`;
+    });
+    
+    models.forEach(([taskId, model]) => {
+      markdown += `
+Scoring model of ${taskId} (\`${model.fingerprint}\`): ${model.categories.map(category => {
+        const metrics = category.items.filter(item => item.metric).map(item => `${item.metric} ${item.zero}→${item.full}`);
+        return `${category.name} ×${category.weight}${metrics.length > 0 ? ` (${metrics.join(', ')})` : ''}`;
+      }).join(', ')}${model.penalties ? `; penalties ${Object.entries(model.penalties).filter(([, penalty]) => penalty > 0).map(([type, penalty]) => `${type} -${penalty}`).join(', ')}` : ''}
+`;
+    });
+    
+    return markdown;
+  }
+
+  // Health checks and score of each scenario's untouched sample
+  formatBaseline(report) {
+    const entries = Object.entries(report.metadata.baseline);
+    const checkNames = [...new Set(entries.flatMap(([, entry]) => Object.keys(entry.checks)))];
+    
+    let markdown = `## Baseline
+
+Scores are changes against the untouched sample of each scenario, scored before any agent ran.
+
+| Scenario | Baseline Score | Acceptance | ${checkNames.map(name => name[0].toUpperCase() + name.slice(1)).join(' | ')} |
+|----------|----------------|------------|${checkNames.map(() => '------').join('|')}|
+`;
+    entries.forEach(([scenarioId, entry]) => {
+      const cells = checkNames.map(name => {
+        const check = entry.checks[name];
+        if (!check) return 'n/a';
+        return check.passed ? '✅' : `❌ ${check.detail}`;
+      });
+      const acceptance = entry.acceptanceScore !== null ? `${(entry.acceptanceScore * 100).toFixed(1)}%` : 'n/a';
+      markdown += `| ${scenarioId} | ${(entry.score * 100).toFixed(1)}% | ${acceptance} | ${cells.join(' | ')} |
+`;
+    });
+    
+    return `${markdown}
+`;
+  }
+
+  // "+x% vs baseline (y% absolute)" for scores relative to the baseline,
+  // otherwise the plain percentage
+  describeScore(score, absoluteScore, relative) {
+    if (!relative) return `${(score * 100).toFixed(1)}%`;
+    return `${score > 0 ? '+' : ''}${(score * 100).toFixed(1)}% vs baseline (${((absoluteScore ?? score) * 100).toFixed(1)}% absolute)`;
+  }
+
   printSummary(report) {
     console.log('\\n📊 Analysis Summary:');
-    console.log(`   Average Score: ${(report.summary.avgScore * 100).toFixed(1)}%`);
+    const relative = report.summary.relativeToBaseline;
+    console.log(`   Average Score: ${this.describeScore(report.summary.avgScore, report.summary.avgAbsoluteScore, relative)}`);
+    if (report.summary.avgAcceptanceScore !== null) {
+      console.log(`   Acceptance: ${(report.summary.avgAcceptanceScore * 100).toFixed(1)}% of hidden tests passed`);
+    }
     console.log(`   Average Time: ${Math.round(report.summary.avgCompletionTime / 1000)}s`);
-    console.log(`   Average Lines: ${Math.round(report.summary.avgLinesAdded)}`);
+    console.log(`   Average Lines: +${Math.round(report.summary.avgLinesAdded)} / -${Math.round(report.summary.avgLinesRemoved)}`);
+    if (report.summary.totalTokens > 0 || report.summary.totalCostUsd > 0) {
+      console.log(`   Total Cost: $${report.summary.totalCostUsd.toFixed(4)} (${report.summary.totalTokens} tokens)`);
+    }
     
     console.log('\\n🏆 Top Performers:');
     if (report.insights.topPerformer) {
-      console.log(`   Best Score: ${report.insights.topPerformer.scenarioId} (${(report.insights.topPerformer.overallScore * 100).toFixed(1)}%)`);
+      const { scenarioId, overallScore, absoluteScore } = report.insights.topPerformer;
+      console.log(`   Best Score: ${scenarioId}, ${this.describeScore(overallScore, absoluteScore, relative)}`);
     }
     if (report.insights.fastestCompletion) {
       console.log(`   Fastest: ${report.insights.fastestCompletion.scenarioId} (${Math.round(report.insights.fastestCompletion.duration / 1000)}s)`);
@@ -383,6 +1393,9 @@ ${details.weaknesses.map(w => `- ${w}`).join('\\n')}
     report.insights.recommendations.forEach(rec => {
       console.log(`   - ${rec}`);
     });
+    if (report.insights.recommendations.length === 0) {
+      console.log(`   - No significant differences at α = ${report.metadata.alpha}`);
+    }
   }
 }
 
@@ -391,13 +1404,20 @@ async function main() {
   const args = process.argv.slice(2);
   const command = args[0];
   
+  const runArg = args.find(arg => arg.startsWith('--run='))?.split('=')[1]
+    || (args.includes('--run') ? args[args.indexOf('--run') + 1] : null);
+  
   const analyzer = new BenchmarkAnalyzer();
   
   try {
     switch (command) {
       case 'analyze':
       default:
-        await analyzer.loadLatestResults();
+        if (runArg) {
+          await analyzer.loadRunResults(runArg, { archived: true });
+        } else {
+          await analyzer.loadLatestResults();
+        }
         const validationResults = await analyzer.runValidationTests();
         const comparison = analyzer.generateComparison(validationResults);
         const report = analyzer.generateReport(comparison, validationResults);
@@ -413,9 +1433,13 @@ Commands:
   analyze     Run full analysis on latest results (default)
   help        Show this help message
 
+Options:
+  --run <id>  Analyze an earlier run against its archived workspaces
+
 Examples:
   node analyzer.js           # Analyze latest benchmark results
   node analyzer.js analyze   # Same as above
+  node analyzer.js --run run-2024-01-01T00-00-00-000Z
         `);
         break;
     }
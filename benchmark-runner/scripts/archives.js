@@ -0,0 +1,82 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { git, excludeFromGit, withTemporaryIndex } = require('./snapshots');
+const { DEPENDENCY_EXCLUDES, installDependencies } = require('./dependencies');
+const { ARTIFACT_EXCLUDES } = require('./diff');
+
+// Archives of each session's final workspace, so a run can be analyzed again
+// after samples/ has been recreated. An archive is a git bundle in
+// results/run-<id>/archives/<sessionId>.bundle holding the final state (and
+// every stage snapshot of a multi-prompt session) as a standalone chain of
+// commits without node_modules, which restoring reinstalls.
+
+const ARCHIVES_DIR = 'archives';
+const ARCHIVE_REF_PREFIX = 'refs/benchmark/archive/';
+
+// Copy of a snapshot commit with node_modules dropped from its tree
+async function stripDependencies(projectPath, commit, parent, message) {
+  const tree = await withTemporaryIndex(projectPath, async (env) => {
+    await git(projectPath, ['read-tree', commit], env);
+    await git(projectPath, ['rm', '-r', '--cached', '--quiet', '--ignore-unmatch', 'node_modules'], env);
+    return git(projectPath, ['write-tree'], env);
+  });
+
+  const commitArgs = ['commit-tree', tree, '-m', message];
+  if (parent) {
+    commitArgs.push('-p', parent);
+  }
+  return git(projectPath, commitArgs, {
+    GIT_AUTHOR_NAME: 'benchmark-runner',
+    GIT_AUTHOR_EMAIL: 'benchmark-runner@localhost',
+    GIT_COMMITTER_NAME: 'benchmark-runner',
+    GIT_COMMITTER_EMAIL: 'benchmark-runner@localhost'
+  });
+}
+
+// Bundles result.finalCommit and the stage snapshots; returns the
+// { bundle, stages } description stored as result.archive
+async function archiveSession(runDir, projectPath, result) {
+  const bundle = path.join(ARCHIVES_DIR, `${result.sessionId}.bundle`);
+  await fs.ensureDir(path.join(runDir, ARCHIVES_DIR));
+
+  const refs = [];
+  const stages = [];
+  let parent = null;
+  for (const stage of result.stages || []) {
+    parent = await stripDependencies(projectPath, stage.snapshotCommit, parent, `Stage ${stage.stage}`);
+    refs.push([`${ARCHIVE_REF_PREFIX}stage-${stage.stage}`, parent]);
+    stages.push({ stage: stage.stage, commit: parent });
+  }
+  const finalCommit = await stripDependencies(projectPath, result.finalCommit, parent, 'Final state');
+  refs.push([`${ARCHIVE_REF_PREFIX}final`, finalCommit]);
+
+  for (const [ref, commit] of refs) {
+    await git(projectPath, ['update-ref', ref, commit]);
+  }
+  await git(projectPath, ['bundle', 'create', '--quiet', path.join(runDir, bundle), ...refs.map(([ref]) => ref)]);
+
+  return { bundle, commit: finalCommit, stages };
+}
+
+// Checks an archive out into workspaceDir (refs/benchmark/final plus
+// refs/benchmark/stage-<n>) and installs its dependencies
+async function restoreArchive(bundleFile, workspaceDir) {
+  await fs.emptyDir(workspaceDir);
+  await git(workspaceDir, ['init', '--quiet']);
+
+  // Keeps the installed dependencies and tool output out of snapshots and
+  // diffs taken in this checkout
+  await excludeFromGit(workspaceDir, [...DEPENDENCY_EXCLUDES, ...ARTIFACT_EXCLUDES]);
+
+  await git(workspaceDir, ['fetch', '--quiet', bundleFile, `${ARCHIVE_REF_PREFIX}*:refs/benchmark/*`]);
+  await git(workspaceDir, ['checkout', '--quiet', '--detach', 'refs/benchmark/final']);
+
+  await installDependencies(workspaceDir);
+  return workspaceDir;
+}
+
+module.exports = {
+  ARCHIVES_DIR,
+  archiveSession,
+  restoreArchive
+};
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { git, snapshotWorkspace } = require('./snapshots');
+const { getCacheDir } = require('./dependencies');
+const { archiveSession, restoreArchive } = require('./archives');
+
+const GIT_ENV = { GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@localhost', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@localhost' };
+
+test('restoreArchive checks out the archived stages and final workspace with cached dependencies', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-archives-'));
+  const session = path.join(dir, 'session');
+  const runDir = path.join(dir, 'run');
+  const restored = path.join(dir, 'restored');
+
+  // The lockfile is unique so that no real dependency cache entry shares its
+  // key; the entry it gets holds a stand-in node_modules
+  await fs.outputJson(path.join(session, 'package.json'), { name: 'demo', private: true });
+  await fs.outputJson(path.join(session, 'package-lock.json'), { name: path.basename(dir), lockfileVersion: 3, packages: { '': { name: 'demo' } } });
+  await fs.outputFile(path.join(session, 'src/App.js'), 'export default () => null;\n');
+  await git(session, ['init', '--quiet']);
+  await git(session, ['add', '-A']);
+  await git(session, ['commit', '--quiet', '-m', 'Template'], GIT_ENV);
+  const cacheDir = getCacheDir(session);
+  await fs.outputFile(path.join(cacheDir, 'node_modules/left-pad/index.js'), 'module.exports = "cached";\n');
+  await fs.outputFile(path.join(cacheDir, '.complete'), '');
+  t.after(() => Promise.all([dir, cacheDir].map(target => fs.remove(target))));
+
+  await fs.writeFile(path.join(session, 'src/App.js'), "export default () => 'Hello';\n");
+  const stage = await snapshotWorkspace(session, { ref: 'refs/benchmark/stage-1' });
+  await fs.outputFile(path.join(session, 'tests/App.test.js'), "test('greets', () => {});\n");
+  // Installed by the session, so part of its snapshot but not of the archive
+  await fs.outputFile(path.join(session, 'node_modules/left-pad/index.js'), 'module.exports = "session";\n');
+  const final = await snapshotWorkspace(session, { ref: 'refs/benchmark/final' });
+
+  const archive = await archiveSession(runDir, session, {
+    sessionId: 'demo-trial-1',
+    finalCommit: final.commit,
+    stages: [{ stage: 1, snapshotCommit: stage.commit }]
+  });
+  await restoreArchive(path.join(runDir, archive.bundle), restored);
+
+  assert.strictEqual(await git(restored, ['rev-parse', 'HEAD']), archive.commit);
+  assert.strictEqual(await git(restored, ['rev-parse', 'refs/benchmark/stage-1']), archive.stages[0].commit);
+  assert.deepStrictEqual((await git(restored, ['ls-tree', '-r', '--name-only', 'HEAD'])).split('\n'), [
+    'package-lock.json',
+    'package.json',
+    'src/App.js',
+    'tests/App.test.js'
+  ]);
+  assert.strictEqual(await git(restored, ['show', 'refs/benchmark/stage-1:src/App.js']), "export default () => 'Hello';");
+  assert.strictEqual(await fs.readFile(path.join(restored, 'tests/App.test.js'), 'utf8'), "test('greets', () => {});\n");
+  assert.strictEqual(await fs.readFile(path.join(restored, 'node_modules/left-pad/index.js'), 'utf8'), 'module.exports = "cached";\n');
+  assert.strictEqual(await git(restored, ['status', '--porcelain']), '');
+});
@@ -0,0 +1,234 @@
+const { parse } = require('@babel/parser');
+
+// Static checks on the syntax tree of JS/JSX (and TS) files, for questions a
+// regex over the source cannot answer reliably: comments and strings never
+// match, and a match can be tied to the lines the session changed. Every
+// query returns the nodes that answer it; a rule passes when one of them
+// starts on a changed line (or anywhere, with changedOnly: false).
+
+const NON_CHILD_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+const COMPONENT_BASES = ['Component', 'PureComponent'];
+
+function parseSource(code, file) {
+  const typescript = /\.tsx?$/.test(file);
+  return parse(code, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    plugins: [...(typescript ? ['typescript'] : []), 'jsx']
+  });
+}
+
+// Calls visit(node, ancestors) for every node below root
+function walk(root, visit, ancestors = []) {
+  visit(root, ancestors);
+  const nextAncestors = [...ancestors, root];
+
+  Object.keys(root).forEach(key => {
+    if (NON_CHILD_KEYS.has(key)) return;
+    const value = root[key];
+    const children = Array.isArray(value) ? value : [value];
+    children.forEach(child => {
+      if (child && typeof child.type === 'string') {
+        walk(child, visit, nextAncestors);
+      }
+    });
+  });
+}
+
+function findNodes(root, predicate) {
+  const nodes = [];
+  walk(root, (node, ancestors) => {
+    if (predicate(node, ancestors)) nodes.push(node);
+  });
+  return nodes;
+}
+
+// Dotted name of a callee or member expression, e.g.
+// window.localStorage.setItem or fetch().then; null for anything more dynamic
+function memberName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (isCall(node)) {
+    const callee = memberName(node.callee);
+    return callee ? `${callee}()` : null;
+  }
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const object = memberName(node.object);
+    let property = null;
+    if (!node.computed && node.property.type === 'Identifier') property = node.property.name;
+    if (node.computed && node.property.type === 'StringLiteral') property = node.property.value;
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+// "localStorage.setItem" also matches window.localStorage.setItem; * stands
+// for one segment, so "*.catch" matches any promise's .catch()
+function calleeMatcher(patterns) {
+  const expressions = [].concat(patterns).map(pattern => new RegExp(`(^|\\.)${pattern
+    .split('.')
+    .map(segment => (segment === '*' ? '[^.]+' : segment.replace(/[$^()[\]{}+?|\\]/g, '\\$&')))
+    .join('\\.')}$`));
+  return name => name !== null && expressions.some(expression => expression.test(name));
+}
+
+function isCall(node) {
+  return node.type === 'CallExpression' || node.type === 'OptionalCallExpression';
+}
+
+function isFunction(node) {
+  return ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ClassMethod', 'ObjectMethod'].includes(node.type);
+}
+
+function isComponentName(name) {
+  return /^[A-Z]/.test(name || '') || /^use[A-Z]/.test(name || '');
+}
+
+// Name a function is known by: its own, or that of the variable it is
+// assigned to
+function functionName(node, parent) {
+  if (node.id) return node.id.name;
+  if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+  return null;
+}
+
+function containsJsx(node) {
+  return findNodes(node, child => child.type === 'JSXElement' || child.type === 'JSXFragment').length > 0;
+}
+
+function isComponentClass(node) {
+  const base = node.superClass && memberName(node.superClass);
+  return Boolean(base) && COMPONENT_BASES.some(name => base === name || base.endsWith(`.${name}`));
+}
+
+// Whether the node sits in a component (a capitalized function or component
+// class) or a custom hook, however deeply nested in handlers or effects.
+// Functions wrapped in memo()/forwardRef() take the name of the variable.
+function inComponent(ancestors) {
+  return ancestors.some((node, index) => {
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') return isComponentClass(node);
+    if (!isFunction(node)) return false;
+
+    let parent = ancestors[index - 1];
+    for (let i = index - 1; parent && isCall(parent); i--) {
+      parent = ancestors[i - 1];
+    }
+    return isComponentName(functionName(node, parent));
+  });
+}
+
+// Exported declarations as [node, declaration] pairs, following
+// `export default Name`, `export default memo(Name)` and `export { Name }`
+// to the declaration
+function exportedDeclarations(program) {
+  const declarations = new Map();
+  program.body.forEach(statement => {
+    const declaration = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+      ? statement.declaration
+      : statement;
+    if (!declaration) return;
+    if ((declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id) {
+      declarations.set(declaration.id.name, declaration);
+    }
+    if (declaration.type === 'VariableDeclaration') {
+      declaration.declarations
+        .filter(declarator => declarator.id.type === 'Identifier' && declarator.init)
+        .forEach(declarator => declarations.set(declarator.id.name, declarator));
+    }
+  });
+
+  const exported = [];
+  program.body.forEach(statement => {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      let declaration = statement.declaration;
+      if (isCall(declaration) && declaration.arguments[0]?.type === 'Identifier') {
+        declaration = declaration.arguments[0];
+      }
+      exported.push([statement, declaration.type === 'Identifier' ? declarations.get(declaration.name) : declaration]);
+    } else if (statement.type === 'ExportNamedDeclaration') {
+      if (statement.declaration?.type === 'VariableDeclaration') {
+        statement.declaration.declarations.forEach(declarator => exported.push([statement, declarator]));
+      } else if (statement.declaration) {
+        exported.push([statement, statement.declaration]);
+      } else if (!statement.source) {
+        statement.specifiers.forEach(specifier => exported.push([statement, declarations.get(specifier.local.name)]));
+      }
+    }
+  });
+
+  return exported.filter(([, declaration]) => declaration);
+}
+
+function declarationName(declaration) {
+  if (declaration.type === 'VariableDeclarator') return declaration.id.name;
+  return declaration.id?.name || null;
+}
+
+function isComponentDeclaration(declaration) {
+  if (declaration.type === 'ClassDeclaration' || declaration.type === 'ClassExpression') {
+    return isComponentClass(declaration);
+  }
+  const body = declaration.type === 'VariableDeclarator' ? declaration.init : declaration;
+  return Boolean(body) && (isFunction(body) || isCall(body)) && containsJsx(body);
+}
+
+// Queries: each takes the parsed file and the rule, and returns matching nodes
+const QUERIES = {
+  // Calls to `callee` (a pattern or list of them), with inComponent: true
+  // only those made from a component or custom hook
+  call: (ast, rule) => {
+    const matches = calleeMatcher(rule.callee);
+    return findNodes(ast, (node, ancestors) => isCall(node)
+      && matches(memberName(node.callee))
+      && (!rule.inComponent || inComponent(ancestors)));
+  },
+
+  // try/catch blocks, promise .catch() handlers and error state
+  // (const [error, setError] = useState(...))
+  errorHandling: (ast) => {
+    const isCatchCall = calleeMatcher('*.catch');
+    return findNodes(ast, node => {
+      if (node.type === 'TryStatement') return Boolean(node.handler);
+      if (isCall(node)) return isCatchCall(memberName(node.callee));
+      if (node.type === 'VariableDeclarator' && node.id.type === 'ArrayPattern' && node.init && isCall(node.init)) {
+        const [state] = node.id.elements;
+        return calleeMatcher('useState')(memberName(node.init.callee)) && state?.type === 'Identifier' && /error/i.test(state.name);
+      }
+      return false;
+    });
+  },
+
+  // Calls to `calls` (callee patterns) inside a useEffect callback, e.g.
+  // persisting state with localStorage.setItem
+  effect: (ast, rule) => {
+    const isEffect = calleeMatcher(rule.hook || 'useEffect');
+    const matches = calleeMatcher(rule.calls);
+    return findNodes(ast, (node, ancestors) => isCall(node)
+      && matches(memberName(node.callee))
+      && ancestors.some(ancestor => isCall(ancestor) && isEffect(memberName(ancestor.callee))));
+  },
+
+  // Exported components (functions or arrows rendering JSX, component
+  // classes), optionally only those whose name matches `name`
+  exportedComponent: (ast, rule) => {
+    const name = rule.name ? new RegExp(rule.name) : null;
+    return exportedDeclarations(ast.program)
+      .filter(([, declaration]) => isComponentDeclaration(declaration))
+      .filter(([, declaration]) => !name || name.test(declarationName(declaration) || ''))
+      .map(([statement]) => statement);
+  }
+};
+
+// Nodes of `code` answering the rule's query (or any of a list of queries);
+// throws when the file does not parse at all
+function queryFile(code, file, rule) {
+  const ast = parseSource(code, file);
+  return [].concat(rule.query).flatMap(query => QUERIES[query](ast, rule));
+}
+
+module.exports = {
+  QUERIES,
+  parseSource,
+  walk,
+  queryFile
+};
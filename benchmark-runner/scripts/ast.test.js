@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { queryFile } = require('./ast');
+
+const lines = (nodes) => nodes.map(node => node.loc.start.line);
+
+test('call matches dotted callees, wildcards and calls inside components', () => {
+  const code = [
+    "window.localStorage.setItem('name', name);",
+    'function Greeting() {',
+    '  const save = () => localStorage.setItem("name", name);',
+    '  fetch(url).then(parse).catch(report);',
+    '  return null;',
+    '}',
+    "// localStorage.setItem('commented out')"
+  ].join('\n');
+
+  assert.deepStrictEqual(lines(queryFile(code, 'App.js', { query: 'call', callee: 'localStorage.setItem' })), [1, 3]);
+  assert.deepStrictEqual(lines(queryFile(code, 'App.js', { query: 'call', callee: 'localStorage.setItem', inComponent: true })), [3]);
+  assert.deepStrictEqual(lines(queryFile(code, 'App.js', { query: 'call', callee: '*.catch' })), [4]);
+});
+
+test('errorHandling finds try/catch, .catch() and error state', () => {
+  const code = [
+    'const [error, setError] = useState(null);',
+    'try { run(); } catch (e) { setError(e); }',
+    'load().catch(() => {});',
+    'const [count, setCount] = useState(0);'
+  ].join('\n');
+
+  assert.deepStrictEqual(lines(queryFile(code, 'App.js', { query: 'errorHandling' })), [1, 2, 3]);
+});
+
+test('effect matches calls made inside useEffect only', () => {
+  const code = [
+    'useEffect(() => {',
+    "  localStorage.setItem('name', name);",
+    '}, [name]);',
+    "localStorage.setItem('other', value);"
+  ].join('\n');
+
+  assert.deepStrictEqual(lines(queryFile(code, 'App.js', { query: 'effect', calls: 'localStorage.setItem' })), [2]);
+});
+
+test('exportedComponent follows default, memo and named exports', () => {
+  const code = [
+    'const Greeting = ({ name }) => <p>Hello {name}</p>;',
+    'function helper() { return 1; }',
+    'class Counter extends React.Component { render() { return <div />; } }',
+    'export default memo(Greeting);',
+    'export { helper, Counter };'
+  ].join('\n');
+
+  assert.deepStrictEqual(lines(queryFile(code, 'App.jsx', { query: 'exportedComponent' })), [4, 5]);
+  assert.deepStrictEqual(lines(queryFile(code, 'App.jsx', { query: 'exportedComponent', name: '^Counter$' })), [5]);
+});
+
+test('queryFile combines a list of queries and parses TypeScript', () => {
+  const code = 'const save = (name: string): void => { try { localStorage.setItem("name", name); } catch (e) {} };';
+  const nodes = queryFile(code, 'save.ts', { query: ['call', 'errorHandling'], callee: 'localStorage.setItem' });
+
+  assert.deepStrictEqual(nodes.map(node => node.type).sort(), ['CallExpression', 'TryStatement']);
+});
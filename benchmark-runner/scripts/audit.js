@@ -0,0 +1,211 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getCacheDir, hasCachedDependencies } = require('./dependencies');
+const { globToRegExp } = require('./rules');
+
+// Dependency changes of a session. package.json and the lockfile of the
+// workspace are compared with those it started from: the template's, and the
+// lockfile npm generated for the template in the dependency cache when the
+// template has none. Direct dependencies added, removed, upgraded or
+// downgraded are listed with the resolved versions where the lockfiles know
+// them, along with the change in the number of installed packages.
+//
+// A scenario's `dependencyPolicy` (or settings.dependencyAudit.policy) limits
+// what may be added: { "forbidNew": true } allows no new direct dependency,
+// { "allow": ["lodash", "@testing-library/*"] } only those matching the list.
+// Violations become flags the scoring model deducts as penalties, like the
+// integrity flags of scripts/integrity.js.
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  // Whether the final package.json and lockfile install from the dependency cache
+  installCheck: true,
+  policy: null
+};
+
+function getAuditOptions(settings = {}) {
+  if (settings.dependencyAudit === false) return { ...DEFAULT_OPTIONS, enabled: false };
+  return { ...DEFAULT_OPTIONS, ...(settings.dependencyAudit || {}) };
+}
+
+function readJson(file) {
+  try {
+    return fs.existsSync(file) ? fs.readJsonSync(file) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The package.json and lockfile a project started from
+function readStartingPoint(templatePath) {
+  return {
+    manifest: readJson(path.join(templatePath, 'package.json')) || {},
+    lock: readJson(path.join(templatePath, 'package-lock.json'))
+      || readJson(path.join(getCacheDir(templatePath), 'package-lock.json'))
+  };
+}
+
+// Installed packages of a lockfile as a Map of install path to version,
+// for lockfileVersion 2/3 (`packages`) and 1 (nested `dependencies`)
+function lockedPackages(lock) {
+  const packages = new Map();
+  if (!lock) return packages;
+
+  if (lock.packages) {
+    Object.entries(lock.packages)
+      .filter(([key, entry]) => key !== '' && !entry.link)
+      .forEach(([key, entry]) => packages.set(key, entry.version));
+    return packages;
+  }
+
+  const addDependencies = (dependencies, prefix) => {
+    Object.entries(dependencies || {}).forEach(([name, entry]) => {
+      const key = `${prefix}node_modules/${name}`;
+      packages.set(key, entry.version);
+      addDependencies(entry.dependencies, `${key}/`);
+    });
+  };
+  addDependencies(lock.dependencies, '');
+  return packages;
+}
+
+function directDependencies(manifest) {
+  const dependencies = new Map();
+  DEPENDENCY_FIELDS.forEach(field => {
+    Object.entries(manifest[field] || {}).forEach(([name, spec]) => {
+      dependencies.set(`${field}:${name}`, { name, field, spec });
+    });
+  });
+  return dependencies;
+}
+
+// -1, 0 or 1 comparing the first x.y.z of two version strings; 0 when
+// either has none
+function compareVersions(a, b) {
+  const parse = version => (String(version || '').match(/(\d+)\.(\d+)\.(\d+)/) || []).slice(1).map(Number);
+  const [left, right] = [parse(a), parse(b)];
+  if (left.length === 0 || right.length === 0) return 0;
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// Added direct dependencies the policy does not allow, as flags
+function checkPolicy(added, policy) {
+  if (!policy) return [];
+  const allowed = (policy.allow || []).map(pattern => globToRegExp(pattern));
+
+  return added
+    .filter(dependency => policy.forbidNew || (policy.allow && !allowed.some(pattern => pattern.test(dependency.name))))
+    .map(dependency => ({
+      type: 'dependency-policy',
+      file: 'package.json',
+      message: policy.forbidNew
+        ? `New dependency ${dependency.name}@${dependency.spec} added although the policy forbids new dependencies`
+        : `New dependency ${dependency.name}@${dependency.spec} is not on the policy's allowlist`
+    }));
+}
+
+// Whether the lockfile was updated along with package.json: its root entry
+// (lockfileVersion 2/3) lists the same direct dependencies
+function isLockInSync(manifest, lock) {
+  const root = lock?.packages?.[''];
+  return Boolean(root) && DEPENDENCY_FIELDS.every(field =>
+    JSON.stringify(manifest[field] || {}) === JSON.stringify(root[field] || {}));
+}
+
+// Whether the final package.json and lockfile install from the runner's
+// dependency cache (scripts/dependencies.js), as setup --offline and
+// restoring an archive would: 'cached' when .cache/deps has their entry,
+// 'not-cached' when it must be filled with network access first and
+// 'failed' when no install can reproduce them (package.json is gone or the
+// lockfile lists other dependencies). npm's own cache is not consulted.
+function checkOfflineInstall(projectPath, manifest, lock) {
+  if (!fs.existsSync(path.join(projectPath, 'package.json'))) {
+    return { status: 'failed', detail: 'package.json is missing' };
+  }
+  // lockfileVersion 1 has no root entry to compare
+  if (lock?.packages?.[''] && !isLockInSync(manifest, lock)) {
+    return { status: 'failed', detail: 'package-lock.json lists other dependencies than package.json' };
+  }
+  if (!hasCachedDependencies(projectPath)) {
+    return { status: 'not-cached', detail: `No entry ${path.basename(getCacheDir(projectPath))} in the dependency cache` };
+  }
+  return { status: 'cached' };
+}
+
+// Dependency changes of projectPath against the template it started from:
+// { changed, added, removed, upgraded, downgraded, transitive: { before, after, delta },
+//   install, violations }
+async function auditDependencies(projectPath, templatePath, options = {}) {
+  const { installCheck, policy } = { ...DEFAULT_OPTIONS, ...options };
+  const before = readStartingPoint(templatePath);
+  const after = {
+    manifest: readJson(path.join(projectPath, 'package.json')) || {},
+    lock: readJson(path.join(projectPath, 'package-lock.json'))
+  };
+
+  const beforePackages = lockedPackages(before.lock);
+  const afterPackages = lockedPackages(after.lock);
+  const beforeDirect = directDependencies(before.manifest);
+  const afterDirect = directDependencies(after.manifest);
+
+  const added = [...afterDirect.entries()]
+    .filter(([key]) => !beforeDirect.has(key))
+    .map(([, dependency]) => ({ ...dependency, version: afterPackages.get(`node_modules/${dependency.name}`) || null }));
+  const removed = [...beforeDirect.entries()]
+    .filter(([key]) => !afterDirect.has(key))
+    .map(([, dependency]) => dependency);
+
+  const upgraded = [];
+  const downgraded = [];
+  [...afterDirect.entries()].filter(([key]) => beforeDirect.has(key)).forEach(([key, dependency]) => {
+    // Resolved versions when both lockfiles know them (and differ), the ranges otherwise
+    const resolvedFrom = beforePackages.get(`node_modules/${dependency.name}`);
+    const resolvedTo = afterPackages.get(`node_modules/${dependency.name}`);
+    const [from, to] = resolvedFrom && resolvedTo && resolvedFrom !== resolvedTo
+      ? [resolvedFrom, resolvedTo]
+      : [beforeDirect.get(key).spec, dependency.spec];
+    if (from === to && beforeDirect.get(key).spec === dependency.spec) return;
+
+    const change = { name: dependency.name, field: dependency.field, from, to };
+    const direction = compareVersions(from, to) || compareVersions(beforeDirect.get(key).spec, dependency.spec);
+    (direction > 0 ? downgraded : upgraded).push(change);
+  });
+
+  // A workspace without a lockfile is judged by its package.json alone
+  const changed = JSON.stringify(DEPENDENCY_FIELDS.map(field => before.manifest[field] || null))
+    !== JSON.stringify(DEPENDENCY_FIELDS.map(field => after.manifest[field] || null))
+    || (Boolean(after.lock) && JSON.stringify([...beforePackages]) !== JSON.stringify([...afterPackages]));
+
+  // An unchanged dependency set installs exactly as the sample did
+  let install = { status: 'unchanged' };
+  if (changed && installCheck) {
+    install = checkOfflineInstall(projectPath, after.manifest, after.lock);
+  } else if (changed) {
+    install = { status: 'skipped' };
+  }
+
+  return {
+    changed,
+    added,
+    removed,
+    upgraded,
+    downgraded,
+    transitive: {
+      before: before.lock ? beforePackages.size : null,
+      after: after.lock ? afterPackages.size : null,
+      delta: before.lock && after.lock ? afterPackages.size - beforePackages.size : null
+    },
+    install,
+    policy: policy || null,
+    violations: checkPolicy(added, policy)
+  };
+}
+
+module.exports = {
+  getAuditOptions,
+  auditDependencies
+};
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { getAuditOptions, auditDependencies } = require('./audit');
+const { getCacheDir } = require('./dependencies');
+const { resolveScoringModel, scoreValidation } = require('./scoring');
+
+function lockfile(dependencies, packages) {
+  return {
+    lockfileVersion: 3,
+    packages: {
+      '': { dependencies },
+      ...Object.fromEntries(Object.entries(packages).map(([name, version]) => [`node_modules/${name}`, { version }]))
+    }
+  };
+}
+
+async function createProject(manifest, lock) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-audit-'));
+  await fs.writeJson(path.join(dir, 'package.json'), manifest);
+  if (lock) {
+    await fs.writeJson(path.join(dir, 'package-lock.json'), lock);
+  }
+  return dir;
+}
+
+test('getAuditOptions merges settings.dependencyAudit over the defaults', () => {
+  assert.strictEqual(getAuditOptions({ dependencyAudit: false }).enabled, false);
+  assert.deepStrictEqual(getAuditOptions({ dependencyAudit: { policy: { forbidNew: true } } }).policy, { forbidNew: true });
+  assert.strictEqual(getAuditOptions().installCheck, true);
+});
+
+test('auditDependencies of an unchanged project reports nothing', async (t) => {
+  const manifest = { dependencies: { react: '^18.2.0' } };
+  const lock = lockfile(manifest.dependencies, { react: '18.2.0', 'loose-envify': '1.4.0' });
+  const template = await createProject(manifest, lock);
+  const project = await createProject(manifest, lock);
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+
+  const audit = await auditDependencies(project, template);
+  assert.strictEqual(audit.changed, false);
+  assert.deepStrictEqual(audit.install, { status: 'unchanged' });
+  assert.deepStrictEqual(audit.transitive, { before: 2, after: 2, delta: 0 });
+});
+
+test('auditDependencies lists added, removed, upgraded and downgraded dependencies', async (t) => {
+  const template = await createProject(
+    { dependencies: { react: '^18.2.0', express: '^4.18.0', moment: '^2.29.0' } },
+    lockfile({}, { react: '18.2.0', express: '4.18.2', moment: '2.29.4' })
+  );
+  const project = await createProject(
+    { dependencies: { react: '^18.3.0', express: '^4.17.0', lodash: '^4.17.21' } },
+    lockfile({}, { react: '18.3.1', express: '4.17.3', lodash: '4.17.21' })
+  );
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+
+  const audit = await auditDependencies(project, template, { installCheck: false, policy: { allow: ['@testing-library/*'] } });
+  assert.strictEqual(audit.changed, true);
+  assert.deepStrictEqual(audit.added, [{ name: 'lodash', field: 'dependencies', spec: '^4.17.21', version: '4.17.21' }]);
+  assert.deepStrictEqual(audit.removed.map(dependency => dependency.name), ['moment']);
+  assert.deepStrictEqual(audit.upgraded, [{ name: 'react', field: 'dependencies', from: '18.2.0', to: '18.3.1' }]);
+  assert.deepStrictEqual(audit.downgraded, [{ name: 'express', field: 'dependencies', from: '4.18.2', to: '4.17.3' }]);
+  assert.deepStrictEqual(audit.install, { status: 'skipped' });
+  assert.deepStrictEqual(audit.violations.map(violation => violation.message), ["New dependency lodash@^4.17.21 is not on the policy's allowlist"]);
+});
+
+test('auditDependencies flags any new dependency under forbidNew', async (t) => {
+  const template = await createProject({ devDependencies: { jest: '^29.0.0' } });
+  const project = await createProject({ devDependencies: { jest: '^29.0.0', '@testing-library/react': '^13.0.0' } });
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+
+  const audit = await auditDependencies(project, template, { installCheck: false, policy: { forbidNew: true } });
+  assert.deepStrictEqual(audit.violations, [{
+    type: 'dependency-policy',
+    file: 'package.json',
+    message: 'New dependency @testing-library/react@^13.0.0 added although the policy forbids new dependencies'
+  }]);
+  assert.deepStrictEqual(audit.transitive, { before: null, after: null, delta: null });
+});
+
+test('auditDependencies checks the final lockfile against the dependency cache', async (t) => {
+  const template = await createProject({ dependencies: { react: '^18.2.0' } });
+  const manifest = { dependencies: { react: '^18.2.0', lodash: '^4.17.21' } };
+  // Unique so that no real cache entry shares its key
+  const lock = { ...lockfile(manifest.dependencies, { react: '18.2.0', lodash: '4.17.21' }), name: path.basename(template) };
+  const project = await createProject(manifest, lock);
+  const cacheDir = getCacheDir(project);
+  t.after(() => Promise.all([template, project, cacheDir].map(dir => fs.remove(dir))));
+
+  const cold = await auditDependencies(project, template);
+  assert.strictEqual(cold.install.status, 'not-cached');
+  assert.match(cold.install.detail, new RegExp(path.basename(cacheDir)));
+
+  await fs.outputFile(path.join(cacheDir, '.complete'), '');
+  assert.deepStrictEqual((await auditDependencies(project, template)).install, { status: 'cached' });
+
+  await fs.writeJson(path.join(project, 'package.json'), { dependencies: { ...manifest.dependencies, moment: '^2.29.0' } });
+  const stale = await auditDependencies(project, template);
+  assert.deepStrictEqual(stale.install, { status: 'failed', detail: 'package-lock.json lists other dependencies than package.json' });
+});
+
+test('a dependency policy violation is deducted from the score', async (t) => {
+  const template = await createProject({ dependencies: { react: '^18.2.0' } });
+  const project = await createProject({ dependencies: { react: '^18.2.0', lodash: '^4.17.21' } });
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+  const model = resolveScoringModel('todo', {
+    categories: { functionality: { weight: 1, metrics: [{ metric: 'acceptanceScore', full: 1, zero: 0 }] } }
+  }, []);
+
+  const allowed = await auditDependencies(project, template, { installCheck: false, policy: { allow: ['lodash'] } });
+  const violating = await auditDependencies(project, template, { installCheck: false, policy: { allow: ['react'] } });
+
+  assert.strictEqual(scoreValidation(model, { acceptanceScore: 1, dependencies: allowed }).score, 1);
+  const scored = scoreValidation(model, { acceptanceScore: 1, dependencies: violating });
+  assert.strictEqual(scored.penalty, 0.15);
+  assert.strictEqual(scored.score, 0.85);
+});
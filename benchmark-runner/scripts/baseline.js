@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { runCommand } = require('./commands');
+
+// Health of each prepared sample before any agent touches it. Setup checks
+// that the untouched sample installs, tests, lints and starts, and stores the
+// outcome (with its validation scores) in samples/baseline.json. Every run
+// copies that file into its run directory, refuses to start or warns when a
+// check failed, and the analyzer scores sessions relative to it.
+
+const BASELINE_FILE = 'baseline.json';
+const SAMPLES_BASELINE_PATH = path.join(__dirname, '../samples', BASELINE_FILE);
+const BASELINE_CHECKS = ['install', 'test', 'lint', 'start'];
+
+const DEFAULT_OPTIONS = {
+  onFailure: 'warn',
+  checks: BASELINE_CHECKS,
+  timeoutSeconds: 300,
+  startSeconds: 5
+};
+
+// settings.baseline: { onFailure: 'warn' | 'abort', checks, timeoutSeconds, startSeconds }
+function getBaselineOptions(settings = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...(settings.baseline || {}) };
+  if (!['warn', 'abort'].includes(options.onFailure)) {
+    throw new Error(`settings.baseline.onFailure must be "warn" or "abort", got "${options.onFailure}"`);
+  }
+  return options;
+}
+
+function toCheck(run, passed, detail) {
+  return { passed, detail, command: run.command, exitCode: run.exitCode, durationMs: run.durationMs, output: run.output };
+}
+
+const checks = {
+  // Every declared dependency is installed and resolvable
+  install: async (projectDir, options) => {
+    const run = await runCommand('npm', ['ls', '--depth=0'], projectDir, { timeoutMs: options.timeoutSeconds * 1000 });
+    return toCheck(run, run.exitCode === 0, run.exitCode === 0 ? 'dependencies installed' : 'npm ls reports missing or invalid dependencies');
+  },
+
+  test: async (projectDir, options) => {
+    const run = await runCommand('npm', ['test'], projectDir, { timeoutMs: options.timeoutSeconds * 1000 });
+    if (run.timedOut) return toCheck(run, false, `npm test timed out after ${options.timeoutSeconds}s`);
+    return toCheck(run, run.exitCode === 0, run.exitCode === 0 ? 'tests pass' : `npm test exited with code ${run.exitCode}`);
+  },
+
+  lint: async (projectDir, options) => {
+    const scripts = (await fs.readJson(path.join(projectDir, 'package.json'))).scripts || {};
+    if (!scripts.lint) {
+      return { passed: false, detail: 'package.json has no lint script', command: 'npm run lint', exitCode: null, durationMs: 0, output: '' };
+    }
+    const run = await runCommand('npm', ['run', 'lint'], projectDir, { timeoutMs: options.timeoutSeconds * 1000 });
+    if (run.timedOut) return toCheck(run, false, `npm run lint timed out after ${options.timeoutSeconds}s`);
+    return toCheck(run, run.exitCode === 0, run.exitCode === 0 ? 'lint passes' : `npm run lint exited with code ${run.exitCode}`);
+  },
+
+  // Passes when npm start is still running after startSeconds (or exits cleanly before)
+  start: async (projectDir, options) => {
+    const run = await runCommand('npm', ['start'], projectDir, { keepAliveMs: options.startSeconds * 1000 });
+    if (run.stoppedAlive) return toCheck(run, true, `still running after ${options.startSeconds}s`);
+    return toCheck(run, run.exitCode === 0, run.exitCode === 0 ? 'exited cleanly' : `npm start exited with code ${run.exitCode}`);
+  }
+};
+
+async function runBaselineChecks(projectDir, options) {
+  const results = {};
+  for (const name of options.checks) {
+    if (!checks[name]) {
+      throw new Error(`Unknown baseline check "${name}" (expected one of ${BASELINE_CHECKS.join(', ')})`);
+    }
+    results[name] = await checks[name](projectDir, options);
+  }
+  return results;
+}
+
+async function loadBaseline(file = SAMPLES_BASELINE_PATH) {
+  return fs.existsSync(file) ? fs.readJson(file) : null;
+}
+
+// Adds (or replaces) the entry of one scenario in samples/baseline.json
+async function saveBaselineEntry(scenarioId, entry) {
+  const baseline = (await loadBaseline()) || { scenarios: {} };
+  baseline.updatedAt = new Date().toISOString();
+  baseline.scenarios[scenarioId] = entry;
+  await fs.outputJson(SAMPLES_BASELINE_PATH, baseline, { spaces: 2 });
+  return baseline;
+}
+
+// Why each of these scenarios cannot be trusted to start from a healthy
+// sample: a failed check, or no baseline recorded at all
+function findBaselineProblems(baseline, scenarioIds, options) {
+  const problems = [];
+  for (const scenarioId of scenarioIds) {
+    const entry = baseline?.scenarios?.[scenarioId];
+    if (!entry) {
+      problems.push({ scenarioId, check: null, detail: 'no baseline recorded (run setup)' });
+      continue;
+    }
+    options.checks
+      .filter(name => !entry.checks[name] || !entry.checks[name].passed)
+      .forEach(name => problems.push({ scenarioId, check: name, detail: entry.checks[name]?.detail || 'not checked' }));
+  }
+  return problems;
+}
+
+module.exports = {
+  BASELINE_FILE,
+  SAMPLES_BASELINE_PATH,
+  BASELINE_CHECKS,
+  getBaselineOptions,
+  runBaselineChecks,
+  loadBaseline,
+  saveBaselineEntry,
+  findBaselineProblems
+};
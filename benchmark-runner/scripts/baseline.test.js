@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { BASELINE_CHECKS, getBaselineOptions, runBaselineChecks, findBaselineProblems } = require('./baseline');
+
+test('getBaselineOptions fills in defaults and validates onFailure', () => {
+  const options = getBaselineOptions({ baseline: { onFailure: 'abort', checks: ['test'] } });
+
+  assert.strictEqual(options.onFailure, 'abort');
+  assert.deepStrictEqual(options.checks, ['test']);
+  assert.deepStrictEqual(getBaselineOptions().checks, BASELINE_CHECKS);
+  assert.throws(() => getBaselineOptions({ baseline: { onFailure: 'ignore' } }), /must be "warn" or "abort", got "ignore"/);
+});
+
+test('findBaselineProblems lists failed, unchecked and unrecorded scenarios', () => {
+  const baseline = {
+    scenarios: {
+      healthy: { checks: { test: { passed: true }, lint: { passed: true } } },
+      broken: { checks: { test: { passed: false, detail: 'npm test exited with code 1' } } }
+    }
+  };
+
+  assert.deepStrictEqual(findBaselineProblems(baseline, ['healthy', 'broken', 'new'], { checks: ['test', 'lint'] }), [
+    { scenarioId: 'broken', check: 'test', detail: 'npm test exited with code 1' },
+    { scenarioId: 'broken', check: 'lint', detail: 'not checked' },
+    { scenarioId: 'new', check: null, detail: 'no baseline recorded (run setup)' }
+  ]);
+  assert.deepStrictEqual(findBaselineProblems(null, [], { checks: BASELINE_CHECKS }), []);
+});
+
+test('runBaselineChecks fails lint without a lint script and rejects unknown checks', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-baseline-'));
+  t.after(() => fs.remove(dir));
+  await fs.writeJson(path.join(dir, 'package.json'), { scripts: {} });
+
+  const { lint } = await runBaselineChecks(dir, { checks: ['lint'] });
+  assert.strictEqual(lint.passed, false);
+  assert.strictEqual(lint.detail, 'package.json has no lint script');
+  await assert.rejects(runBaselineChecks(dir, { checks: ['build'] }), /Unknown baseline check "build"/);
+});
@@ -0,0 +1,88 @@
+const path = require('path');
+const { diffProject } = require('./diff');
+
+// Structured statistics of the changes a session made, from the same
+// comparison with the task's template as the other diff-based checks
+// (scripts/diff.js). A zero-context hunk that adds and removes lines counts
+// the paired lines as modified: a hunk of 3 removed and 5 added lines has 3
+// modified lines, 2 added ones and none purely removed. Churn is every line
+// added or removed. Lockfiles, which npm rewrites on every install, and the
+// files the harness put in the sample are left out.
+
+const LOCKFILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+// Directories where a session's changes are expected; anything elsewhere
+// (config, scripts, docs) is listed separately
+const EXPECTED_DIRS = ['src', 'tests'];
+
+function fileType(file) {
+  const extension = path.extname(file).slice(1).toLowerCase();
+  return extension || 'other';
+}
+
+function emptyCounts() {
+  return { files: 0, linesAdded: 0, linesRemoved: 0, linesModified: 0, churn: 0 };
+}
+
+function addCounts(counts, entry) {
+  counts.files++;
+  counts.linesAdded += entry.linesAdded;
+  counts.linesRemoved += entry.linesRemoved;
+  counts.linesModified += entry.linesModified;
+  counts.churn += entry.churn;
+}
+
+// Per-file statistics of one entry of diffProject
+function fileStats(change) {
+  const linesAdded = change.hunks.reduce((sum, hunk) => sum + hunk.added, 0);
+  const linesRemoved = change.hunks.reduce((sum, hunk) => sum + hunk.removed, 0);
+  return {
+    file: change.file,
+    type: fileType(change.file),
+    status: change.status,
+    binary: change.binary,
+    linesAdded,
+    linesRemoved,
+    linesModified: change.hunks.reduce((sum, hunk) => sum + Math.min(hunk.added, hunk.removed), 0),
+    churn: linesAdded + linesRemoved,
+    hunks: change.hunks.length,
+    largestHunk: change.hunks.reduce((largest, hunk) => Math.max(largest, hunk.added + hunk.removed), 0)
+  };
+}
+
+// { totals, byType: { js: { files, linesAdded, ... } }, largestHunk: { file, lines },
+//   outsideExpectedDirs: [files], files: [per-file stats] } of projectPath
+// against its template; ignore lists files left out besides lockfiles
+function analyzeChanges(projectPath, templatePath, { ignore = [] } = {}) {
+  const files = diffProject(projectPath, templatePath)
+    .filter(change => !LOCKFILES.includes(path.basename(change.file)) && !ignore.includes(change.file))
+    .map(fileStats);
+
+  const totals = { ...emptyCounts(), newFiles: 0, editedFiles: 0, deletedFiles: 0, netLines: 0 };
+  const byType = {};
+  let largestHunk = null;
+
+  files.forEach(entry => {
+    addCounts(totals, entry);
+    totals[{ added: 'newFiles', modified: 'editedFiles', deleted: 'deletedFiles' }[entry.status]]++;
+    totals.netLines += entry.linesAdded - entry.linesRemoved;
+
+    byType[entry.type] = byType[entry.type] || emptyCounts();
+    addCounts(byType[entry.type], entry);
+
+    if (entry.largestHunk > (largestHunk?.lines || 0)) {
+      largestHunk = { file: entry.file, lines: entry.largestHunk };
+    }
+  });
+
+  return {
+    totals,
+    byType,
+    largestHunk,
+    outsideExpectedDirs: files.map(entry => entry.file).filter(file => !EXPECTED_DIRS.includes(file.split('/')[0])),
+    files
+  };
+}
+
+module.exports = {
+  analyzeChanges
+};
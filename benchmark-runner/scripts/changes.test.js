@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { analyzeChanges } = require('./changes');
+
+async function createDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-changes-'));
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test('analyzeChanges counts modified lines per hunk and groups by file type', async (t) => {
+  const template = await createDir({
+    'src/App.js': 'a\nb\nc\nd\n',
+    'src/App.css': 'body {}\n',
+    'package-lock.json': '{}\n'
+  });
+  const project = await createDir({
+    'src/App.js': 'a\nB\nC\nD\nE\nF\n',
+    'src/App.css': 'body {}\n',
+    'tests/app.test.js': 'one\ntwo\n',
+    'package-lock.json': '{ "changed": true }\n',
+    'CLAUDE.md': 'instructions\n',
+    'notes.md': 'todo\n'
+  });
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+
+  const changes = analyzeChanges(project, template, { ignore: ['CLAUDE.md'] });
+
+  // Lines b-d replaced by B-F: 3 modified, 2 purely added
+  assert.deepStrictEqual(changes.files.find(entry => entry.file === 'src/App.js'), {
+    file: 'src/App.js',
+    type: 'js',
+    status: 'modified',
+    binary: false,
+    linesAdded: 5,
+    linesRemoved: 3,
+    linesModified: 3,
+    churn: 8,
+    hunks: 1,
+    largestHunk: 8
+  });
+  assert.deepStrictEqual(changes.totals, {
+    files: 3, linesAdded: 8, linesRemoved: 3, linesModified: 3, churn: 11, newFiles: 2, editedFiles: 1, deletedFiles: 0, netLines: 5
+  });
+  assert.deepStrictEqual(Object.keys(changes.byType).sort(), ['js', 'md']);
+  assert.strictEqual(changes.byType.js.files, 2);
+  assert.deepStrictEqual(changes.largestHunk, { file: 'src/App.js', lines: 8 });
+  assert.deepStrictEqual(changes.outsideExpectedDirs, ['notes.md']);
+});
+
+test('analyzeChanges of an unchanged project is empty', async (t) => {
+  const template = await createDir({ 'src/App.js': 'a\n' });
+  const project = await createDir({ 'src/App.js': 'a\n' });
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+
+  const changes = analyzeChanges(project, template);
+  assert.strictEqual(changes.totals.files, 0);
+  assert.strictEqual(changes.largestHunk, null);
+  assert.deepStrictEqual(changes.files, []);
+});
@@ -0,0 +1,63 @@
+const { spawn } = require('child_process');
+
+// Commands run inside a sample or workspace (npm scripts, test runners). CI is
+// set so watch modes stay off, and PORT=0 lets servers pick a free port.
+
+const OUTPUT_LINES = 20;
+
+// Runs a command in its own process group, so a timeout takes its children
+// down with it. With keepAliveMs the command is meant to keep running (a
+// server): it is stopped after that long and reported as stoppedAlive.
+function runCommand(command, args, cwd, { timeoutMs, keepAliveMs = null, env = {}, outputLines = OUTPUT_LINES }) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    const child = spawn(command, args, {
+      cwd,
+      detached: true,
+      env: { ...process.env, CI: 'true', PORT: '0', ...env }
+    });
+    let output = '';
+    let stoppedAlive = false;
+    let timedOut = false;
+
+    const collect = (data) => {
+      output += data.toString();
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const stop = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    };
+    const timer = setTimeout(() => {
+      if (keepAliveMs !== null) {
+        stoppedAlive = true;
+      } else {
+        timedOut = true;
+      }
+      stop();
+    }, keepAliveMs ?? timeoutMs);
+
+    const finish = (exitCode, error = null) => {
+      clearTimeout(timer);
+      resolve({
+        command: [command, ...args].join(' '),
+        exitCode,
+        stoppedAlive,
+        timedOut,
+        durationMs: Date.now() - startedAt,
+        output: (error ? error.message : output).trim().split('\n').slice(-outputLines).join('\n')
+      });
+    };
+    child.on('error', (error) => finish(null, error));
+    child.on('close', (code) => finish(code));
+  });
+}
+
+module.exports = {
+  runCommand
+};
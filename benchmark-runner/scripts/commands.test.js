@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { runCommand } = require('./commands');
+
+test('runCommand reports the exit code and the last lines of output', async () => {
+  const run = await runCommand(process.execPath, ['-e', 'for (let i = 1; i <= 5; i++) console.log(i); console.error(process.env.CI); process.exit(3)'], os.tmpdir(), {
+    timeoutMs: 10000,
+    outputLines: 2
+  });
+
+  assert.strictEqual(run.exitCode, 3);
+  assert.strictEqual(run.timedOut, false);
+  assert.match(run.output, /^(5\ntrue|true\n5)$/);
+});
+
+test('runCommand stops a command at its timeout', async () => {
+  const run = await runCommand(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], os.tmpdir(), { timeoutMs: 200 });
+
+  assert.strictEqual(run.timedOut, true);
+  assert.strictEqual(run.stoppedAlive, false);
+});
+
+test('runCommand reports a server still running after keepAliveMs as stoppedAlive', async () => {
+  const run = await runCommand(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], os.tmpdir(), { keepAliveMs: 200 });
+
+  assert.strictEqual(run.stoppedAlive, true);
+  assert.strictEqual(run.timedOut, false);
+});
+
+test('runCommand turns a spawn error into a null exit code', async () => {
+  const run = await runCommand('benchmark-no-such-command', [], os.tmpdir(), { timeoutMs: 1000 });
+
+  assert.strictEqual(run.exitCode, null);
+  assert.match(run.output, /ENOENT/);
+});
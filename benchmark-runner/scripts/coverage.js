@@ -0,0 +1,121 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { runCommand } = require('./commands');
+const { diffProject } = require('./diff');
+const { globToRegExp } = require('./rules');
+const { ACCEPTANCE_DIR } = require('./acceptance');
+
+// Code coverage of a finished workspace. Its own Jest suite runs once more
+// with coverage enabled and a json-summary report written outside the
+// workspace. Line, branch and function coverage is reported for the whole
+// project and for the files the session added or modified (compared with the
+// task's template, as scripts/diff.js does), so tests of template code do
+// not count towards the agent's work.
+
+const COVERAGE_METRICS = ['lines', 'branches', 'functions', 'statements'];
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  timeoutSeconds: 300,
+  // Source files instrumented even when no test loads them, so untested
+  // files count as 0% instead of being left out
+  collectFrom: ['src/**/*.{js,jsx,ts,tsx}', '!**/*.{test,spec}.{js,jsx,ts,tsx}']
+};
+
+function getCoverageOptions(settings = {}) {
+  if (settings.coverage === false) return { ...DEFAULT_OPTIONS, enabled: false };
+  return { ...DEFAULT_OPTIONS, ...(settings.coverage || {}) };
+}
+
+// Share (0-1) of each metric covered across the given per-file summaries;
+// null for a metric with nothing to cover
+function combineCoverage(entries) {
+  const coverage = {};
+  COVERAGE_METRICS.forEach(metric => {
+    const total = entries.reduce((sum, entry) => sum + entry[metric].total, 0);
+    const covered = entries.reduce((sum, entry) => sum + entry[metric].covered, 0);
+    coverage[metric] = total > 0 ? covered / total : null;
+  });
+  return coverage;
+}
+
+// Whether a file is selected by Jest-style collectCoverageFrom patterns
+function isCollected(file, collectFrom) {
+  const included = collectFrom.filter(pattern => !pattern.startsWith('!')).some(pattern => globToRegExp(pattern).test(file));
+  const excluded = collectFrom.filter(pattern => pattern.startsWith('!')).some(pattern => globToRegExp(pattern.slice(1)).test(file));
+  return included && !excluded;
+}
+
+// Coverage of a Jest json-summary report, whose keys are absolute paths
+// below projectPath, given the files the session added or modified. Changed
+// files Jest could not instrument (typically a syntax it cannot parse) are
+// listed as changed.uncollected rather than scored.
+function summarizeCoverage(summary, projectPath, changedFiles, collectFrom) {
+  const files = Object.entries(summary)
+    .filter(([file]) => file !== 'total')
+    .map(([file, entry]) => {
+      const relative = path.relative(projectPath, file).split(path.sep).join('/');
+      return { file: relative, changed: changedFiles.has(relative), ...entry };
+    });
+
+  const changed = files.filter(file => file.changed);
+  const reported = new Set(files.map(file => file.file));
+  const uncollected = [...changedFiles].filter(file => !reported.has(file) && isCollected(file, collectFrom));
+  return {
+    project: { files: files.length, ...combineCoverage(files) },
+    changed: { files: changed.length, ...combineCoverage(changed), uncollected },
+    files: files.map(file => ({ file: file.file, changed: file.changed, ...combineCoverage([file]) }))
+  };
+}
+
+function failedRun(error) {
+  return { project: null, changed: null, files: [], error };
+}
+
+// Runs the workspace's Jest with coverage; returns
+// { project, changed, files: [{ file, changed, lines, ... }] } or { error }
+async function runCoverage(projectPath, templatePath, options = {}) {
+  const { timeoutSeconds, collectFrom } = { ...DEFAULT_OPTIONS, ...options };
+
+  const jestBin = path.join(projectPath, 'node_modules', '.bin', 'jest');
+  if (!fs.existsSync(jestBin)) {
+    return failedRun('Jest is not installed in the workspace');
+  }
+
+  const coverageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-coverage-'));
+  try {
+    const run = await runCommand(jestBin, [
+      '--ci',
+      '--coverage',
+      '--passWithNoTests',
+      '--coverageReporters=json-summary',
+      `--coverageDirectory=${coverageDir}`,
+      ...collectFrom.map(pattern => `--collectCoverageFrom=${pattern}`),
+      '--testPathIgnorePatterns=/node_modules/',
+      `--testPathIgnorePatterns=/${ACCEPTANCE_DIR}/`
+    ], projectPath, { timeoutMs: timeoutSeconds * 1000 });
+
+    if (run.timedOut) {
+      return failedRun(`Coverage run timed out after ${timeoutSeconds}s`);
+    }
+    const summaryFile = path.join(coverageDir, 'coverage-summary.json');
+    if (!fs.existsSync(summaryFile)) {
+      return failedRun(`Jest produced no coverage report (exit code ${run.exitCode}): ${run.output}`);
+    }
+
+    const changedFiles = new Set(diffProject(projectPath, templatePath)
+      .filter(change => change.status !== 'deleted')
+      .map(change => change.file));
+    return summarizeCoverage(await fs.readJson(summaryFile), projectPath, changedFiles, collectFrom);
+  } finally {
+    await fs.remove(coverageDir);
+  }
+}
+
+module.exports = {
+  COVERAGE_METRICS,
+  getCoverageOptions,
+  isCollected,
+  summarizeCoverage,
+  runCoverage
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { getCoverageOptions, isCollected, summarizeCoverage } = require('./coverage');
+
+test('getCoverageOptions merges settings.coverage over the defaults', () => {
+  const options = getCoverageOptions({ coverage: { timeoutSeconds: 60 } });
+
+  assert.strictEqual(options.enabled, true);
+  assert.strictEqual(options.timeoutSeconds, 60);
+  assert.deepStrictEqual(options.collectFrom, getCoverageOptions().collectFrom);
+});
+
+test('getCoverageOptions turns coverage off with settings.coverage: false', () => {
+  assert.strictEqual(getCoverageOptions({ coverage: false }).enabled, false);
+});
+
+test('isCollected applies collectFrom globs and their ! exclusions', () => {
+  const { collectFrom } = getCoverageOptions();
+
+  assert.strictEqual(isCollected('src/App.js', collectFrom), true);
+  assert.strictEqual(isCollected('src/components/List.tsx', collectFrom), true);
+  assert.strictEqual(isCollected('src/App.test.js', collectFrom), false);
+  assert.strictEqual(isCollected('scripts/build.js', collectFrom), false);
+  assert.strictEqual(isCollected('src/styles.css', collectFrom), false);
+});
+
+// A json-summary entry with the same covered/total for every metric
+function entry(covered, total) {
+  const metric = { total, covered, skipped: 0, pct: total > 0 ? (covered / total) * 100 : 100 };
+  return { lines: metric, branches: metric, functions: metric, statements: metric };
+}
+
+test('summarizeCoverage scores the project and the changed files apart', () => {
+  const projectPath = path.resolve('/work/project');
+  const summary = {
+    total: entry(9, 20),
+    [path.join(projectPath, 'src/App.js')]: entry(1, 10),
+    [path.join(projectPath, 'src/List.js')]: entry(6, 8),
+    [path.join(projectPath, 'src/empty.js')]: entry(2, 2)
+  };
+  const changedFiles = new Set(['src/List.js', 'src/empty.js', 'src/Broken.js', 'README.md', 'src/List.test.js']);
+
+  const coverage = summarizeCoverage(summary, projectPath, changedFiles, getCoverageOptions().collectFrom);
+
+  assert.deepStrictEqual(coverage.project, { files: 3, lines: 0.45, branches: 0.45, functions: 0.45, statements: 0.45 });
+  assert.deepStrictEqual(coverage.changed, {
+    files: 2,
+    lines: 0.8,
+    branches: 0.8,
+    functions: 0.8,
+    statements: 0.8,
+    uncollected: ['src/Broken.js']
+  });
+  assert.deepStrictEqual(coverage.files.map(file => [file.file, file.changed, file.lines]), [
+    ['src/App.js', false, 0.1],
+    ['src/List.js', true, 0.75],
+    ['src/empty.js', true, 1]
+  ]);
+});
+
+test('summarizeCoverage leaves a metric with nothing to cover null', () => {
+  const projectPath = path.resolve('/work/project');
+  const summary = { [path.join(projectPath, 'src/constants.js')]: entry(0, 0) };
+
+  const coverage = summarizeCoverage(summary, projectPath, new Set(['src/constants.js']), getCoverageOptions().collectFrom);
+
+  assert.strictEqual(coverage.changed.files, 1);
+  assert.strictEqual(coverage.changed.lines, null);
+  assert.deepStrictEqual(coverage.changed.uncollected, []);
+});
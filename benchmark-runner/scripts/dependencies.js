@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+
+// Shared node_modules cache. Dependencies are installed once per distinct
+// lockfile (or, without one, package.json dependency set) into
+// .cache/deps/<key>/ and samples get hard links to those files instead of
+// running npm install themselves.
+
+const CACHE_PATH = path.join(__dirname, '../.cache/deps');
+const COMPLETE_MARKER = '.complete';
+// Linked dependencies are kept out of the project's git history: committed,
+// every clone would check out its own full copy of them
+const DEPENDENCY_EXCLUDES = ['node_modules/'];
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies', 'overrides'];
+
+// Native modules differ per platform and Node ABI, so those are part of the key
+function getCacheKey(projectDir) {
+  const lockFile = path.join(projectDir, 'package-lock.json');
+  const source = fs.existsSync(lockFile)
+    ? fs.readFileSync(lockFile, 'utf8')
+    : JSON.stringify(DEPENDENCY_FIELDS.map(field => fs.readJsonSync(path.join(projectDir, 'package.json'))[field] || null));
+
+  return crypto.createHash('sha256')
+    .update(`${process.platform}-${process.arch}-${process.versions.modules}\n`)
+    .update(source)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function getCacheDir(projectDir) {
+  return path.join(CACHE_PATH, getCacheKey(projectDir));
+}
+
+function isCached(cacheDir) {
+  return fs.existsSync(path.join(cacheDir, COMPLETE_MARKER));
+}
+
+// Whether installDependencies would find projectDir's dependencies in the cache
+function hasCachedDependencies(projectDir) {
+  return isCached(getCacheDir(projectDir));
+}
+
+// Installs into a scratch directory that is only renamed into place once
+// npm succeeded, so an interrupted install never leaves a half-filled entry
+async function fillCache(projectDir, cacheDir) {
+  const scratchDir = `${cacheDir}.tmp-${process.pid}`;
+  await fs.emptyDir(scratchDir);
+
+  try {
+    await fs.copy(path.join(projectDir, 'package.json'), path.join(scratchDir, 'package.json'));
+    const lockFile = path.join(projectDir, 'package-lock.json');
+    if (fs.existsSync(lockFile)) {
+      await fs.copy(lockFile, path.join(scratchDir, 'package-lock.json'));
+    }
+
+    execSync('npm install', { cwd: scratchDir, stdio: 'pipe' });
+    await fs.writeFile(path.join(scratchDir, COMPLETE_MARKER), new Date().toISOString());
+
+    await fs.remove(cacheDir);
+    await fs.move(scratchDir, cacheDir);
+  } finally {
+    await fs.remove(scratchDir);
+  }
+
+  // A project without a lockfile gets the one npm generated, so samples made
+  // from it are keyed by that lockfile later; alias the entry under it too
+  const lockKey = getCacheKey(cacheDir);
+  const aliasDir = path.join(CACHE_PATH, lockKey);
+  if (aliasDir !== cacheDir && !fs.existsSync(aliasDir)) {
+    await fs.symlink(path.basename(cacheDir), aliasDir);
+  }
+}
+
+// Mirrors a directory tree with hard links, falling back to copies across
+// filesystems. Symlinks (node_modules/.bin) are recreated as symlinks.
+async function linkTree(sourceDir, targetDir) {
+  await fs.ensureDir(targetDir);
+
+  for (const entry of await fs.readdir(sourceDir, { withFileTypes: true })) {
+    const source = path.join(sourceDir, entry.name);
+    const target = path.join(targetDir, entry.name);
+
+    if (entry.isDirectory()) {
+      await linkTree(source, target);
+    } else if (entry.isSymbolicLink()) {
+      await fs.symlink(await fs.readlink(source), target);
+    } else {
+      try {
+        await fs.link(source, target);
+      } catch (error) {
+        if (!['EXDEV', 'EPERM', 'EMLINK'].includes(error.code)) throw error;
+        await fs.copyFile(source, target);
+      }
+    }
+  }
+}
+
+// Gives projectDir a node_modules (and lockfile) from the cache, installing
+// into the cache first when needed. With { offline: true } a cold cache is an
+// error (code DEPENDENCY_CACHE_COLD) instead of a network install.
+async function installDependencies(projectDir, { offline = false } = {}) {
+  const cacheDir = getCacheDir(projectDir);
+
+  if (!isCached(cacheDir)) {
+    if (offline) {
+      const error = new Error(
+        `Dependency cache is cold for ${path.basename(projectDir)} (no entry ${path.relative(process.cwd(), cacheDir)}). ` +
+        'Run setup once without --offline and with network access to populate it.'
+      );
+      error.code = 'DEPENDENCY_CACHE_COLD';
+      throw error;
+    }
+
+    await fillCache(projectDir, cacheDir);
+  }
+
+  await fs.remove(path.join(projectDir, 'node_modules'));
+  await linkTree(path.join(cacheDir, 'node_modules'), path.join(projectDir, 'node_modules'));
+
+  const lockFile = path.join(projectDir, 'package-lock.json');
+  if (!fs.existsSync(lockFile) && fs.existsSync(path.join(cacheDir, 'package-lock.json'))) {
+    await fs.copy(path.join(cacheDir, 'package-lock.json'), lockFile);
+  }
+
+  return cacheDir;
+}
+
+module.exports = {
+  CACHE_PATH,
+  DEPENDENCY_EXCLUDES,
+  getCacheKey,
+  getCacheDir,
+  hasCachedDependencies,
+  installDependencies
+};
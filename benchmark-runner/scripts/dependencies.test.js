@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { getCacheKey } = require('./dependencies');
+
+async function createProject(manifest, lock) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-dependencies-'));
+  await fs.writeJson(path.join(dir, 'package.json'), manifest);
+  if (lock) {
+    await fs.writeJson(path.join(dir, 'package-lock.json'), lock);
+  }
+  return dir;
+}
+
+test('getCacheKey depends on the dependency fields, not the rest of package.json', async (t) => {
+  const a = await createProject({ name: 'a', scripts: { test: 'jest' }, dependencies: { react: '^18.0.0' } });
+  const b = await createProject({ name: 'b', dependencies: { react: '^18.0.0' } });
+  const c = await createProject({ name: 'c', dependencies: { react: '^17.0.0' } });
+  t.after(() => Promise.all([a, b, c].map(dir => fs.remove(dir))));
+
+  assert.match(getCacheKey(a), /^[0-9a-f]{16}$/);
+  assert.strictEqual(getCacheKey(a), getCacheKey(b));
+  assert.notStrictEqual(getCacheKey(a), getCacheKey(c));
+});
+
+test('getCacheKey prefers the lockfile when there is one', async (t) => {
+  const a = await createProject({ dependencies: { react: '^18.0.0' } }, { lockfileVersion: 3, packages: { 'node_modules/react': { version: '18.2.0' } } });
+  const b = await createProject({ dependencies: { react: '^18.0.0' } }, { lockfileVersion: 3, packages: { 'node_modules/react': { version: '18.3.1' } } });
+  t.after(() => Promise.all([a, b].map(dir => fs.remove(dir))));
+
+  assert.notStrictEqual(getCacheKey(a), getCacheKey(b));
+});
@@ -0,0 +1,177 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Changes a session made, found by comparing the project with its task's
+// template directory rather than through git history: archived workspaces
+// are restored without the template commit, and the baseline sample must come
+// out unchanged either way. Files the template does not have count as added
+// in full. Both sides are listed by git where they are in a work tree, so the
+// project's .gitignore and the harness excludes below keep build output and
+// caches out of every diff-based check.
+
+const IGNORED_DIRS = ['node_modules', '.git'];
+// Output of the project's own tooling (builds, coverage reports, caches),
+// written to .git/info/exclude of every sample and workspace next to
+// node_modules so that running the tests is never a change
+const ARTIFACT_EXCLUDES = ['coverage/', 'dist/', 'build/', '.eslintcache', '.jest-cache/', '*.log'];
+
+function isIgnoredPath(file) {
+  return file.split('/').some(segment => IGNORED_DIRS.includes(segment));
+}
+
+// Tracked and untracked files git does not ignore, relative to dir; null
+// when dir is not in a git work tree
+function listGitFiles(dir) {
+  const inWorkTree = spawnSync('git', ['rev-parse', '--is-inside-work-tree'], { cwd: dir, encoding: 'utf8' });
+  if (inWorkTree.status !== 0 || inWorkTree.stdout.trim() !== 'true') return null;
+
+  const listed = spawnSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', '.'], {
+    cwd: dir,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+  if (listed.status !== 0) {
+    throw new Error(`git ls-files failed in ${dir}: ${(listed.stderr || listed.error?.message || '').trim()}`);
+  }
+
+  // The index still lists tracked files the session deleted; samples set up
+  // before node_modules was excluded have it tracked
+  return [...new Set(listed.stdout.split('\0').filter(Boolean))]
+    .filter(file => !isIgnoredPath(file))
+    .filter(file => {
+      const stats = fs.lstatSync(path.join(dir, file), { throwIfNoEntry: false });
+      return Boolean(stats) && stats.isFile();
+    });
+}
+
+function walkFiles(dir, prefix = '') {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name)) {
+        files.push(...walkFiles(path.join(dir, entry.name), relative));
+      }
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+
+  return files;
+}
+
+// Files below dir as /-separated paths relative to it. Outside a git work
+// tree (a template copied without the runner's repository) every file but
+// node_modules and .git counts.
+function listProjectFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return (listGitFiles(dir) || walkFiles(dir)).sort();
+}
+
+// Same heuristic as git: a NUL byte in the first 8000 bytes
+function isBinary(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(8000);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function countLines(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  if (content === '') return 0;
+  return content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+}
+
+function range(start, count) {
+  return Array.from({ length: count }, (_, index) => start + index);
+}
+
+// Line numbers added to `after` (in its own numbering), the number of lines
+// removed from `before` and the size of every hunk, from git's zero-context
+// diff of the two files
+function diffFiles(before, after) {
+  const diff = spawnSync('git', ['diff', '--no-index', '--no-color', '--unified=0', '--', before, after], {
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+  // --no-index exits 1 when the files differ
+  if (diff.status !== 0 && diff.status !== 1) {
+    throw new Error(`git diff failed for ${after}: ${(diff.stderr || diff.error?.message || '').trim()}`);
+  }
+
+  const addedLines = [];
+  const hunks = [];
+  for (const match of diff.stdout.matchAll(/^@@ -\d+(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/gm)) {
+    const hunk = {
+      added: match[3] === undefined ? 1 : Number(match[3]),
+      removed: match[1] === undefined ? 1 : Number(match[1])
+    };
+    addedLines.push(...range(Number(match[2]), hunk.added));
+    hunks.push(hunk);
+  }
+
+  return {
+    addedLines,
+    removedLines: hunks.reduce((sum, hunk) => sum + hunk.removed, 0),
+    hunks,
+    binary: /^Binary files /m.test(diff.stdout)
+  };
+}
+
+// Every file that differs from the template:
+// [{ file, status: 'added' | 'modified' | 'deleted', addedLines: [lineNumbers], removedLines, hunks: [{ added, removed }], binary }]
+// An added or deleted file is one hunk of all its lines
+function diffProject(projectPath, templatePath) {
+  const projectFiles = listProjectFiles(projectPath);
+  const templateFiles = new Set(listProjectFiles(templatePath));
+  const changes = [];
+
+  projectFiles.forEach(file => {
+    const current = path.join(projectPath, file);
+    const original = path.join(templatePath, file);
+
+    if (!templateFiles.has(file)) {
+      const binary = isBinary(current);
+      const lines = binary ? 0 : countLines(current);
+      changes.push({ file, status: 'added', addedLines: range(1, lines), removedLines: 0, hunks: lines > 0 ? [{ added: lines, removed: 0 }] : [], binary });
+      return;
+    }
+    templateFiles.delete(file);
+
+    if (fs.readFileSync(current).equals(fs.readFileSync(original))) return;
+    changes.push({ file, status: 'modified', ...diffFiles(original, current) });
+  });
+
+  templateFiles.forEach(file => {
+    const original = path.join(templatePath, file);
+    const binary = isBinary(original);
+    const lines = binary ? 0 : countLines(original);
+    changes.push({ file, status: 'deleted', addedLines: [], removedLines: lines, hunks: lines > 0 ? [{ added: 0, removed: lines }] : [], binary });
+  });
+
+  return changes.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+// Map of each added or modified file to the Set of its changed line numbers,
+// computed once per validation and shared by the checks through their context
+function getChangedLines(projectPath, context) {
+  if (!context.changedLines) {
+    context.changedLines = new Map(diffProject(projectPath, context.templatePath)
+      .filter(change => change.status !== 'deleted')
+      .map(change => [change.file, new Set(change.addedLines)]));
+  }
+  return context.changedLines;
+}
+
+module.exports = {
+  ARTIFACT_EXCLUDES,
+  listProjectFiles,
+  diffProject,
+  getChangedLines
+};
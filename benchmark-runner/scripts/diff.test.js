@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { git, excludeFromGit } = require('./snapshots');
+const { ARTIFACT_EXCLUDES, listProjectFiles, diffProject, getChangedLines } = require('./diff');
+
+async function createDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-diff-'));
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test('listProjectFiles skips node_modules and .git', async (t) => {
+  const dir = await createDir({ 'src/App.js': '', 'node_modules/dep/index.js': '', '.git/HEAD': '' });
+  t.after(() => fs.remove(dir));
+
+  assert.deepStrictEqual(listProjectFiles(dir), ['src/App.js']);
+});
+
+test('diffProject reports added, modified and deleted files with their hunks', async (t) => {
+  const template = await createDir({
+    'src/App.js': 'one\ntwo\nthree\n',
+    'src/old.js': 'a\nb\n'
+  });
+  const project = await createDir({
+    'src/App.js': 'one\n2\nthree\nfour\n',
+    'src/new.js': 'x\ny\nz\n'
+  });
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+
+  assert.deepStrictEqual(diffProject(project, template), [
+    { file: 'src/App.js', status: 'modified', addedLines: [2, 4], removedLines: 1, hunks: [{ added: 1, removed: 1 }, { added: 1, removed: 0 }], binary: false },
+    { file: 'src/new.js', status: 'added', addedLines: [1, 2, 3], removedLines: 0, hunks: [{ added: 3, removed: 0 }], binary: false },
+    { file: 'src/old.js', status: 'deleted', addedLines: [], removedLines: 2, hunks: [{ added: 0, removed: 2 }], binary: false }
+  ]);
+});
+
+test('getChangedLines caches the changed lines of added and modified files', async (t) => {
+  const template = await createDir({ 'a.js': 'one\n', 'gone.js': 'x\n' });
+  const project = await createDir({ 'a.js': 'one\ntwo\n' });
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+  const context = { templatePath: template };
+
+  const changedLines = getChangedLines(project, context);
+  assert.deepStrictEqual([...changedLines.keys()], ['a.js']);
+  assert.deepStrictEqual([...changedLines.get('a.js')], [2]);
+  assert.strictEqual(getChangedLines(project, context), changedLines);
+});
+
+test('diffProject respects the ignore rules of a git project', async (t) => {
+  const template = await createDir({ 'src/App.js': 'one\n', 'tests/app.test.js': 'test\n' });
+  const project = await createDir({
+    'src/App.js': 'one\n',
+    'tests/app.test.js': 'test\n',
+    '.gitignore': 'tmp/\n',
+    'tmp/scratch.txt': 'scratch\n',
+    'coverage/lcov.info': 'SF:src/App.js\n',
+    '.eslintcache': '{}'
+  });
+  t.after(() => Promise.all([template, project].map(dir => fs.remove(dir))));
+  await git(project, ['init', '--quiet']);
+  await excludeFromGit(project, ARTIFACT_EXCLUDES);
+  await git(project, ['add', '-A']);
+  await git(project, ['commit', '--quiet', '-m', 'Initial'], {
+    GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@localhost', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@localhost'
+  });
+  // Tracked files the session deleted and untracked files it added
+  await fs.remove(path.join(project, 'tests/app.test.js'));
+  await fs.outputFile(path.join(project, 'src/Greeting.js'), 'hi\n');
+
+  assert.deepStrictEqual(listProjectFiles(project), ['.gitignore', 'src/App.js', 'src/Greeting.js']);
+  assert.deepStrictEqual(diffProject(project, template).map(change => [change.file, change.status]), [
+    ['.gitignore', 'added'],
+    ['src/Greeting.js', 'added'],
+    ['tests/app.test.js', 'deleted']
+  ]);
+  assert.deepStrictEqual(listProjectFiles(path.join(project, 'src')), ['App.js', 'Greeting.js']);
+});
@@ -0,0 +1,92 @@
+// Classifies failed agent sessions from how the process ended and what it
+// printed, so transient failures can be retried and the report can group them.
+
+const FAILURE_CLASSES = {
+  SPAWN_ERROR: 'spawn-error',
+  AUTH: 'auth',
+  RATE_LIMIT: 'rate-limit',
+  TIMEOUT: 'timeout',
+  CRASH: 'agent-crash'
+};
+
+// Failures of the environment rather than the agent's work; these sessions
+// say nothing about the instructions and are left out of scoring
+const INFRASTRUCTURE_FAILURES = [
+  FAILURE_CLASSES.SPAWN_ERROR,
+  FAILURE_CLASSES.AUTH,
+  FAILURE_CLASSES.RATE_LIMIT
+];
+
+const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  baseDelaySeconds: 30,
+  maxDelaySeconds: 600,
+  retryOn: [FAILURE_CLASSES.RATE_LIMIT]
+};
+
+const PATTERNS = [
+  {
+    failureClass: FAILURE_CLASSES.AUTH,
+    regex: /invalid (x-)?api[ -]?key|authentication[_ ]error|unauthori[sz]ed|\b401\b|not logged in|please run \/login|oauth token (has )?expired|permission_error/i
+  },
+  {
+    failureClass: FAILURE_CLASSES.RATE_LIMIT,
+    regex: /rate[_ ]?limit|too many requests|\b429\b|overloaded|\b529\b|usage limit|quota exceeded/i
+  }
+];
+
+// Returns { failureClass, detail } for a failed session, or null on success
+function classifyFailure({ spawnError = null, timedOut = false, exitCode = 0, stderr = '', errors = [], resultIsError = false }) {
+  if (spawnError) {
+    const missing = spawnError.code === 'ENOENT';
+    return {
+      failureClass: FAILURE_CLASSES.SPAWN_ERROR,
+      detail: missing ? `Agent binary not found (${spawnError.path || 'unknown'})` : spawnError.message
+    };
+  }
+
+  if (timedOut) {
+    return { failureClass: FAILURE_CLASSES.TIMEOUT, detail: 'Session exceeded timeoutMinutes' };
+  }
+
+  if (exitCode === 0 && !resultIsError) {
+    return null;
+  }
+
+  const haystack = [stderr, ...errors].join('\n');
+  for (const { failureClass, regex } of PATTERNS) {
+    const line = haystack.split('\n').find(candidate => regex.test(candidate));
+    if (line) {
+      return { failureClass, detail: line.trim().slice(0, 300) };
+    }
+  }
+
+  const lastLine = haystack.trim().split('\n').pop() || '';
+  return {
+    failureClass: FAILURE_CLASSES.CRASH,
+    detail: lastLine ? lastLine.trim().slice(0, 300) : `Agent exited with code ${exitCode}`
+  };
+}
+
+function getRetryOptions(settings = {}) {
+  return { ...DEFAULT_RETRY, ...settings.retry };
+}
+
+// Exponential backoff: base, 2 × base, 4 × base, ... capped at maxDelaySeconds
+function getBackoffDelayMs(retry, attempt) {
+  const seconds = Math.min(retry.maxDelaySeconds, retry.baseDelaySeconds * 2 ** (attempt - 1));
+  return seconds * 1000;
+}
+
+function isScorable(result) {
+  return !INFRASTRUCTURE_FAILURES.includes(result.failureClass);
+}
+
+module.exports = {
+  FAILURE_CLASSES,
+  INFRASTRUCTURE_FAILURES,
+  classifyFailure,
+  getRetryOptions,
+  getBackoffDelayMs,
+  isScorable
+};
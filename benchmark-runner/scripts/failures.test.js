@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FAILURE_CLASSES, classifyFailure, getRetryOptions, getBackoffDelayMs, isScorable } = require('./failures');
+
+test('classifyFailure returns null for a clean exit', () => {
+  assert.strictEqual(classifyFailure({ exitCode: 0 }), null);
+});
+
+test('classifyFailure recognizes spawn errors and timeouts first', () => {
+  const missing = Object.assign(new Error('spawn claude ENOENT'), { code: 'ENOENT', path: 'claude' });
+  assert.deepStrictEqual(classifyFailure({ spawnError: missing, exitCode: 1 }), {
+    failureClass: FAILURE_CLASSES.SPAWN_ERROR,
+    detail: 'Agent binary not found (claude)'
+  });
+  assert.strictEqual(classifyFailure({ timedOut: true, exitCode: 1, stderr: '429' }).failureClass, FAILURE_CLASSES.TIMEOUT);
+});
+
+test('classifyFailure matches auth and rate-limit messages by line', () => {
+  assert.deepStrictEqual(classifyFailure({ exitCode: 1, stderr: 'starting\nError: Invalid API key · Please run /login\n' }), {
+    failureClass: FAILURE_CLASSES.AUTH,
+    detail: 'Error: Invalid API key · Please run /login'
+  });
+  assert.strictEqual(classifyFailure({ exitCode: 0, resultIsError: true, errors: ['API Error: 529 Overloaded'] }).failureClass, FAILURE_CLASSES.RATE_LIMIT);
+});
+
+test('classifyFailure falls back to a crash with the last line of output', () => {
+  assert.deepStrictEqual(classifyFailure({ exitCode: 3, stderr: 'TypeError: boom\n    at main\n' }), {
+    failureClass: FAILURE_CLASSES.CRASH,
+    detail: 'at main'
+  });
+  assert.strictEqual(classifyFailure({ exitCode: 3 }).detail, 'Agent exited with code 3');
+});
+
+test('getBackoffDelayMs doubles the delay up to the cap', () => {
+  const retry = getRetryOptions({ retry: { baseDelaySeconds: 10, maxDelaySeconds: 25 } });
+
+  assert.strictEqual(retry.maxAttempts, 3);
+  assert.deepStrictEqual([1, 2, 3].map(attempt => getBackoffDelayMs(retry, attempt)), [10000, 20000, 25000]);
+});
+
+test('isScorable leaves out infrastructure failures only', () => {
+  assert.strictEqual(isScorable({ failureClass: FAILURE_CLASSES.AUTH }), false);
+  assert.strictEqual(isScorable({ failureClass: FAILURE_CLASSES.TIMEOUT }), true);
+  assert.strictEqual(isScorable({}), true);
+});
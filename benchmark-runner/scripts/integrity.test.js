@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { git } = require('./snapshots');
+const { createWorkspace } = require('./workspaces');
+const { checkIntegrity } = require('./integrity');
+
+const TEMPLATE = {
+  'package.json': JSON.stringify({ scripts: { test: 'jest' } }, null, 2),
+  'src/App.js': 'module.exports = (name) => `Hello ${name}`;\n',
+  'tests/app.test.js': [
+    "const greet = require('../src/App');",
+    "test('greets', () => {",
+    "  expect(greet('Ada')).toBe('Hello Ada');",
+    "  expect(greet('')).toBe('Hello ');",
+    '});',
+    ''
+  ].join('\n')
+};
+const SCOPE = ['src/**', 'tests/**', 'package.json'];
+
+async function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(dir, file), content);
+  }
+}
+
+// A template and a workspace cloned from a sample of it, as setup and the
+// runner prepare them
+async function createSession(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-integrity-'));
+  t.after(() => fs.remove(dir));
+  const templatePath = path.join(dir, 'template');
+  const basePath = path.join(dir, 'sample');
+  await writeFiles(templatePath, TEMPLATE);
+  await writeFiles(basePath, TEMPLATE);
+  await git(basePath, ['init', '--quiet']);
+  await git(basePath, ['add', '-A']);
+  await git(basePath, ['commit', '--quiet', '-m', 'Initial'], {
+    GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@localhost', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@localhost'
+  });
+
+  const projectPath = await createWorkspace(basePath, path.join(dir, 'workspace'));
+  return { projectPath, task: { templatePath, scope: SCOPE } };
+}
+
+const flagTypes = (result) => result.flags.map(flag => flag.type);
+
+test('an untouched workspace has no flags', async (t) => {
+  const { projectPath, task } = await createSession(t);
+
+  assert.deepStrictEqual(checkIntegrity(projectPath, task), { flags: [] });
+});
+
+test('a session that only runs jest --coverage is not out of scope', async (t) => {
+  const { projectPath, task } = await createSession(t);
+  // What jest --coverage leaves behind, plus a cache and a debug log
+  await writeFiles(projectPath, {
+    'coverage/lcov.info': 'SF:src/App.js\nend_of_record\n',
+    'coverage/coverage-final.json': '{}',
+    'coverage/lcov-report/index.html': '<html></html>',
+    '.jest-cache/haste-map': '',
+    'npm-debug.log': 'verbose\n'
+  });
+
+  assert.deepStrictEqual(checkIntegrity(projectPath, task), { flags: [] });
+});
+
+test('changes outside the scope are flagged unless the harness put them there', async (t) => {
+  const { projectPath, task } = await createSession(t);
+  await writeFiles(projectPath, { 'server.js': 'listen();\n', 'CLAUDE.md': '# Instructions\n' });
+
+  const result = checkIntegrity(projectPath, task, { ignore: ['CLAUDE.md'] });
+  assert.deepStrictEqual(result.flags, [{ type: 'out-of-scope', file: 'server.js', message: "server.js added outside the task's scope" }]);
+  assert.deepStrictEqual(checkIntegrity(projectPath, { ...task, scope: null }).flags, []);
+});
+
+test('weakened tests are flagged', async (t) => {
+  const { projectPath, task } = await createSession(t);
+  await writeFiles(projectPath, {
+    'tests/app.test.js': [
+      "const greet = require('../src/App');",
+      "test.skip('greets', () => {",
+      "  expect(greet('Ada')).toBe('Hello Ada');",
+      '});',
+      "it.only('runs', () => {});",
+      ''
+    ].join('\n'),
+    'package.json': JSON.stringify({ scripts: { test: 'jest --passWithNoTests' }, jest: { testPathIgnorePatterns: ['tests'] } })
+  });
+
+  assert.deepStrictEqual(flagTypes(checkIntegrity(projectPath, task)).sort(), [
+    'focused-test', 'jest-config', 'jest-config', 'removed-assertions', 'skipped-test'
+  ]);
+});
+
+test('a deleted test file is told apart from a renamed one', async (t) => {
+  const { projectPath, task } = await createSession(t);
+  await fs.move(path.join(projectPath, 'tests/app.test.js'), path.join(projectPath, 'tests/greeting.test.js'));
+
+  assert.deepStrictEqual(checkIntegrity(projectPath, task).flags, [
+    { type: 'renamed-test', file: 'tests/app.test.js', message: 'Test file tests/app.test.js renamed to tests/greeting.test.js' }
+  ]);
+
+  await fs.remove(path.join(projectPath, 'tests/greeting.test.js'));
+  assert.deepStrictEqual(flagTypes(checkIntegrity(projectPath, task)), ['deleted-test']);
+});
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+// Deterministic stand-in for a coding agent. Reads the prompt from stdin (or
+// ignores it), applies the canned file edits from a JSON script to the current
+// directory and exits, so the whole pipeline can run without network access.
+// With `--output-format stream-json` it reports progress as stream-json events
+// (assistant text, one Write/Edit tool call per edit, and a final result).
+//
+// Script format:
+// {
+//   "output": ["lines printed before the edits"],
+//   "edits": [
+//     { "file": "src/App.js", "action": "write", "source": "files/App.js" },
+//     { "file": "src/App.css", "action": "append", "content": ".x {}\n" },
+//     { "file": "src/App.js", "action": "replace", "search": "a", "replace": "b" },
+//     { "file": "tests/old.test.js", "action": "delete" }
+//   ],
+//   "usage": { "input_tokens": 1000, "output_tokens": 200 },
+//   "costUsd": 0.01,
+//   "delayMs": 0,
+//   "exitCode": 0
+// }
+//
+// Multi-prompt sessions pass `--stage <n>` on follow-up prompts. A script with
+// a "stages" array then uses stages[n - 1], falling back to the top-level
+// fields for anything a stage leaves out.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const TOOL_NAMES = { write: 'Write', append: 'Edit', replace: 'Edit', delete: 'Bash' };
+
+function readStdin() {
+  return new Promise((resolve) => {
+    if (process.stdin.isTTY) {
+      resolve('');
+      return;
+    }
+
+    let input = '';
+    process.stdin.on('data', (data) => {
+      input += data.toString();
+    });
+    process.stdin.on('end', () => resolve(input));
+  });
+}
+
+function createReporter(streamJson) {
+  let toolCount = 0;
+  const emit = (event) => console.log(JSON.stringify({ ...event, session_id: 'mock-session' }));
+
+  if (!streamJson) {
+    return {
+      text: (line) => console.log(line),
+      toolCall: () => {},
+      toolResult: (edit, error) => console.log(error ? `Failed ${edit.file}: ${error.message}` : `Edited ${edit.file} (${edit.action || 'write'})`),
+      result: (exitCode) => {
+        if (exitCode === 0) console.log('Task completed');
+      }
+    };
+  }
+
+  return {
+    text: (line) => emit({ type: 'assistant', message: { content: [{ type: 'text', text: line }] } }),
+    toolCall: (edit) => {
+      toolCount++;
+      emit({
+        type: 'assistant',
+        message: { content: [{ type: 'tool_use', id: `tool-${toolCount}`, name: TOOL_NAMES[edit.action || 'write'] || 'Edit', input: { file_path: edit.file } }] }
+      });
+    },
+    toolResult: (edit, error) => emit({
+      type: 'user',
+      message: { content: [{ type: 'tool_result', tool_use_id: `tool-${toolCount}`, is_error: Boolean(error), content: error ? error.message : `Edited ${edit.file}` }] }
+    }),
+    result: (exitCode, script) => emit({
+      type: 'result',
+      subtype: exitCode === 0 ? 'success' : 'error_during_execution',
+      is_error: exitCode !== 0,
+      num_turns: toolCount + 1,
+      duration_ms: script.delayMs || 0,
+      total_cost_usd: script.costUsd || 0,
+      usage: script.usage || { input_tokens: 0, output_tokens: 0 },
+      result: exitCode === 0 ? 'Task completed' : 'Mock agent failed'
+    })
+  };
+}
+
+async function applyEdit(edit, scriptDir) {
+  const target = path.resolve(process.cwd(), edit.file);
+  const content = edit.source
+    ? await fs.readFile(path.resolve(scriptDir, edit.source), 'utf8')
+    : edit.content || '';
+
+  switch (edit.action || 'write') {
+    case 'write':
+      await fs.outputFile(target, content);
+      break;
+
+    case 'append':
+      await fs.ensureFile(target);
+      await fs.appendFile(target, content);
+      break;
+
+    case 'replace': {
+      const original = await fs.readFile(target, 'utf8');
+      if (!original.includes(edit.search)) {
+        throw new Error(`Search text not found in ${edit.file}`);
+      }
+      await fs.writeFile(target, original.split(edit.search).join(edit.replace || ''));
+      break;
+    }
+
+    case 'delete':
+      await fs.remove(target);
+      break;
+
+    default:
+      throw new Error(`Unknown edit action "${edit.action}" for ${edit.file}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const scriptIndex = args.indexOf('--script');
+  const scriptPath = scriptIndex >= 0 ? args[scriptIndex + 1] : null;
+
+  if (!scriptPath) {
+    console.error('mock-agent: --script <path> is required');
+    process.exit(2);
+  }
+
+  const formatIndex = args.indexOf('--output-format');
+  const reporter = createReporter(formatIndex >= 0 && args[formatIndex + 1] === 'stream-json');
+
+  const stageIndex = args.indexOf('--stage');
+  const stage = stageIndex >= 0 ? Number(args[stageIndex + 1]) : 1;
+
+  const fullScript = await fs.readJson(scriptPath);
+  const { stages, ...defaults } = fullScript;
+  const script = stages ? { ...defaults, ...stages[stage - 1] } : fullScript;
+  const prompt = await readStdin();
+
+  reporter.text(`Mock agent received prompt (${prompt.length} chars)`);
+  (script.output || []).forEach(line => reporter.text(line));
+
+  if (script.delayMs) {
+    await new Promise(resolve => setTimeout(resolve, script.delayMs));
+  }
+
+  let exitCode = script.exitCode || 0;
+  for (const edit of script.edits || []) {
+    reporter.toolCall(edit);
+    try {
+      await applyEdit(edit, path.dirname(scriptPath));
+      reporter.toolResult(edit);
+    } catch (error) {
+      reporter.toolResult(edit, error);
+      exitCode = 1;
+    }
+  }
+
+  reporter.result(exitCode, script);
+  process.exit(exitCode);
+}
+
+main().catch((error) => {
+  console.error(`mock-agent: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,219 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { runCommand } = require('./commands');
+const { diffProject } = require('./diff');
+const { parseSource, walk } = require('./ast');
+const { globToRegExp } = require('./rules');
+const { ACCEPTANCE_DIR } = require('./acceptance');
+
+// Lightweight mutation testing of the code a session changed. Small faults
+// are injected one at a time into the lines the session added or modified
+// (outside test files) and the workspace's Jest suite runs against each
+// mutant. Only test files that pass before any mutation take part, so one
+// broken test file does not kill every mutant. A mutant is killed when those
+// tests fail and times out when they hang; the mutation score is the share
+// of mutants either killed or timed out, so tests that assert nothing score
+// 0 even when they pass. Every mutated file is restored before the next
+// mutant runs.
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  maxMutants: 20,
+  mutantTimeoutSeconds: 60,
+  files: 'src/**/*.{js,jsx,ts,tsx}',
+  exclude: '**/*.{test,spec}.{js,jsx,ts,tsx}'
+};
+
+const OPERATOR_FLIPS = {
+  '===': '!==',
+  '!==': '===',
+  '==': '!=',
+  '!=': '==',
+  '<': '>=',
+  '>=': '<',
+  '>': '<=',
+  '<=': '>',
+  '&&': '||',
+  '||': '&&'
+};
+
+function getMutationOptions(settings = {}) {
+  if (settings.mutation === false) return { ...DEFAULT_OPTIONS, enabled: false };
+  return { ...DEFAULT_OPTIONS, ...(settings.mutation || {}) };
+}
+
+// String literals that name modules or keys rather than carry behaviour
+function isStructuralString(node, parent) {
+  if (node.type !== 'StringLiteral') return false;
+  if (['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration', 'Directive'].includes(parent?.type)) return true;
+  if (parent?.type === 'ObjectProperty' && parent.key === node) return true;
+  return parent?.type === 'CallExpression' && ['require', 'import'].includes(parent.callee.name || parent.callee.type.toLowerCase());
+}
+
+// Mutation sites of one file: { line, start, end, replacement, mutator, original }
+// where start/end are offsets into the source
+function findMutationSites(source, file) {
+  const sites = [];
+  const add = (node, start, end, replacement, mutator) => {
+    sites.push({ line: node.loc.start.line, start, end, replacement, mutator, original: source.slice(start, end) });
+  };
+
+  walk(parseSource(source, file), (node, ancestors) => {
+    const parent = ancestors[ancestors.length - 1];
+
+    // Flip conditionals: comparisons and logical operators
+    if ((node.type === 'BinaryExpression' || node.type === 'LogicalExpression') && OPERATOR_FLIPS[node.operator]) {
+      const position = source.indexOf(node.operator, node.left.end);
+      if (position !== -1 && position + node.operator.length <= node.right.start) {
+        add(node, position, position + node.operator.length, OPERATOR_FLIPS[node.operator], 'flip-conditional');
+      }
+    } else if (node.type === 'UnaryExpression' && node.operator === '!') {
+      add(node, node.start, node.argument.start, '', 'remove-negation');
+
+    // Change literals
+    } else if (node.type === 'BooleanLiteral') {
+      add(node, node.start, node.end, String(!node.value), 'change-literal');
+    } else if (node.type === 'NumericLiteral') {
+      add(node, node.start, node.end, node.value === 0 ? '1' : '0', 'change-literal');
+    } else if (node.type === 'StringLiteral' && node.value !== '' && !isStructuralString(node, parent)) {
+      add(node, node.start, node.end, "''", 'change-literal');
+
+    // Remove calls made for their side effects
+    } else if (node.type === 'ExpressionStatement'
+      && (node.expression.type === 'CallExpression' || node.expression.type === 'AwaitExpression')) {
+      add(node, node.start, node.end, ';', 'remove-call');
+    }
+  });
+
+  return sites;
+}
+
+// Every mutation site on a changed line of the selected files
+function collectSites(projectPath, templatePath, { files, exclude }) {
+  const include = globToRegExp(files);
+  const excluded = exclude ? globToRegExp(exclude) : null;
+  const sites = [];
+
+  diffProject(projectPath, templatePath)
+    .filter(change => change.status !== 'deleted' && !change.binary)
+    .filter(change => include.test(change.file) && !(excluded && excluded.test(change.file)))
+    .forEach(change => {
+      const changedLines = new Set(change.addedLines);
+      let fileSites;
+      try {
+        fileSites = findMutationSites(fs.readFileSync(path.join(projectPath, change.file), 'utf8'), change.file);
+      } catch (error) {
+        // Files that do not parse cannot be mutated
+        return;
+      }
+      fileSites
+        .filter(site => changedLines.has(site.line))
+        .forEach(site => sites.push({ file: change.file, ...site }));
+    });
+
+  return sites;
+}
+
+// At most max sites, spread evenly so every run of the same workspace
+// tests the same mutants
+function selectSites(sites, max) {
+  if (sites.length <= max) return sites;
+  return Array.from({ length: max }, (_, index) => sites[Math.floor(index * sites.length / max)]);
+}
+
+function runJest(projectPath, args, timeoutSeconds) {
+  return runCommand(path.join(projectPath, 'node_modules', '.bin', 'jest'), ['--ci', '--silent', ...args], projectPath, {
+    timeoutMs: timeoutSeconds * 1000,
+    outputLines: 5
+  });
+}
+
+// Test files of the workspace (hidden acceptance tests aside) that pass
+// before any mutation; null when Jest produced no report
+async function findPassingTests(projectPath, timeoutSeconds) {
+  const reportFile = path.join(os.tmpdir(), `benchmark-mutation-${process.pid}-${Date.now()}.json`);
+  try {
+    const run = await runJest(projectPath, [
+      '--json',
+      `--outputFile=${reportFile}`,
+      '--passWithNoTests',
+      '--testPathIgnorePatterns=/node_modules/',
+      `--testPathIgnorePatterns=/${ACCEPTANCE_DIR}/`
+    ], timeoutSeconds);
+    if (run.timedOut || !fs.existsSync(reportFile)) return null;
+
+    const report = await fs.readJson(reportFile);
+    return report.testResults.filter(result => result.status === 'passed').map(result => result.name);
+  } finally {
+    await fs.remove(reportFile);
+  }
+}
+
+function emptyResult(extra = {}) {
+  return { sites: 0, total: 0, killed: 0, timedOut: 0, survived: 0, score: null, mutants: [], ...extra };
+}
+
+// Mutates the changed code of projectPath one site at a time and runs the
+// passing tests against each mutant; score is null when nothing could be
+// mutated or no test passes without mutations
+async function runMutationTests(projectPath, templatePath, options = {}) {
+  const { maxMutants, mutantTimeoutSeconds, files, exclude } = { ...DEFAULT_OPTIONS, ...options };
+
+  if (!fs.existsSync(path.join(projectPath, 'node_modules', '.bin', 'jest'))) {
+    return emptyResult({ error: 'Jest is not installed in the workspace' });
+  }
+
+  const sites = collectSites(projectPath, templatePath, { files, exclude });
+  if (sites.length === 0) return emptyResult();
+
+  const passingTests = await findPassingTests(projectPath, mutantTimeoutSeconds);
+  if (passingTests === null) {
+    return emptyResult({ sites: sites.length, error: `Jest produced no report within ${mutantTimeoutSeconds}s` });
+  }
+  if (passingTests.length === 0) {
+    return emptyResult({ sites: sites.length, error: 'No test passes without mutations, so mutants cannot be judged' });
+  }
+
+  const mutants = [];
+  for (const site of selectSites(sites, maxMutants)) {
+    const file = path.join(projectPath, site.file);
+    const original = await fs.readFile(file, 'utf8');
+    let run;
+    try {
+      await fs.writeFile(file, original.slice(0, site.start) + site.replacement + original.slice(site.end));
+      run = await runJest(projectPath, ['--bail', '--runTestsByPath', ...passingTests], mutantTimeoutSeconds);
+    } finally {
+      await fs.writeFile(file, original);
+    }
+
+    const status = run.timedOut ? 'timed-out' : run.exitCode === 0 ? 'survived' : 'killed';
+    mutants.push({
+      file: site.file,
+      line: site.line,
+      mutator: site.mutator,
+      original: site.original,
+      replacement: site.replacement,
+      status
+    });
+  }
+
+  const count = status => mutants.filter(mutant => mutant.status === status).length;
+  return {
+    sites: sites.length,
+    testFiles: passingTests.length,
+    total: mutants.length,
+    killed: count('killed'),
+    timedOut: count('timed-out'),
+    survived: count('survived'),
+    score: (count('killed') + count('timed-out')) / mutants.length,
+    mutants
+  };
+}
+
+module.exports = {
+  getMutationOptions,
+  findMutationSites,
+  selectSites,
+  runMutationTests
+};
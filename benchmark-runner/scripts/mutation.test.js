@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { getMutationOptions, findMutationSites, selectSites, runMutationTests } = require('./mutation');
+
+test('getMutationOptions merges settings.mutation over the defaults', () => {
+  assert.strictEqual(getMutationOptions({ mutation: { maxMutants: 5 } }).maxMutants, 5);
+  assert.strictEqual(getMutationOptions({ mutation: false }).enabled, false);
+  assert.strictEqual(getMutationOptions().enabled, true);
+});
+
+test('findMutationSites flips conditionals, changes literals and removes calls', () => {
+  const source = [
+    "import React from 'react';",
+    'const greet = (name) => {',
+    "  if (name === '' || !valid) return 'Hello';",
+    '  save(name, 0, true);',
+    '};'
+  ].join('\n');
+  const sites = findMutationSites(source, 'greet.js');
+  const mutate = (site) => source.slice(0, site.start) + site.replacement + source.slice(site.end);
+
+  assert.deepStrictEqual(sites.map(site => [site.line, site.mutator, site.original, site.replacement]), [
+    [3, 'flip-conditional', '||', '&&'],
+    [3, 'flip-conditional', '===', '!=='],
+    [3, 'remove-negation', '!', ''],
+    [3, 'change-literal', "'Hello'", "''"],
+    [4, 'remove-call', 'save(name, 0, true);', ';'],
+    [4, 'change-literal', '0', '1'],
+    [4, 'change-literal', 'true', 'false']
+  ]);
+  assert.match(mutate(sites[1]), /if \(name !== '' \|\| !valid\)/);
+});
+
+test('selectSites caps the sites at max, spread evenly', () => {
+  const sites = Array.from({ length: 10 }, (_, index) => index);
+
+  assert.deepStrictEqual(selectSites(sites, 4), [0, 2, 5, 7]);
+  assert.deepStrictEqual(selectSites(sites, 10), sites);
+  assert.deepStrictEqual(selectSites(sites.slice(0, 3), 20), [0, 1, 2]);
+});
+
+// A stand-in for node_modules/.bin/jest: its report lists one test file,
+// which fails when the marker file `broken` exists. Against a mutant it
+// fails on a flipped comparison, hangs on an emptied greeting and passes
+// otherwise.
+const FAKE_JEST = `#!${process.execPath}
+const fs = require('fs');
+const report = process.argv.find(arg => arg.startsWith('--outputFile='));
+if (report) {
+  const status = fs.existsSync('broken') ? 'failed' : 'passed';
+  fs.writeFileSync(report.slice('--outputFile='.length), JSON.stringify({ testResults: [{ name: 'src/greet.test.js', status }] }));
+  process.exit(0);
+}
+const source = fs.readFileSync('src/greet.js', 'utf8');
+if (source.includes('!==')) process.exit(1);
+if (source.includes("return ''")) setInterval(() => {}, 1000);
+`;
+
+async function createWorkspace(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-mutation-'));
+  t.after(() => fs.remove(dir));
+
+  const templatePath = path.join(dir, 'template');
+  const projectPath = path.join(dir, 'project');
+  await fs.outputFile(path.join(templatePath, 'src/greet.js'), "module.exports = () => 'Hello';\n");
+  await fs.outputFile(path.join(projectPath, 'src/greet.js'), [
+    'module.exports = (name) => {',
+    "  if (name === '') return 'Hello';",
+    '  const retries = 3;',
+    '  return `Hello ${name}`;',
+    '};',
+    ''
+  ].join('\n'));
+  await fs.outputFile(path.join(projectPath, 'node_modules/.bin/jest'), FAKE_JEST, { mode: 0o755 });
+  return { projectPath, templatePath };
+}
+
+test('runMutationTests tells killed, timed-out and surviving mutants apart', async (t) => {
+  const { projectPath, templatePath } = await createWorkspace(t);
+  const source = await fs.readFile(path.join(projectPath, 'src/greet.js'), 'utf8');
+
+  const result = await runMutationTests(projectPath, templatePath, { mutantTimeoutSeconds: 1 });
+
+  assert.deepStrictEqual(result.mutants.map(mutant => [mutant.line, mutant.original, mutant.status]), [
+    [2, '===', 'killed'],
+    [2, "'Hello'", 'timed-out'],
+    [3, '3', 'survived']
+  ]);
+  assert.deepStrictEqual(
+    [result.total, result.killed, result.timedOut, result.survived, result.testFiles],
+    [3, 1, 1, 1, 1]
+  );
+  assert.strictEqual(result.score, 2 / 3);
+  assert.strictEqual(await fs.readFile(path.join(projectPath, 'src/greet.js'), 'utf8'), source);
+});
+
+test('runMutationTests judges no mutant when no test passes unmutated', async (t) => {
+  const { projectPath, templatePath } = await createWorkspace(t);
+  await fs.outputFile(path.join(projectPath, 'broken'), '');
+
+  const result = await runMutationTests(projectPath, templatePath, { mutantTimeoutSeconds: 1 });
+
+  assert.strictEqual(result.error, 'No test passes without mutations, so mutants cannot be judged');
+  assert.deepStrictEqual([result.sites, result.total, result.score], [3, 0, null]);
+});
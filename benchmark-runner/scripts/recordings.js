@@ -0,0 +1,124 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { git, snapshotWorkspace } = require('./snapshots');
+const { installDependencies } = require('./dependencies');
+
+// Record/replay of agent sessions. A recording keeps everything needed to
+// rebuild a session's sample without the agent: a binary patch of the final
+// workspace against the template commit (plus one per stage for multi-prompt
+// sessions) and copies of the transcripts and logs. Replay applies the patches
+// to a freshly created sample.
+//
+// results/run-<id>/recordings/<sessionId>/
+//   recording.json       manifest
+//   final.patch          template commit -> final workspace
+//   stage-<n>.patch      template commit -> workspace after stage n
+//   <log and transcript files of the session>
+
+const RECORDINGS_DIR = 'recordings';
+
+// node_modules is reinstalled on replay rather than recorded
+const PATCH_PATHSPEC = ['--', '.', ':(exclude)node_modules'];
+const DEPENDENCY_FILES = ['package.json', 'package-lock.json'];
+
+async function getBaseCommit(projectPath) {
+  const roots = await git(projectPath, ['rev-list', '--max-parents=0', 'HEAD']);
+  return roots.split('\n')[0];
+}
+
+async function writePatch(projectPath, base, target, patchFile) {
+  await git(projectPath, ['diff', '--binary', '--full-index', `--output=${patchFile}`, base, target, ...PATCH_PATHSPEC]);
+
+  const changedFiles = await git(projectPath, ['diff', '--name-only', base, target, ...PATCH_PATHSPEC]);
+  return changedFiles ? changedFiles.split('\n') : [];
+}
+
+// Saves the recording of a finished session; returns its directory relative
+// to the run directory, which is stored as result.recording
+async function recordSession(runDir, projectPath, result) {
+  const relativeDir = path.join(RECORDINGS_DIR, result.sessionId);
+  const recordingDir = path.join(runDir, relativeDir);
+  await fs.emptyDir(recordingDir);
+
+  const base = await getBaseCommit(projectPath);
+  const finalCommit = result.finalCommit
+    || (await snapshotWorkspace(projectPath, { ref: 'refs/benchmark/final', message: 'Final state' })).commit;
+  const changedFiles = await writePatch(projectPath, base, finalCommit, path.join(recordingDir, 'final.patch'));
+
+  const stages = [];
+  for (const stage of result.stages || []) {
+    const patch = `stage-${stage.stage}.patch`;
+    await writePatch(projectPath, base, stage.snapshotCommit, path.join(recordingDir, patch));
+    stages.push({ stage: stage.stage, patch });
+  }
+
+  const sessionFiles = [result, ...(result.stages || [])]
+    .flatMap(entry => [entry.logFile, entry.transcriptFile, entry.changeLogFile])
+    .filter(file => file && fs.existsSync(file));
+  const files = [];
+  for (const file of new Set(sessionFiles)) {
+    await fs.copy(file, path.join(recordingDir, path.basename(file)));
+    files.push(path.basename(file));
+  }
+
+  await fs.writeJson(path.join(recordingDir, 'recording.json'), {
+    sessionId: result.sessionId,
+    scenarioId: result.scenarioId,
+    trial: result.trial,
+    agent: result.agent,
+    recordedAt: new Date().toISOString(),
+    baseCommit: base,
+    finalCommit,
+    patch: 'final.patch',
+    changedFiles,
+    dependenciesChanged: changedFiles.some(file => DEPENDENCY_FILES.includes(file)),
+    stages,
+    files
+  }, { spaces: 2 });
+
+  return relativeDir;
+}
+
+async function applyPatch(projectPath, patchFile) {
+  const content = await fs.readFile(patchFile, 'utf8');
+  if (!content.trim()) return;
+  await git(projectPath, ['apply', '--binary', '--whitespace=nowarn', patchFile]);
+}
+
+async function resetToBase(projectPath) {
+  await git(projectPath, ['reset', '--hard', 'HEAD']);
+  await git(projectPath, ['clean', '-fd']);
+}
+
+// Rebuilds a recorded session in a freshly created sample. Stage snapshots are
+// recreated first, so the returned commits replace the recorded ones.
+async function replaySession(recordingDir, projectPath) {
+  const manifest = await fs.readJson(path.join(recordingDir, 'recording.json'));
+  const stages = [];
+
+  for (const stage of manifest.stages) {
+    await applyPatch(projectPath, path.join(recordingDir, stage.patch));
+    const snapshot = await snapshotWorkspace(projectPath, {
+      ref: `refs/benchmark/stage-${stage.stage}`,
+      message: `Stage ${stage.stage} (replayed)`,
+      parent: stages.length > 0 ? stages[stages.length - 1].snapshotCommit : null
+    });
+    stages.push({ stage: stage.stage, snapshotCommit: snapshot.commit });
+    await resetToBase(projectPath);
+  }
+
+  await applyPatch(projectPath, path.join(recordingDir, manifest.patch));
+
+  if (manifest.dependenciesChanged) {
+    console.log(`   📦 Dependencies changed in ${manifest.sessionId}, reinstalling...`);
+    await installDependencies(projectPath);
+  }
+
+  return { manifest, stages };
+}
+
+module.exports = {
+  RECORDINGS_DIR,
+  recordSession,
+  replaySession
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { git, snapshotWorkspace } = require('./snapshots');
+const { recordSession, replaySession } = require('./recordings');
+
+const GIT_ENV = { GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@localhost', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@localhost' };
+
+// A template repository and two samples cloned from it: one the session
+// works in, one to replay the recording into
+async function createSamples(t, files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-recordings-'));
+  t.after(() => fs.remove(dir));
+
+  const template = path.join(dir, 'template');
+  await fs.ensureDir(template);
+  await git(template, ['init', '--quiet']);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(template, file), content);
+  }
+  await git(template, ['add', '-A']);
+  await git(template, ['commit', '--quiet', '-m', 'Template'], GIT_ENV);
+
+  const samples = { runDir: path.join(dir, 'run') };
+  for (const name of ['session', 'replay']) {
+    samples[name] = path.join(dir, name);
+    await git(dir, ['clone', '--quiet', template, samples[name]]);
+  }
+  return samples;
+}
+
+function treeOf(projectPath, commit) {
+  return git(projectPath, ['rev-parse', `${commit}^{tree}`]);
+}
+
+test('replaySession rebuilds the recorded stages and final workspace', async (t) => {
+  const { runDir, session, replay } = await createSamples(t, {
+    'src/App.js': 'export default () => null;\n',
+    'src/old.js': 'module.exports = 1;\n',
+    'README.md': '# Demo\n'
+  });
+
+  await fs.writeFile(path.join(session, 'src/App.js'), "export default () => 'Hello';\n");
+  await fs.outputFile(path.join(session, 'tests/App.test.js'), "test('greets', () => {});\n");
+  const stage = await snapshotWorkspace(session, { ref: 'refs/benchmark/stage-1' });
+  await fs.remove(path.join(session, 'src/old.js'));
+  await fs.writeFile(path.join(session, 'src/logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 1, 2, 255]));
+  const final = await snapshotWorkspace(session, { ref: 'refs/benchmark/final' });
+
+  const recording = await recordSession(runDir, session, {
+    sessionId: 'demo-trial-1',
+    scenarioId: 'demo',
+    trial: 1,
+    agent: 'mock',
+    finalCommit: final.commit,
+    stages: [{ stage: 1, snapshotCommit: stage.commit }]
+  });
+  const { manifest, stages } = await replaySession(path.join(runDir, recording), replay);
+
+  assert.deepStrictEqual(manifest.changedFiles, ['src/App.js', 'src/logo.png', 'src/old.js', 'tests/App.test.js']);
+  assert.strictEqual(manifest.dependenciesChanged, false);
+  assert.strictEqual(await treeOf(replay, stages[0].snapshotCommit), stage.tree);
+  assert.strictEqual((await snapshotWorkspace(replay)).tree, final.tree);
+  assert.deepStrictEqual(await fs.readFile(path.join(replay, 'src/logo.png')), await fs.readFile(path.join(session, 'src/logo.png')));
+  assert.strictEqual(fs.existsSync(path.join(replay, 'src/old.js')), false);
+});
@@ -0,0 +1,255 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { runCommand } = require('./commands');
+const { listProjectFiles, getChangedLines } = require('./diff');
+const { QUERIES, queryFile } = require('./ast');
+
+// Declarative validation rules. A task lists them under `rules` in task.json
+// and each one becomes a validator like those of validators.js:
+//
+// { "id": "persistsName", "type": "content", "description": "Name persisted in localStorage",
+//   "category": "functionality", "weight": 2, "files": "src/**/*.js", "pattern": ["setItem", "getItem"] }
+//
+// Globs are relative to the project and support *, **, ? and {a,b}.
+// node_modules, .git and files git ignores in the project are never searched.
+// `ast` rules look only at what the session changed compared with the
+// template (scripts/diff.js).
+
+const COMMENT_STYLES = {
+  js: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'],
+  css: ['.css', '.scss', '.less']
+};
+const DEFAULT_COMMAND_TIMEOUT_SECONDS = 300;
+const DEFAULT_AST_FILES = '**/*.{js,jsx,mjs,cjs,ts,tsx}';
+// Fields each AST query needs besides `query`
+const QUERY_FIELDS = { call: ['callee'], effect: ['calls'] };
+
+function globToRegExp(glob, { ignoreCase = false } = {}) {
+  let pattern = '';
+  let groups = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // **/ matches any number of directories (including none)
+      if (glob[i + 2] === '/') {
+        pattern += '(?:.*/)?';
+        i += 2;
+      } else {
+        pattern += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      pattern += '(?:';
+      groups++;
+    } else if (char === '}' && groups > 0) {
+      pattern += ')';
+      groups--;
+    } else if (char === ',' && groups > 0) {
+      pattern += '|';
+    } else {
+      pattern += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${pattern}$`, ignoreCase ? 'i' : '');
+}
+
+// Files of the project matching the rule's glob; with newOnly, only those the
+// template does not have
+function matchFiles(projectPath, glob, { ignoreCase = false, exclude = null, newOnly = false, templatePath = null, directory = '.' } = {}) {
+  const root = path.join(projectPath, directory);
+  const include = globToRegExp(glob, { ignoreCase });
+  const excluded = exclude ? globToRegExp(exclude, { ignoreCase }) : null;
+
+  return listProjectFiles(root)
+    .filter(file => include.test(file) && !(excluded && excluded.test(file)))
+    .filter(file => !newOnly || !fs.existsSync(path.join(templatePath, directory, file)));
+}
+
+// Removes comments while leaving string and template literals alone. Regex
+// literals are not recognized, so a // inside one ends the line early.
+function stripComments(content, style) {
+  let result = '';
+  let quote = null;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (quote) {
+      result += char;
+      if (char === '\\') {
+        result += next || '';
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const comment = content.slice(i, end === -1 ? content.length : end + 2);
+      result += comment.replace(/[^\n]/g, '');
+      i += comment.length - 1;
+    } else if (style === 'js' && char === '/' && next === '/') {
+      const end = content.indexOf('\n', i);
+      i = (end === -1 ? content.length : end) - 1;
+    } else {
+      if (char === '"' || char === "'" || (style === 'js' && char === '`')) {
+        quote = char;
+      }
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+function commentStyle(file) {
+  const extension = path.extname(file);
+  return Object.keys(COMMENT_STYLES).find(style => COMMENT_STYLES[style].includes(extension)) || null;
+}
+
+function getJsonPath(value, jsonPath) {
+  return jsonPath.split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+// Rule types: the fields each needs and the check that runs it
+const RULE_TYPES = {
+  // At least one file matches `glob`
+  fileExists: {
+    required: ['glob'],
+    check: (rule, projectPath, { templatePath }) =>
+      matchFiles(projectPath, rule.glob, { ...rule, templatePath }).length > 0
+  },
+
+  // Some file matching `files` contains every regex in `pattern` (a string or
+  // a list). With match: false, no file may match.
+  content: {
+    required: ['files', 'pattern'],
+    check: (rule, projectPath, { templatePath }) => {
+      const patterns = [].concat(rule.pattern).map(pattern => new RegExp(pattern, rule.flags || ''));
+      const matched = matchFiles(projectPath, rule.files, { ...rule, templatePath }).some(file => {
+        let content = fs.readFileSync(path.join(projectPath, file), 'utf8');
+        const style = commentStyle(file);
+        if (rule.stripComments !== false && style) {
+          content = stripComments(content, style);
+        }
+        return patterns.every(pattern => pattern.test(content));
+      });
+      return rule.match === false ? !matched : matched;
+    }
+  },
+
+  // `command` (run with sh) exits 0 within timeoutSeconds
+  command: {
+    required: ['command'],
+    check: async (rule, projectPath) => {
+      const run = await runCommand('sh', ['-c', rule.command], projectPath, {
+        timeoutMs: (rule.timeoutSeconds || DEFAULT_COMMAND_TIMEOUT_SECONDS) * 1000
+      });
+      return !run.timedOut && run.exitCode === 0;
+    }
+  },
+
+  // The dot-separated `path` of package.json equals `equals`, matches
+  // `pattern`, or (with neither) is set. exists: false requires it unset.
+  packageJson: {
+    required: ['path'],
+    check: (rule, projectPath) => {
+      const packageFile = path.join(projectPath, 'package.json');
+      if (!fs.existsSync(packageFile)) return false;
+
+      const value = getJsonPath(fs.readJsonSync(packageFile, { throws: false }) || {}, rule.path);
+      const isSet = value !== undefined && value !== null && value !== '';
+      if (rule.exists === false) return !isSet;
+      if (rule.equals !== undefined) return JSON.stringify(value) === JSON.stringify(rule.equals);
+      if (rule.pattern !== undefined) return isSet && new RegExp(rule.pattern, rule.flags || '').test(String(value));
+      return isSet;
+    }
+  },
+
+  // The number of files matching `glob` (default **/*) in `directory` is
+  // within min..max
+  fileCount: {
+    required: ['directory'],
+    check: (rule, projectPath, { templatePath }) => {
+      const count = matchFiles(projectPath, rule.glob || '**/*', { ...rule, templatePath }).length;
+      return count >= (rule.min ?? 1) && count <= (rule.max ?? Infinity);
+    }
+  },
+
+  // A source file matching `files` answers `query` (one of scripts/ast.js or
+  // a list of them) on a line the session changed, or anywhere with
+  // changedOnly: false. With match: false, none may. Files that do not
+  // parse answer nothing.
+  ast: {
+    required: ['query'],
+    problem: (rule) => {
+      const queries = [].concat(rule.query);
+      const unknown = queries.filter(query => !QUERIES[query]);
+      if (unknown.length > 0) {
+        return `has unknown query ${unknown.join(', ')} (expected one of ${Object.keys(QUERIES).join(', ')})`;
+      }
+      const missing = queries.flatMap(query => QUERY_FIELDS[query] || []).filter(field => rule[field] === undefined);
+      return missing.length > 0 ? `is missing ${missing.join(', ')}` : null;
+    },
+    check: (rule, projectPath, context) => {
+      const changedLines = rule.changedOnly === false ? null : getChangedLines(projectPath, context);
+      const matched = matchFiles(projectPath, rule.files || DEFAULT_AST_FILES, { ...rule, templatePath: context.templatePath })
+        .filter(file => !changedLines || changedLines.has(file))
+        .some(file => {
+          let nodes;
+          try {
+            nodes = queryFile(fs.readFileSync(path.join(projectPath, file), 'utf8'), file, rule);
+          } catch (error) {
+            return false;
+          }
+          return nodes.some(node => !changedLines || changedLines.get(file).has(node.loc.start.line));
+        });
+      return rule.match === false ? !matched : matched;
+    }
+  }
+};
+
+// Turns a rule into a validator ({ name, description, category, weight,
+// strength, weakness, check }); strengths and weaknesses come from its description
+function createRuleValidator(rule, taskId) {
+  const type = RULE_TYPES[rule.type];
+  if (!rule.id) {
+    throw new Error(`A rule of task ${taskId} has no id`);
+  }
+  if (!type) {
+    throw new Error(`Rule ${rule.id} of task ${taskId} has unknown type "${rule.type}" (expected one of ${Object.keys(RULE_TYPES).join(', ')})`);
+  }
+  const missing = type.required.filter(field => rule[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Rule ${rule.id} of task ${taskId} is missing ${missing.join(', ')}`);
+  }
+  const problem = type.problem?.(rule);
+  if (problem) {
+    throw new Error(`Rule ${rule.id} of task ${taskId} ${problem}`);
+  }
+
+  const description = rule.description || rule.id;
+  return {
+    name: rule.id,
+    description,
+    category: rule.category,
+    weight: rule.weight,
+    strength: description,
+    weakness: `Not met: ${description}`,
+    check: (projectPath, context) => type.check(rule, projectPath, context)
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  globToRegExp,
+  matchFiles,
+  stripComments,
+  createRuleValidator
+};
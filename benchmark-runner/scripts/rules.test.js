@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { globToRegExp, stripComments, createRuleValidator } = require('./rules');
+
+async function createProject(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-rules-'));
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test('globToRegExp supports *, **, ? and {a,b}', () => {
+  const sources = globToRegExp('src/**/*.{js,jsx}');
+  assert.ok(sources.test('src/App.js'));
+  assert.ok(sources.test('src/components/deep/Greeting.jsx'));
+  assert.ok(!sources.test('src/App.ts'));
+  assert.ok(!sources.test('lib/src/App.js'));
+
+  assert.ok(globToRegExp('*.md').test('README.md'));
+  assert.ok(!globToRegExp('*.md').test('docs/README.md'));
+  assert.ok(globToRegExp('file?.txt').test('file1.txt'));
+  assert.ok(!globToRegExp('a.b').test('axb'));
+  assert.ok(globToRegExp('readme.md', { ignoreCase: true }).test('README.md'));
+});
+
+test('stripComments keeps strings and the line structure', () => {
+  const source = "const url = 'http://x'; // trailing\n/* block\n comment */ const b = `//`;\n";
+  assert.strictEqual(stripComments(source, 'js'), "const url = 'http://x'; \n\n const b = `//`;\n");
+  assert.strictEqual(stripComments('a { color: red; } /* note */\n// kept in css\n', 'css'), 'a { color: red; } \n// kept in css\n');
+});
+
+test('createRuleValidator rejects incomplete rules', () => {
+  assert.throws(() => createRuleValidator({ type: 'content' }, 'task'), /A rule of task task has no id/);
+  assert.throws(() => createRuleValidator({ id: 'r', type: 'regex' }, 'task'), /unknown type "regex"/);
+  assert.throws(() => createRuleValidator({ id: 'r', type: 'content', files: '**/*.js' }, 'task'), /Rule r of task task is missing pattern/);
+});
+
+test('content rules match across files and ignore commented-out code', async (t) => {
+  const dir = await createProject({
+    'src/App.js': "// localStorage.setItem('name')\nexport default 1;\n",
+    'src/storage.js': "localStorage.setItem('name', name);\nlocalStorage.getItem('name');\n"
+  });
+  t.after(() => fs.remove(dir));
+  const rule = { id: 'persists', type: 'content', files: 'src/**/*.js', pattern: ['setItem', 'getItem'] };
+
+  const validator = createRuleValidator(rule, 'task');
+  assert.strictEqual(validator.weakness, 'Not met: persists');
+  assert.strictEqual(await validator.check(dir, {}), true);
+  assert.strictEqual(await createRuleValidator({ ...rule, files: 'src/App.js', pattern: 'setItem' }, 'task').check(dir, {}), false);
+  assert.strictEqual(await createRuleValidator({ ...rule, match: false, pattern: 'eval\\(' }, 'task').check(dir, {}), true);
+});
+
+test('fileExists, fileCount and packageJson rules inspect the project', async (t) => {
+  const template = await createProject({ 'src/App.js': '' });
+  const dir = await createProject({
+    'src/App.js': '',
+    'tests/a.test.js': '',
+    'tests/b.test.js': '',
+    'package.json': JSON.stringify({ scripts: { test: 'jest --coverage' } })
+  });
+  t.after(() => Promise.all([template, dir].map(folder => fs.remove(folder))));
+  const check = (rule) => createRuleValidator({ id: 'r', ...rule }, 'task').check(dir, { templatePath: template });
+
+  assert.strictEqual(await check({ type: 'fileExists', glob: 'tests/*.test.js' }), true);
+  assert.strictEqual(await check({ type: 'fileExists', glob: 'src/*.js', newOnly: true }), false);
+  assert.strictEqual(await check({ type: 'fileCount', directory: 'tests', min: 2, max: 2 }), true);
+  assert.strictEqual(await check({ type: 'fileCount', directory: 'tests', min: 3 }), false);
+  assert.strictEqual(await check({ type: 'packageJson', path: 'scripts.test', pattern: 'coverage' }), true);
+  assert.strictEqual(await check({ type: 'packageJson', path: 'scripts.lint', exists: false }), true);
+});
+
+test('ast rules look only at lines the session changed unless changedOnly is false', async (t) => {
+  const template = await createProject({ 'src/App.js': "localStorage.setItem('a', 1);\n" });
+  const dir = await createProject({ 'src/App.js': "localStorage.setItem('a', 1);\nconsole.log('added');\n" });
+  t.after(() => Promise.all([template, dir].map(folder => fs.remove(folder))));
+  const rule = { id: 'persists', type: 'ast', query: 'call', callee: 'localStorage.setItem' };
+
+  assert.strictEqual(await createRuleValidator(rule, 'task').check(dir, { templatePath: template }), false);
+  assert.strictEqual(await createRuleValidator({ ...rule, changedOnly: false }, 'task').check(dir, { templatePath: template }), true);
+  assert.throws(() => createRuleValidator({ ...rule, query: 'loops' }, 'task'), /unknown query loops/);
+  assert.throws(() => createRuleValidator({ id: 'r', type: 'ast', query: 'effect' }, 'task'), /is missing calls/);
+});
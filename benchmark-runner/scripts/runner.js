@@ -4,11 +4,124 @@ const { spawn } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
 const readline = require('readline');
+const { resolveAgent, buildInvocation, isSessionComplete } = require('./agents');
+const { listSessions } = require('./sessions');
+const { TranscriptParser, describeEntry } = require('./transcript');
+const { classifyFailure, getRetryOptions, getBackoffDelayMs, isScorable } = require('./failures');
+const { snapshotWorkspace } = require('./snapshots');
+const { recordSession } = require('./recordings');
+const { archiveSession } = require('./archives');
+const { getBasePath, getWorkspacePath, createWorkspace, removeRunWorkspaces } = require('./workspaces');
+const { getScenarioTask } = require('./tasks');
+const { BASELINE_FILE, SAMPLES_BASELINE_PATH, getBaselineOptions, loadBaseline, findBaselineProblems } = require('./baseline');
 
 const CONFIG_PATH = path.join(__dirname, '../config/ClaudeMapper.json');
-const PROMPT_PATH = path.join(__dirname, '../config/Prompt.md');
-const SAMPLES_PATH = path.join(__dirname, '../samples');
 const RESULTS_PATH = path.join(__dirname, '../results');
+const DEFAULT_MAX_CONCURRENCY = 4;
+const DEFAULT_SESSION_DELAY_SECONDS = 5;
+const DEFAULT_KILL_GRACE_SECONDS = 10;
+
+const FAILED_STATUSES = ['error', 'timeout'];
+const SKIPPED_BUDGET_STATUS = 'skipped-budget';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function summarizePrompt(prompt, limit = 80) {
+  const line = String(prompt || '').trim().split('\n')[0];
+  return line.length > limit ? `${line.slice(0, limit)}…` : line;
+}
+
+function combineUsage(usages) {
+  const present = usages.filter(Boolean);
+  if (present.length === 0) return null;
+  
+  return present.reduce((total, usage) => {
+    Object.entries(usage).forEach(([key, value]) => {
+      total[key] = (total[key] || 0) + value;
+    });
+    return total;
+  }, {});
+}
+
+// Folds the per-stage results of a multi-prompt session into one session
+// result. Session-level fields describe the last stage that ran; counts,
+// usage and errors are summed over all stages.
+function combineStageResults(stages, prompts) {
+  const results = stages.map(({ result }) => result);
+  const first = results[0];
+  const last = results[results.length - 1];
+  const sum = (key) => results.every(r => typeof r[key] === 'number')
+    ? results.reduce((total, r) => total + r[key], 0)
+    : null;
+  
+  const toolCalls = results.every(r => r.toolCalls)
+    ? results.reduce((merged, r) => {
+      Object.entries(r.toolCalls).forEach(([tool, count]) => {
+        merged[tool] = (merged[tool] || 0) + count;
+      });
+      return merged;
+    }, {})
+    : null;
+  
+  return {
+    ...last,
+    startTime: first.startTime,
+    duration: last.endTime - first.startTime,
+    completed: results.length === prompts.length && results.every(r => r.completed),
+    outputLength: sum('outputLength'),
+    errorLength: sum('errorLength'),
+    turns: sum('turns'),
+    toolCalls,
+    toolCallCount: sum('toolCallCount'),
+    toolErrors: sum('toolErrors'),
+    errors: results.flatMap(r => r.errors || []),
+    usage: combineUsage(results.map(r => r.usage)),
+    stageCount: prompts.length,
+    stages: stages.map(({ result, snapshot }, index) => ({
+      stage: index + 1,
+      prompt: summarizePrompt(prompts[index]),
+      status: result.status,
+      completed: result.completed,
+      exitCode: result.exitCode,
+      failureClass: result.failureClass,
+      duration: result.duration,
+      turns: result.turns,
+      usage: result.usage,
+      snapshotRef: snapshot.ref,
+      snapshotCommit: snapshot.commit,
+      logFile: result.logFile,
+      changeLogFile: result.changeLogFile,
+      transcriptFile: result.transcriptFile
+    }))
+  };
+}
+
+// SIGTERM the whole process group, then SIGKILL whatever is left after the
+// grace period. Falls back to the direct child where groups aren't available.
+function terminateProcessGroup(child, graceMs, logger = console) {
+  const signalGroup = (signal) => {
+    try {
+      if (process.platform === 'win32') {
+        child.kill(signal);
+      } else {
+        process.kill(-child.pid, signal);
+      }
+      return true;
+    } catch (error) {
+      // ESRCH: the group is already gone
+      return false;
+    }
+  };
+  
+  if (!signalGroup('SIGTERM')) return;
+  
+  const escalation = setTimeout(() => {
+    if (signalGroup('SIGKILL')) {
+      logger.log(`🔪 Process group ${child.pid} ignored SIGTERM, sent SIGKILL`);
+    }
+  }, graceMs);
+  escalation.unref();
+}
 
 class ClaudeSessionRunner {
   constructor() {
@@ -17,34 +130,76 @@ class ClaudeSessionRunner {
     this.results = [];
     this.runId = new Date().toISOString().replace(/[:.]/g, '-');
     this.runDir = null;
+    this.stateDir = null;
+    this.sessionStates = {};
   }
 
-  async initialize() {
-    // Load configuration
-    this.config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
-    
-    // Load default prompt
-    this.defaultPrompt = fs.readFileSync(PROMPT_PATH, 'utf8');
+  // Pass { runId } to reopen an existing run instead of starting a new one
+  async initialize(options = {}) {
+    const resuming = Boolean(options.runId);
+    if (resuming) {
+      this.runId = options.runId.replace(/^run-/, '');
+    }
     
     // Ensure results directory exists
     await fs.ensureDir(RESULTS_PATH);
     
     // Create run-specific directory
     this.runDir = path.join(RESULTS_PATH, `run-${this.runId}`);
-    await fs.ensureDir(this.runDir);
+    this.stateDir = path.join(this.runDir, 'state');
+    if (resuming && !fs.existsSync(this.runDir)) {
+      throw new Error(`Run ${this.runId} not found in ${RESULTS_PATH}`);
+    }
+    await fs.ensureDir(this.stateDir);
+    
+    // Load configuration (a resumed run keeps the configuration it started with)
+    const configSnapshot = path.join(this.runDir, 'config.json');
+    if (resuming && fs.existsSync(configSnapshot)) {
+      this.config = await fs.readJson(configSnapshot);
+    } else {
+      this.config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+      await fs.writeJson(configSnapshot, this.config, { spaces: 2 });
+    }
+    
+    // Every scenario's task pack has to load before anything runs
+    this.config.scenarios.forEach(scenario => getScenarioTask(this.config, scenario));
     
-    console.log('🤖 Claude Code Session Runner initialized');
-    console.log(`📋 Found ${this.config.scenarios.length} scenarios to run`);
+    // Record mode (--record or settings.record) keeps what replay needs
+    this.record = Boolean(options.record ?? this.config.settings.record);
+    
+    if (resuming) {
+      await this.loadSessionStates();
+    }
+    
+    console.log(`🤖 Claude Code Session Runner ${resuming ? 'resumed' : 'initialized'}`);
+    console.log(`📋 Found ${this.config.scenarios.length} scenarios (${listSessions(this.config).length} sessions) to run`);
     console.log(`📁 Run directory: ${this.runDir}`);
   }
 
-  async spawnClaudeSession(projectPath, scenarioId, customPrompt = null) {
-    return new Promise(async (resolve, reject) => {
-      console.log(`🚀 Starting Claude Code session for ${scenarioId}...`);
+  async spawnClaudeSession(projectPath, session, prompt, agent = resolveAgent(this.config)) {
+    const { scenarioId, trial, sessionId } = session;
+    const attempt = session.attempt || 1;
+    const stage = session.stage || null;
+    const logger = session.logger || console;
+    
+    // Retries keep the files of earlier attempts; multi-prompt sessions get
+    // one set of files per stage
+    const filePrefix = `${sessionId}${attempt > 1 ? `-attempt-${attempt}` : ''}${stage ? `-stage-${stage}` : ''}`;
+    const label = [
+      attempt > 1 ? `attempt ${attempt}` : null,
+      stage ? `stage ${stage}/${session.stageCount}` : null
+    ].filter(Boolean).join(', ');
+    
+    return new Promise(async (resolve) => {
+      logger.log(`🚀 Starting ${agent.name} session for ${sessionId}${label ? ` (${label})` : ''}...`);
       
       const startTime = Date.now();
-      const logFile = path.join(this.runDir, `${scenarioId}-session.log`);
-      const changeLogFile = path.join(this.runDir, `${scenarioId}-changes.log`);
+      const logFile = path.join(this.runDir, `${filePrefix}-session.log`);
+      const changeLogFile = path.join(this.runDir, `${filePrefix}-changes.log`);
+      const transcriptFile = agent.outputFormat === 'stream-json'
+        ? path.join(this.runDir, `${filePrefix}-transcript.jsonl`)
+        : null;
+      const transcript = transcriptFile ? new TranscriptParser(transcriptFile) : null;
       const logStream = fs.createWriteStream(logFile);
       const changeLogStream = fs.createWriteStream(changeLogFile);
       
@@ -70,22 +225,41 @@ class ClaudeSessionRunner {
       
       // Capture initial state
       await captureGitState('BEFORE Claude Session');
-      changeLogStream.write(`\n=== SCENARIO: ${scenarioId} ===\n`);
+      changeLogStream.write(`\n=== SCENARIO: ${scenarioId} (trial ${trial}${stage ? `, stage ${stage}` : ''}) ===\n`);
       
-      // Spawn Claude Code process
-      const claudeProcess = spawn('claude', ['--print', '--dangerously-skip-permissions'], {
+      // Build the agent command line
+      const promptFile = path.join(this.runDir, `${filePrefix}-prompt.md`);
+      if (agent.promptDelivery === 'file') {
+        await fs.writeFile(promptFile, prompt);
+      }
+      const invocation = buildInvocation(agent, {
+        prompt,
+        projectPath,
+        promptFile,
+        stage: stage || 1,
+        continuation: stage > 1
+      });
+      
+      // Spawn agent process in its own process group so that anything it starts
+      // (dev servers, test watchers) can be terminated together with it
+      const claudeProcess = spawn(invocation.command, invocation.args, {
         stdio: ['pipe', 'pipe', 'pipe'],
         cwd: projectPath,
-        env: { ...process.env }
+        env: invocation.env,
+        detached: process.platform !== 'win32'
       });
+      let timedOut = false;
+      let spawnError = null;
 
       let outputBuffer = '';
       let errorBuffer = '';
-      let sessionCompleted = false;
       
-      // Send prompt via stdin (use custom prompt if provided)
-      const promptToUse = customPrompt || this.defaultPrompt;
-      claudeProcess.stdin.write(promptToUse);
+      // Send prompt via stdin when the adapter expects it (a process that
+      // failed to start or exits early must not crash the runner with EPIPE)
+      claudeProcess.stdin.on('error', () => {});
+      if (invocation.stdinInput !== null) {
+        claudeProcess.stdin.write(invocation.stdinInput);
+      }
       claudeProcess.stdin.end();
       
       // Handle stdout
@@ -93,12 +267,15 @@ class ClaudeSessionRunner {
         const chunk = data.toString();
         outputBuffer += chunk;
         logStream.write(`[STDOUT] ${chunk}`);
-        console.log(`[DEBUG ${scenarioId}] STDOUT:`, chunk.trim());
         
-        
-        // Look for completion indicators
-        if (chunk.includes('Task completed') || chunk.includes('✓') || chunk.includes('Generated with')) {
-          sessionCompleted = true;
+        // Structured output is logged as one readable line per event
+        if (transcript) {
+          transcript.feed(chunk)
+            .map(describeEntry)
+            .filter(Boolean)
+            .forEach(line => logger.log(`[${sessionId}] ${line}`));
+        } else {
+          logger.log(`[DEBUG ${sessionId}] STDOUT:`, chunk.trim());
         }
       });
       
@@ -107,22 +284,34 @@ class ClaudeSessionRunner {
         const chunk = data.toString();
         errorBuffer += chunk;
         logStream.write(`[STDERR] ${chunk}`);
-        console.log(`[DEBUG ${scenarioId}] STDERR:`, chunk.trim());
+        logger.log(`[DEBUG ${sessionId}] STDERR:`, chunk.trim());
       });
       
-      console.log(`📝 Prompt sent to ${scenarioId} via command line`);
+      logger.log(`📝 Prompt sent to ${sessionId} via ${invocation.delivery}`);
       
-      // Set timeout
+      // Set timeout. The session is not rejected: once the process group is gone
+      // the close handler records whatever the agent produced as a timeout.
+      const graceMs = (this.config.settings.killGraceSeconds ?? DEFAULT_KILL_GRACE_SECONDS) * 1000;
       const timeout = setTimeout(() => {
-        console.log(`⏰ Timeout reached for ${scenarioId}, terminating session...`);
-        claudeProcess.kill('SIGTERM');
-        reject(new Error(`Session timeout for ${scenarioId}`));
-      }, this.config.settings.timeoutMinutes * 60 * 1000);
+        logger.log(`⏰ Timeout reached for ${sessionId}, terminating session...`);
+        timedOut = true;
+        terminateProcessGroup(claudeProcess, graceMs, logger);
+      }, session.timeoutMs ?? this.config.settings.timeoutMinutes * 60 * 1000);
+      
+      // Sweep up anything the agent left running once it exits, otherwise
+      // orphaned children holding stdout open would keep 'close' from firing
+      claudeProcess.on('exit', () => {
+        if (!timedOut) {
+          terminateProcessGroup(claudeProcess, graceMs, logger);
+        }
+      });
       
       // Handle process completion
-      claudeProcess.on('close', async (code) => {
+      claudeProcess.on('close', async (code, signal) => {
         clearTimeout(timeout);
         logStream.end();
+        transcript?.end();
+        const activity = transcript ? transcript.summary() : null;
         
         // Capture final git state and generate diff
         await captureGitState('AFTER Claude Session');
@@ -168,46 +357,117 @@ class ClaudeSessionRunner {
         
         const endTime = Date.now();
         const duration = endTime - startTime;
+        const failure = classifyFailure({
+          spawnError,
+          timedOut,
+          exitCode: code,
+          stderr: errorBuffer,
+          errors: activity ? activity.errors : [],
+          resultIsError: Boolean(transcript?.result?.isError)
+        });
         
         const result = {
           scenarioId,
+          trial,
+          sessionId,
+          agent: agent.name,
           projectPath,
           startTime,
           endTime,
           duration,
+          attempt,
+          status: timedOut ? 'timeout' : failure ? 'error' : 'completed',
+          failureClass: failure ? failure.failureClass : null,
+          failureDetail: failure ? failure.detail : null,
           exitCode: code,
-          completed: sessionCompleted,
+          signal: signal || null,
+          timedOut,
+          completed: !timedOut && isSessionComplete(agent, { output: outputBuffer, exitCode: code, transcript }),
           outputLength: outputBuffer.length,
           errorLength: errorBuffer.length,
+          turns: activity ? activity.turns : null,
+          toolCalls: activity ? activity.toolCalls : null,
+          toolCallCount: activity ? activity.toolCallCount : null,
+          toolErrors: activity ? activity.toolErrors : null,
+          errors: activity ? activity.errors : [],
+          usage: activity ? activity.usage : null,
           logFile,
-          changeLogFile
+          changeLogFile,
+          transcriptFile
         };
         
-        console.log(`${code === 0 ? '✅' : '❌'} Session ${scenarioId} completed in ${Math.round(duration/1000)}s`);
+        if (timedOut) {
+          logger.log(`⏰ Session ${sessionId} timed out after ${Math.round(duration/1000)}s, partial results kept`);
+        } else if (failure) {
+          logger.log(`❌ Session ${sessionId} failed (${failure.failureClass}): ${failure.detail}`);
+        } else {
+          logger.log(`${code === 0 ? '✅' : '❌'} Session ${sessionId} completed in ${Math.round(duration/1000)}s`);
+        }
         resolve(result);
       });
       
+      // Spawn failures are followed by 'close', which records them
       claudeProcess.on('error', (error) => {
-        clearTimeout(timeout);
-        logStream.end();
-        console.error(`❌ Error running session ${scenarioId}:`, error.message);
-        reject(error);
+        spawnError = error;
+        logger.error(`❌ Error running session ${sessionId}:`, error.message);
       });
     });
   }
 
-  async runSingleScenario(scenarioId) {
-    const scenario = this.config.scenarios.find(s => s.id === scenarioId);
-    if (!scenario) {
-      throw new Error(`Scenario ${scenarioId} not found`);
+  // Sends each prompt as a continuation of the same agent session and snapshots
+  // the workspace after every stage as refs/benchmark/stage-<n> in the sample.
+  // timeoutMinutes covers the whole sequence; it stops at the first stage that
+  // fails or times out.
+  async runPromptSequence(projectPath, session, prompts, agent) {
+    if (prompts.length === 1) {
+      return this.spawnClaudeSession(projectPath, session, prompts[0], agent);
     }
     
-    const projectPath = path.join(SAMPLES_PATH, scenarioId);
-    if (!fs.existsSync(projectPath)) {
-      throw new Error(`Sample directory for ${scenarioId} not found. Run setup.js first.`);
+    const logger = session.logger || console;
+    const deadline = Date.now() + this.config.settings.timeoutMinutes * 60 * 1000;
+    const stages = [];
+    let parent = null;
+    
+    for (let index = 0; index < prompts.length; index++) {
+      const stage = index + 1;
+      const result = await this.spawnClaudeSession(projectPath, {
+        ...session,
+        stage,
+        stageCount: prompts.length,
+        timeoutMs: Math.max(deadline - Date.now(), 0)
+      }, prompts[index], agent);
+      
+      const snapshot = await snapshotWorkspace(projectPath, {
+        ref: `refs/benchmark/stage-${stage}`,
+        message: `Stage ${stage}: ${summarizePrompt(prompts[index])}`,
+        parent
+      });
+      parent = snapshot.commit;
+      logger.log(`📸 ${session.sessionId} stage ${stage} snapshot: ${snapshot.commit.slice(0, 10)}`);
+      
+      stages.push({ result, snapshot });
+      if (result.status !== 'completed') {
+        break;
+      }
     }
     
+    return combineStageResults(stages, prompts);
+  }
+
+  async runSession(session) {
+    const { scenario, sessionId } = session;
+    const logger = session.logger || console;
+    
+    const basePath = getBasePath(scenario.id);
+    if (!fs.existsSync(basePath)) {
+      throw new Error(`Sample directory for ${scenario.id} not found. Run setup.js first.`);
+    }
+    const projectPath = getWorkspacePath(`run-${this.runId}`, sessionId);
+    
     try {
+      await createWorkspace(basePath, projectPath);
+      logger.log(`📂 Workspace for ${sessionId}: ${path.relative(process.cwd(), projectPath)}`);
+      
       // Check if scenario has a custom prompt file
       let customPrompt = null;
       if (scenario.claudeFolder) {
@@ -215,67 +475,367 @@ class ClaudeSessionRunner {
         const promptPath = path.join(projectPath, 'prompt.md');
         if (fs.existsSync(promptPath)) {
           customPrompt = fs.readFileSync(promptPath, 'utf8');
-          console.log(`📝 Using custom prompt for ${scenarioId}`);
+          logger.log(`📝 Using custom prompt for ${sessionId}`);
+        }
+      }
+      
+      const agent = resolveAgent(this.config, scenario);
+      const task = getScenarioTask(this.config, scenario);
+      
+      // A scenario's `prompts` list, then a prompt.md of its instruction
+      // folder, replace the prompts of its task
+      const prompts = scenario.prompts?.length
+        ? scenario.prompts
+        : customPrompt ? [customPrompt] : task.prompts;
+      if (prompts.length > 1 && !agent.continueArgs) {
+        throw new Error(`Agent "${agent.name}" has no continueArgs, so it cannot run the ${prompts.length} prompts of ${scenario.id}`);
+      }
+      
+      const retry = getRetryOptions(this.config.settings);
+      const attempts = [];
+      let result;
+      
+      // Transient failures (settings.retry.retryOn) are retried with exponential
+      // backoff in a fresh workspace; every attempt is kept in the result
+      for (let attempt = 1; ; attempt++) {
+        if (attempt > 1) {
+          await createWorkspace(basePath, projectPath);
+        }
+        
+        result = await this.runPromptSequence(projectPath, { ...session, attempt }, prompts, agent);
+        attempts.push({
+          attempt,
+          startTime: result.startTime,
+          duration: result.duration,
+          status: result.status,
+          exitCode: result.exitCode,
+          failureClass: result.failureClass,
+          failureDetail: result.failureDetail,
+          logFile: result.logFile
+        });
+        
+        if (!result.failureClass || !retry.retryOn.includes(result.failureClass) || attempt >= retry.maxAttempts) {
+          break;
+        }
+        
+        const delayMs = getBackoffDelayMs(retry, attempt);
+        logger.log(`🔁 ${sessionId} hit ${result.failureClass}, retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt + 1}/${retry.maxAttempts})`);
+        await sleep(delayMs);
+      }
+      
+      result.attempts = attempts;
+      result.basePath = basePath;
+      result.taskId = task.id;
+      
+      // Keep the final workspace, which cleanupAfterRun may delete
+      if (isScorable(result)) {
+        const final = await snapshotWorkspace(projectPath, { ref: 'refs/benchmark/final', message: 'Final state' });
+        result.finalCommit = final.commit;
+        
+        if (this.config.settings.archive !== false) {
+          result.archive = await archiveSession(this.runDir, projectPath, result);
+          logger.log(`🗄️  Archived ${sessionId} to ${result.archive.bundle}`);
+        }
+        if (this.record) {
+          result.recording = await recordSession(this.runDir, projectPath, result);
+          logger.log(`🎞️  Recorded ${sessionId} to ${result.recording}`);
         }
       }
       
-      const result = await this.spawnClaudeSession(projectPath, scenarioId, customPrompt);
-      this.results.push(result);
+      this.results = this.results.filter(r => r.sessionId !== sessionId).concat(result);
+      await this.saveSessionState(session, { status: result.status, result });
       return result;
     } catch (error) {
-      console.error(`Failed to run scenario ${scenarioId}:`, error.message);
+      logger.error(`Failed to run session ${sessionId}:`, error.message);
+      await this.saveSessionState(session, { status: 'error', error: error.message });
       throw error;
     }
   }
 
-  async runAllScenarios() {
-    console.log('🎯 Running all benchmark scenarios...');
+  // Each finished session is written to state/<sessionId>.json straight away so
+  // an interrupted run can be resumed
+  async saveSessionState(session, state) {
+    const record = {
+      sessionId: session.sessionId,
+      scenarioId: session.scenarioId,
+      trial: session.trial,
+      finishedAt: new Date().toISOString(),
+      attempts: (this.sessionStates[session.sessionId]?.attempts || 0) + 1,
+      ...state
+    };
     
-    if (this.config.settings.parallelExecution) {
-      // Run scenarios in parallel
-      const promises = this.config.scenarios.map(scenario => 
-        this.runSingleScenario(scenario.id).catch(error => ({
-          scenarioId: scenario.id,
-          error: error.message
-        }))
-      );
-      
-      const results = await Promise.all(promises);
-      this.results = results.filter(r => !r.error);
-      
-      const errors = results.filter(r => r.error);
-      if (errors.length > 0) {
-        console.warn(`⚠️  ${errors.length} scenarios failed`);
-        errors.forEach(e => console.warn(`   - ${e.scenarioId}: ${e.error}`));
+    this.sessionStates[session.sessionId] = record;
+    await fs.writeJson(path.join(this.stateDir, `${session.sessionId}.json`), record, { spaces: 2 });
+  }
+
+  async loadSessionStates() {
+    const files = (await fs.readdir(this.stateDir)).filter(file => file.endsWith('.json'));
+    
+    for (const file of files) {
+      const state = await fs.readJson(path.join(this.stateDir, file));
+      this.sessionStates[state.sessionId] = state;
+    }
+    
+    // Timed-out sessions keep their partial result for analysis
+    this.results = Object.values(this.sessionStates)
+      .filter(state => state.result)
+      .map(state => state.result);
+  }
+
+  // Sessions still to run in a resumed run: anything missing or not completed,
+  // or with retryFailed only the ones that recorded an error or timeout
+  getPendingSessions({ retryFailed = false } = {}) {
+    return listSessions(this.config).filter(session => {
+      const state = this.sessionStates[session.sessionId];
+      if (retryFailed) {
+        return state && FAILED_STATUSES.includes(state.status);
       }
-    } else {
-      // Run scenarios sequentially
-      for (const scenario of this.config.scenarios) {
+      return !state || state.status !== 'completed';
+    });
+  }
+
+  async runSingleScenario(scenarioId) {
+    const scenario = this.config.scenarios.find(s => s.id === scenarioId);
+    if (!scenario) {
+      throw new Error(`Scenario ${scenarioId} not found`);
+    }
+    
+    const sessions = listSessions(this.config, [scenario]);
+    await this.checkBaseline(sessions);
+    
+    // Run every trial of the scenario, one after another
+    const results = [];
+    for (const session of sessions) {
+      if (!(await this.skipOverBudget(session))) {
+        results.push(await this.runSession(session));
+      }
+    }
+    return results;
+  }
+
+  // Slots, spacing and delays for the session queue. parallelExecution: false
+  // is a pool of one, which waits between sessions unless told otherwise.
+  getSchedulerOptions() {
+    const settings = this.config.settings;
+    const concurrency = settings.parallelExecution
+      ? Math.max(1, parseInt(settings.maxConcurrency ?? DEFAULT_MAX_CONCURRENCY, 10) || 1)
+      : 1;
+    
+    return {
+      concurrency,
+      delayMs: (settings.delayBetweenSessionsSeconds ?? (concurrency === 1 ? DEFAULT_SESSION_DELAY_SECONDS : 0)) * 1000,
+      staggerMs: (settings.staggerSeconds || 0) * 1000
+    };
+  }
+
+  // Session console output goes through a logger. With several sessions in
+  // flight it is buffered and printed as one block when the session ends, so
+  // each session's lines stay together and in order.
+  createSessionLogger(sessionId, buffered) {
+    if (!buffered) {
+      return { log: console.log, warn: console.warn, error: console.error, flush: () => {} };
+    }
+    
+    const lines = [];
+    const record = (stream) => (...args) => lines.push({ stream, args });
+    return {
+      log: record('log'),
+      warn: record('warn'),
+      error: record('error'),
+      flush: () => {
+        console.log(`\n──── ${sessionId} ────`);
+        lines.splice(0).forEach(({ stream, args }) => console[stream](...args));
+      }
+    };
+  }
+
+  // Spend so far in this run, from the usage each finished session reported
+  getSpend() {
+    return this.results.reduce((spend, r) => ({
+      costUsd: spend.costUsd + (r.usage?.costUsd || 0),
+      tokens: spend.tokens + (r.usage?.totalTokens || 0)
+    }), { costUsd: 0, tokens: 0 });
+  }
+
+  // Reason the run's settings.budget ({ maxUsd, maxTokens }) is used up, or null
+  getBudgetExhaustion() {
+    const budget = this.config.settings.budget;
+    if (!budget) return null;
+    
+    const spend = this.getSpend();
+    if (budget.maxUsd !== undefined && spend.costUsd >= budget.maxUsd) {
+      return `spent $${spend.costUsd.toFixed(2)} of $${budget.maxUsd} budget`;
+    }
+    if (budget.maxTokens !== undefined && spend.tokens >= budget.maxTokens) {
+      return `used ${spend.tokens} of ${budget.maxTokens} token budget`;
+    }
+    return null;
+  }
+
+  // Records the session as skipped when the budget is used up; returns the
+  // reason, or null when it may run. Sessions already running may overshoot
+  // the budget, but nothing new starts after it.
+  async skipOverBudget(session) {
+    const exhausted = this.getBudgetExhaustion();
+    if (!exhausted) return null;
+    
+    console.warn(`💸 Skipping ${session.sessionId}: ${exhausted}`);
+    await this.saveSessionState(session, { status: SKIPPED_BUDGET_STATUS, reason: exhausted });
+    return exhausted;
+  }
+
+  // Queue-based worker pool: starts sessions as slots free up, never more than
+  // `concurrency` at once, with starts spaced at least `staggerMs` apart.
+  async scheduleSessions(sessions) {
+    const { concurrency, delayMs, staggerMs } = this.getSchedulerOptions();
+    const queue = [...sessions];
+    const outcomes = [];
+    let lastStart = 0;
+    let reserveStart = Promise.resolve();
+    
+    console.log(`🧵 Running with concurrency ${concurrency}${staggerMs ? `, staggered ${staggerMs / 1000}s` : ''}`);
+    
+    // Reserve start times one session at a time so stagger holds across workers
+    const waitForStartSlot = () => {
+      reserveStart = reserveStart.then(async () => {
+        const wait = lastStart + staggerMs - Date.now();
+        if (lastStart && wait > 0) {
+          await sleep(wait);
+        }
+        lastStart = Date.now();
+      });
+      return reserveStart;
+    };
+    
+    const worker = async () => {
+      while (queue.length > 0) {
+        const session = queue.shift();
+        await waitForStartSlot();
+        
+        const exhausted = await this.skipOverBudget(session);
+        if (exhausted) {
+          outcomes.push({ session, skipped: exhausted });
+          continue;
+        }
+        
+        session.logger = this.createSessionLogger(session.sessionId, concurrency > 1);
         try {
-          await this.runSingleScenario(scenario.id);
-          
-          // Add delay between sessions
-          if (scenario !== this.config.scenarios[this.config.scenarios.length - 1]) {
-            console.log('⏱️  Waiting 5 seconds before next session...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
-          }
+          outcomes.push({ session, result: await this.runSession(session) });
         } catch (error) {
-          console.warn(`⚠️  Skipping ${scenario.id} due to error: ${error.message}`);
+          outcomes.push({ session, error });
+        } finally {
+          session.logger.flush();
+        }
+        
+        // Add delay before this slot picks up the next session
+        if (queue.length > 0 && delayMs > 0) {
+          console.log(`⏱️  Waiting ${delayMs / 1000} seconds before next session...`);
+          await sleep(delayMs);
         }
       }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(concurrency, sessions.length) }, worker));
+    return outcomes;
+  }
+
+  async runAllScenarios(sessions = listSessions(this.config)) {
+    console.log('🎯 Running all benchmark scenarios...');
+    
+    console.log(`🔁 ${sessions.length} sessions across ${new Set(sessions.map(s => s.scenarioId)).size} scenarios`);
+    
+    await this.checkBaseline(sessions);
+    
+    const outcomes = await this.scheduleSessions(sessions);
+    
+    const errors = outcomes.filter(o => o.error);
+    if (errors.length > 0) {
+      console.warn(`⚠️  ${errors.length} sessions failed`);
+      errors.forEach(e => console.warn(`   - ${e.session.sessionId}: ${e.error.message}`));
+    }
+    
+    const skipped = outcomes.filter(o => o.skipped);
+    if (skipped.length > 0) {
+      console.warn(`💸 ${skipped.length} sessions skipped after the budget ran out`);
     }
     
     return this.results;
   }
 
+  // Keeps the baseline of the prepared samples with the run (a resumed run
+  // keeps the one it started with) and checks it before any agent runs. A
+  // broken baseline aborts the run with settings.baseline.onFailure "abort".
+  async checkBaseline(sessions) {
+    const options = getBaselineOptions(this.config.settings);
+    const runBaseline = path.join(this.runDir, BASELINE_FILE);
+    if (!fs.existsSync(runBaseline) && fs.existsSync(SAMPLES_BASELINE_PATH)) {
+      await fs.copy(SAMPLES_BASELINE_PATH, runBaseline);
+    }
+    
+    const baseline = await loadBaseline(runBaseline);
+    const problems = findBaselineProblems(baseline, [...new Set(sessions.map(s => s.scenarioId))], options);
+    if (problems.length === 0) {
+      console.log('🩺 Baseline healthy for every scenario');
+      return problems;
+    }
+    
+    console.warn('\n🚨 BASELINE BROKEN: the untouched samples already fail before any agent runs');
+    problems.forEach(problem => {
+      console.warn(`   ❌ ${problem.scenarioId}${problem.check ? ` ${problem.check}` : ''}: ${problem.detail}`);
+    });
+    
+    if (options.onFailure === 'abort') {
+      throw new Error(`Baseline broken for ${problems.length} checks; fix the template or set settings.baseline.onFailure to "warn"`);
+    }
+    console.warn('   Scores are relative to this baseline; set settings.baseline.onFailure to "abort" to refuse such runs\n');
+    return problems;
+  }
+
+  // settings.cleanupAfterRun deletes this run's workspaces once results are
+  // saved (and analyzed); the analyzer then uses the archived workspaces
+  async cleanupWorkspaces() {
+    const runName = `run-${this.runId}`;
+    if (!this.config.settings.cleanupAfterRun) {
+      console.log(`📂 Workspaces kept in workspaces/${runName}`);
+      return false;
+    }
+    
+    const removed = await removeRunWorkspaces(runName);
+    if (removed) {
+      console.log(`🧹 Removed workspaces of ${runName}`);
+    }
+    return removed;
+  }
+
   async saveResults() {
     const resultsFile = path.join(this.runDir, 'benchmark-results.json');
+    const sessions = listSessions(this.config);
+    
+    // Keep results in configuration order, however many invocations produced them
+    const order = sessions.map(s => s.sessionId);
+    this.results.sort((a, b) => order.indexOf(a.sessionId) - order.indexOf(b.sessionId));
     
     const summary = {
       runId: this.runId,
       timestamp: new Date().toISOString(),
       totalScenarios: this.config.scenarios.length,
-      completedScenarios: this.results.length,
+      totalSessions: sessions.length,
+      completedScenarios: new Set(this.results.map(r => r.scenarioId)).size,
+      completedSessions: this.results.filter(r => r.status === 'completed').length,
+      timedOutSessions: this.results.filter(r => r.status === 'timeout').map(r => r.sessionId),
+      failedSessions: Object.values(this.sessionStates)
+        .filter(state => FAILED_STATUSES.includes(state.status))
+        .map(state => ({
+          sessionId: state.sessionId,
+          status: state.status,
+          failureClass: state.result?.failureClass || null,
+          error: state.error || state.result?.failureDetail
+        })),
+      skippedSessions: Object.values(this.sessionStates)
+        .filter(state => state.status === SKIPPED_BUDGET_STATUS)
+        .map(state => ({ sessionId: state.sessionId, status: state.status, reason: state.reason })),
+      spend: this.getSpend(),
+      budget: this.config.settings.budget || null,
       results: this.results,
       config: this.config
     };
@@ -286,11 +846,54 @@ class ClaudeSessionRunner {
     return resultsFile;
   }
 
+  // Sessions of the run by the outcome each recorded in state/. Sessions the
+  // runner itself gave up on (no sample, no workspace) have no failure class
+  // of their own and count as runner-error; sessions without a state never
+  // ran in this run or any invocation it resumed.
+  getSessionCounts() {
+    const states = Object.values(this.sessionStates);
+    const count = (status) => states.filter(state => state.status === status).length;
+    
+    const failureClasses = {};
+    states.filter(state => state.status === 'error').forEach(state => {
+      const failureClass = state.result?.failureClass || 'runner-error';
+      failureClasses[failureClass] = (failureClasses[failureClass] || 0) + 1;
+    });
+    
+    const total = listSessions(this.config).length;
+    return {
+      total,
+      completed: count('completed'),
+      timedOut: count('timeout'),
+      failed: count('error'),
+      failureClasses,
+      skipped: count(SKIPPED_BUDGET_STATUS),
+      notRun: total - states.length
+    };
+  }
+
   printSummary() {
     console.log('\\n📊 Benchmark Summary:');
+    const counts = this.getSessionCounts();
     console.log(`   Total scenarios: ${this.config.scenarios.length}`);
-    console.log(`   Completed: ${this.results.length}`);
-    console.log(`   Failed: ${this.config.scenarios.length - this.results.length}`);
+    console.log(`   Total sessions: ${counts.total}`);
+    console.log(`   Completed: ${counts.completed}`);
+    console.log(`   Timed out: ${counts.timedOut}`);
+    console.log(`   Failed: ${counts.failed}`);
+    Object.entries(counts.failureClasses).forEach(([failureClass, count]) => {
+      console.log(`     ${failureClass}: ${count}`);
+    });
+    if (counts.skipped > 0) {
+      console.log(`   Skipped (budget): ${counts.skipped}`);
+    }
+    if (counts.notRun > 0) {
+      console.log(`   Not run: ${counts.notRun}`);
+    }
+    
+    const spend = this.getSpend();
+    if (spend.tokens > 0 || spend.costUsd > 0) {
+      console.log(`   Total cost: $${spend.costUsd.toFixed(4)} (${spend.tokens} tokens)`);
+    }
     
     if (this.results.length > 0) {
       const avgDuration = this.results.reduce((sum, r) => sum + r.duration, 0) / this.results.length;
@@ -298,8 +901,10 @@ class ClaudeSessionRunner {
       
       console.log('\\n📋 Individual Results:');
       this.results.forEach(result => {
-        const status = result.completed ? '✅' : '⚠️ ';
-        console.log(`   ${status} ${result.scenarioId}: ${Math.round(result.duration/1000)}s`);
+        const status = result.status === 'timeout' ? '⏰' : result.status === 'error' ? '❌' : result.completed ? '✅' : '⚠️ ';
+        const retries = result.attempts && result.attempts.length > 1 ? ` (${result.attempts.length} attempts)` : '';
+        const failure = result.status === 'error' ? ` [${result.failureClass}]` : '';
+        console.log(`   ${status} ${result.sessionId}: ${Math.round(result.duration/1000)}s${retries}${failure}`);
       });
     }
   }
@@ -314,7 +919,16 @@ async function main() {
   const runner = new ClaudeSessionRunner();
   
   try {
-    await runner.initialize();
+    const record = args.includes('--record') || undefined;
+    if (command === 'resume') {
+      if (!args[1]) {
+        console.error('❌ Please specify a run ID');
+        process.exit(1);
+      }
+      await runner.initialize({ runId: args[1], record });
+    } else {
+      await runner.initialize({ record });
+    }
     
     switch (command) {
       case 'scenario':
@@ -330,10 +944,14 @@ async function main() {
         await runner.runAllScenarios();
         break;
         
+      case 'resume':
+        await runner.runAllScenarios(runner.getPendingSessions({ retryFailed: args.includes('--retry-failed') }));
+        break;
+        
       case 'list':
         console.log('📋 Available scenarios:');
         runner.config.scenarios.forEach(s => {
-          console.log(`   - ${s.id}: ${s.name}`);
+          console.log(`   - ${s.id}: ${s.name} (agent: ${resolveAgent(runner.config, s).name})`);
         });
         return;
         
@@ -343,10 +961,15 @@ Claude Code Benchmark Runner Usage:
 
 Commands:
   all                    Run all scenarios (default)
-  scenario <id>         Run specific scenario
+  scenario <id>         Run every trial of a specific scenario
+  resume <runId>        Run missing or failed sessions of an earlier run
+                        (--retry-failed: only sessions that errored or timed out)
   list                  List available scenarios
   help                  Show this help message
 
+Options:
+  --record              Save transcripts and workspace patches for replay
+
 Examples:
   node runner.js                    # Run all scenarios
   node runner.js scenario tdd-strict  # Run TDD scenario only
@@ -357,6 +980,7 @@ Examples:
     
     await runner.saveResults();
     runner.printSummary();
+    await runner.cleanupWorkspaces();
     
   } catch (error) {
     console.error('❌ Runner failed:', error.message);
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ClaudeSessionRunner = require('./runner');
+const { resolveAgent } = require('./agents');
+const { listSessions } = require('./sessions');
+
+// A runner with its run directory in a temporary directory and console output
+// silenced; sessions run the mock agent in an empty project of their own
+async function createRunner(t, settings = {}, script = {}) {
+  const runDir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-runner-'));
+  t.after(() => fs.remove(runDir));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const runner = new ClaudeSessionRunner();
+  runner.runDir = runDir;
+  runner.stateDir = path.join(runDir, 'state');
+  await fs.ensureDir(runner.stateDir);
+  runner.config = {
+    settings: { timeoutMinutes: 1, delayBetweenSessionsSeconds: 0, ...settings },
+    scenarios: [{ id: 'demo', trials: 4 }]
+  };
+
+  const mockScript = path.join(runDir, 'mock-script.json');
+  await fs.writeJson(mockScript, { output: ['Working'], edits: [], costUsd: 0.05, delayMs: 300, exitCode: 0, ...script });
+  const agent = resolveAgent({ agents: { mock: { mockScript } } }, { id: 'demo', agent: 'mock' });
+
+  // Stands in for runSession, which needs a prepared sample; records when
+  // each session ran, in start order
+  const spans = [];
+  runner.runSession = async (session) => {
+    const projectPath = path.join(runDir, session.sessionId);
+    await fs.ensureDir(projectPath);
+    const start = Date.now();
+    const result = await runner.spawnClaudeSession(projectPath, session, 'Say hello', agent);
+    spans.push({ sessionId: session.sessionId, start, end: Date.now() });
+    await waitForChangeLog(result);
+    runner.results.push(result);
+    await runner.saveSessionState(session, { status: result.status, result });
+    return result;
+  };
+
+  return { runner, spans };
+}
+
+// The change log is finished after the session resolves; wait for it before
+// the run directory is removed
+async function waitForChangeLog(result) {
+  for (let i = 0; i < 100; i++) {
+    if ((await fs.readFile(result.changeLogFile, 'utf8')).includes('=== MODIFIED FILES ===')) return;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`${result.changeLogFile} was never finished`);
+}
+
+function maxOverlap(spans) {
+  return Math.max(...spans.map(span => spans.filter(other => other.start <= span.start && span.start < other.end).length));
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    // A killed process nobody reaped yet is a zombie
+    return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+  } catch (error) {
+    return false;
+  }
+}
+
+test('scheduleSessions never runs more sessions than maxConcurrency', async (t) => {
+  const { runner, spans } = await createRunner(t, { parallelExecution: true, maxConcurrency: 2 });
+
+  const outcomes = await runner.scheduleSessions(listSessions(runner.config));
+
+  assert.deepStrictEqual(outcomes.map(outcome => outcome.result.status), ['completed', 'completed', 'completed', 'completed']);
+  assert.strictEqual(maxOverlap(spans), 2);
+});
+
+test('scheduleSessions spaces session starts by staggerSeconds', async (t) => {
+  const { runner, spans } = await createRunner(t, { parallelExecution: true, maxConcurrency: 3, staggerSeconds: 0.4 });
+  runner.config.scenarios[0].trials = 3;
+
+  await runner.scheduleSessions(listSessions(runner.config));
+
+  const starts = spans.map(span => span.start).sort((a, b) => a - b);
+  assert.strictEqual(starts.length, 3);
+  starts.slice(1).forEach((start, index) => assert.ok(start - starts[index] >= 395, `starts ${start - starts[index]}ms apart`));
+  // Staggered rather than serialized: the sessions still overlap
+  assert.ok(maxOverlap(spans) > 1);
+});
+
+test('scheduleSessions skips the remaining sessions once the budget is spent', async (t) => {
+  const { runner } = await createRunner(t, { budget: { maxUsd: 0.1 } });
+
+  const outcomes = await runner.scheduleSessions(listSessions(runner.config));
+
+  assert.deepStrictEqual(outcomes.map(outcome => [outcome.session.trial, outcome.result?.status ?? 'skipped']), [
+    [1, 'completed'],
+    [2, 'completed'],
+    [3, 'skipped'],
+    [4, 'skipped']
+  ]);
+  assert.strictEqual(outcomes[2].skipped, 'spent $0.10 of $0.1 budget');
+  const state = await fs.readJson(path.join(runner.stateDir, 'demo-trial-4.json'));
+  assert.strictEqual(state.status, 'skipped-budget');
+});
+
+test('runSingleScenario also stops starting trials once the budget is spent', async (t) => {
+  const { runner, spans } = await createRunner(t, { budget: { maxTokens: 1 } }, { usage: { input_tokens: 10, output_tokens: 5 } });
+
+  const results = await runner.runSingleScenario('demo');
+
+  assert.strictEqual(results.length, 1);
+  assert.deepStrictEqual(spans.map(span => span.sessionId), ['demo-trial-1']);
+  assert.deepStrictEqual(Object.values(runner.sessionStates).map(state => state.status), ['completed', 'skipped-budget', 'skipped-budget', 'skipped-budget']);
+});
+
+test('getPendingSessions resumes unfinished sessions, or with retryFailed only failed ones', async (t) => {
+  const { runner } = await createRunner(t);
+  runner.config.scenarios[0].trials = 5;
+  runner.sessionStates = {
+    'demo-trial-1': { status: 'completed' },
+    'demo-trial-2': { status: 'error' },
+    'demo-trial-3': { status: 'timeout' },
+    'demo-trial-4': { status: 'skipped-budget' }
+  };
+  const pending = options => runner.getPendingSessions(options).map(session => session.trial);
+
+  assert.deepStrictEqual(pending(), [2, 3, 4, 5]);
+  assert.deepStrictEqual(pending({ retryFailed: true }), [2, 3]);
+});
+
+test('getSessionCounts counts each session by the outcome it recorded', async (t) => {
+  const { runner } = await createRunner(t);
+  runner.config.scenarios[0].trials = 6;
+  runner.sessionStates = {
+    'demo-trial-1': { status: 'completed', result: { status: 'completed' } },
+    'demo-trial-2': { status: 'error', result: { status: 'error', failureClass: 'rate-limit' } },
+    'demo-trial-3': { status: 'error', error: 'Sample directory for demo not found. Run setup.js first.' },
+    'demo-trial-4': { status: 'timeout', result: { status: 'timeout' } },
+    'demo-trial-5': { status: 'skipped-budget' }
+  };
+
+  assert.deepStrictEqual(runner.getSessionCounts(), {
+    total: 6,
+    completed: 1,
+    timedOut: 1,
+    failed: 2,
+    failureClasses: { 'rate-limit': 1, 'runner-error': 1 },
+    skipped: 1,
+    notRun: 1
+  });
+});
+
+test('a timeout terminates the processes the agent started in the background', async (t) => {
+  const { runner } = await createRunner(t, { killGraceSeconds: 1 });
+  const projectPath = path.join(runner.runDir, 'project');
+  await fs.ensureDir(projectPath);
+  const agent = resolveAgent({ agents: { shell: { command: 'sh', args: ['-c', 'sleep 60 & echo $! > sleep.pid; wait'] } } }, { id: 'demo', agent: 'shell' });
+
+  const result = await runner.spawnClaudeSession(projectPath, { scenarioId: 'demo', trial: 1, sessionId: 'demo-trial-1', timeoutMs: 500 }, 'Say hello', agent);
+
+  await waitForChangeLog(result);
+  const pid = Number(await fs.readFile(path.join(projectPath, 'sleep.pid'), 'utf8'));
+  t.after(() => isAlive(pid) && process.kill(pid, 'SIGKILL'));
+  assert.strictEqual(result.status, 'timeout');
+  assert.strictEqual(isAlive(pid), false);
+});
+
+test('processes an agent leaves running are terminated when it exits', async (t) => {
+  const { runner } = await createRunner(t, { killGraceSeconds: 1 });
+  const projectPath = path.join(runner.runDir, 'project');
+  await fs.ensureDir(projectPath);
+  const agent = resolveAgent({ agents: { shell: { command: 'sh', args: ['-c', 'sleep 60 & echo $! > sleep.pid'] } } }, { id: 'demo', agent: 'shell' });
+
+  const result = await runner.spawnClaudeSession(projectPath, { scenarioId: 'demo', trial: 1, sessionId: 'demo-trial-1', timeoutMs: 30000 }, 'Say hello', agent);
+
+  await waitForChangeLog(result);
+  const pid = Number(await fs.readFile(path.join(projectPath, 'sleep.pid'), 'utf8'));
+  t.after(() => isAlive(pid) && process.kill(pid, 'SIGKILL'));
+  assert.strictEqual(result.status, 'completed');
+  assert.ok(result.duration < 30000);
+  assert.strictEqual(isAlive(pid), false);
+});
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+// Scoring model of a task: weighted categories, each scoring the task's
+// checks that name it as their `category` plus numeric metrics with partial
+// credit. task.json may define its own under `scoring`:
+//
+// "scoring": {
+//   "categories": {
+//     "functionality": { "weight": 0.5, "metrics": [{ "metric": "acceptanceScore", "weight": 3, "full": 1, "zero": 0 }] },
+//     "tests": { "weight": 0.2 },
+//     "quality": { "weight": 0.2 },
+//     "process": { "weight": 0.1, "metrics": [{ "metric": "session.turns", "full": 10, "zero": 40 }] }
+//   }
+// }
+//
+// A metric earns full credit at `full`, none at `zero` and partial credit in
+// between, so lower-is-better metrics simply have full < zero. Items whose
+// value is unknown (e.g. session metrics of the baseline sample) are left
+// out, as are categories with nothing left to score.
+//
+// Integrity flags (scripts/integrity.js) and dependency policy violations
+// (scripts/audit.js) are then deducted from the final score, once per flag
+// type found; `"penalties": { "out-of-scope": 0 }` overrides the deduction
+// of a type.
+
+const DEFAULT_SCORING = {
+  categories: {
+    functionality: { weight: 0.4 },
+    tests: { weight: 0.3 },
+    quality: { weight: 0.2 },
+    process: { weight: 0.1 }
+  }
+};
+
+const DEFAULT_PENALTIES = {
+  'deleted-test': 0.2,
+  'renamed-test': 0.05,
+  'skipped-test': 0.1,
+  'focused-test': 0.1,
+  'removed-assertions': 0.15,
+  'jest-config': 0.2,
+  'out-of-scope': 0.05,
+  'dependency-policy': 0.15
+};
+
+// Categories of checks written before scoring models existed
+const CATEGORY_ALIASES = { feature: 'functionality' };
+
+function resolveCategory(category) {
+  return CATEGORY_ALIASES[category] || category || 'functionality';
+}
+
+function getPath(value, keyPath) {
+  return keyPath.split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && value > 0;
+}
+
+// Resolves the task's scoring definition against its checks into the model
+// stored in reports: [{ name, weight, items: [{ check | metric, weight, ... }] }]
+// plus a fingerprint that tells whether two reports scored alike
+function resolveScoringModel(taskId, scoring, validators) {
+  const categories = Object.entries((scoring || DEFAULT_SCORING).categories || {}).map(([name, category]) => {
+    if (!isPositive(category.weight)) {
+      throw new Error(`Scoring category ${name} of task ${taskId} needs a positive weight`);
+    }
+
+    const metrics = (category.metrics || []).map(metric => {
+      if (!metric.metric || typeof metric.full !== 'number' || typeof metric.zero !== 'number' || metric.full === metric.zero) {
+        throw new Error(`Metric ${metric.metric || '(unnamed)'} in scoring category ${name} of task ${taskId} needs a name and distinct numeric full and zero thresholds`);
+      }
+      if (metric.weight !== undefined && !isPositive(metric.weight)) {
+        throw new Error(`Metric ${metric.metric} in scoring category ${name} of task ${taskId} needs a positive weight`);
+      }
+      return { metric: metric.metric, weight: metric.weight ?? 1, full: metric.full, zero: metric.zero };
+    });
+
+    const checks = validators
+      .filter(validator => validator.category === name)
+      .map(validator => ({ check: validator.name, weight: validator.weight }));
+
+    return { name, weight: category.weight, items: [...checks, ...metrics] };
+  });
+
+  const names = categories.map(category => category.name);
+  validators.forEach(validator => {
+    if (!names.includes(validator.category)) {
+      throw new Error(`Check ${validator.name} of task ${taskId} is in category "${validator.category}", which its scoring model does not define (expected one of ${names.join(', ')})`);
+    }
+  });
+
+  const penalties = { ...DEFAULT_PENALTIES, ...(scoring?.penalties || {}) };
+  Object.entries(penalties).forEach(([type, penalty]) => {
+    if (typeof penalty !== 'number' || penalty < 0 || penalty > 1) {
+      throw new Error(`Penalty ${type} of task ${taskId} must be a number from 0 to 1`);
+    }
+  });
+
+  const fingerprint = crypto.createHash('sha1').update(JSON.stringify({ categories, penalties })).digest('hex').slice(0, 12);
+  return { fingerprint, categories, penalties };
+}
+
+// Credit (0-1) of one item, or null when its value is unknown
+function itemCredit(item, values) {
+  if (item.check) {
+    const passed = values[item.check];
+    return typeof passed === 'boolean' ? (passed ? 1 : 0) : null;
+  }
+
+  const value = getPath(values, item.metric);
+  if (typeof value !== 'number' || Number.isNaN(value)) return null;
+  const credit = (value - item.zero) / (item.full - item.zero);
+  return Math.min(Math.max(credit, 0), 1);
+}
+
+function weightedMean(entries) {
+  const scored = entries.filter(entry => entry.value !== null);
+  const total = scored.reduce((sum, entry) => sum + entry.weight, 0);
+  return total > 0 ? scored.reduce((sum, entry) => sum + entry.weight * entry.value, 0) / total : null;
+}
+
+// Deduction for the integrity flags and dependency policy violations of a
+// validation, once per flag type
+function integrityPenalty(model, validation) {
+  const flags = [...(validation.integrity?.flags || []), ...(validation.dependencies?.violations || [])];
+  const types = new Set(flags.map(flag => flag.type));
+  return [...types].reduce((sum, type) => sum + (model.penalties?.[type] ?? 0), 0);
+}
+
+// Scores a validation (check results and metrics such as acceptanceScore)
+// and, when known, the session's metrics; returns the category subscores
+// (null for categories with nothing to score), the penalty and the final
+// score
+function scoreValidation(model, validation, session = null) {
+  const values = { ...validation, session };
+  const categoryScores = {};
+
+  model.categories.forEach(category => {
+    categoryScores[category.name] = weightedMean(category.items.map(item => ({
+      weight: item.weight,
+      value: itemCredit(item, values)
+    })));
+  });
+
+  const penalty = integrityPenalty(model, validation);
+  return { categoryScores, penalty, score: Math.max((combineCategories(model, categoryScores) ?? 0) - penalty, 0) };
+}
+
+function combineCategories(model, categoryScores) {
+  return weightedMean(model.categories.map(category => ({
+    weight: category.weight,
+    value: categoryScores[category.name] ?? null
+  })));
+}
+
+// Weighted change in the category subscores against a baseline, less the
+// session's penalty. A category the baseline could not score
+// (process, for an untouched sample) counts as unchanged rather than as a
+// gain over nothing.
+function scoreChange(model, categoryScores, baselineScores, penalty = 0) {
+  const change = weightedMean(model.categories.map(category => {
+    const score = categoryScores[category.name] ?? null;
+    const baseline = baselineScores[category.name] ?? null;
+    return {
+      weight: category.weight,
+      value: score === null ? null : score - (baseline ?? score)
+    };
+  })) ?? 0;
+  return change - penalty;
+}
+
+// Session metrics available to the process category, summed over the given
+// session results or stages; a metric any of them lacks is left unknown
+function sessionMetrics(results) {
+  const sum = getValue => {
+    const values = results.map(getValue);
+    return values.every(value => typeof value === 'number') ? values.reduce((total, value) => total + value, 0) : undefined;
+  };
+
+  return {
+    durationSeconds: sum(r => (typeof r.duration === 'number' ? r.duration / 1000 : undefined)),
+    turns: sum(r => r.turns),
+    toolCalls: sum(r => r.toolCallCount),
+    toolErrors: sum(r => r.toolErrors),
+    costUsd: sum(r => r.usage?.costUsd),
+    totalTokens: sum(r => r.usage?.totalTokens)
+  };
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  DEFAULT_PENALTIES,
+  resolveCategory,
+  resolveScoringModel,
+  scoreValidation,
+  scoreChange,
+  sessionMetrics
+};
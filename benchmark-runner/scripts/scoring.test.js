@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveCategory, resolveScoringModel, scoreValidation, scoreChange, sessionMetrics } = require('./scoring');
+
+const VALIDATORS = [
+  { name: 'hasInput', category: 'functionality', weight: 1 },
+  { name: 'hasGreeting', category: 'functionality', weight: 3 },
+  { name: 'hasTests', category: 'tests', weight: 1 }
+];
+
+const SCORING = {
+  categories: {
+    functionality: { weight: 0.6 },
+    tests: { weight: 0.2 },
+    process: { weight: 0.2, metrics: [{ metric: 'session.turns', full: 10, zero: 30 }] }
+  }
+};
+
+test('resolveCategory maps legacy categories and defaults to functionality', () => {
+  assert.strictEqual(resolveCategory('feature'), 'functionality');
+  assert.strictEqual(resolveCategory(undefined), 'functionality');
+  assert.strictEqual(resolveCategory('tests'), 'tests');
+});
+
+test('resolveScoringModel attaches checks to their categories and fingerprints the model', () => {
+  const model = resolveScoringModel('task', SCORING, VALIDATORS);
+
+  assert.deepStrictEqual(model.categories.map(category => [category.name, category.items.length]), [['functionality', 2], ['tests', 1], ['process', 1]]);
+  assert.match(model.fingerprint, /^[0-9a-f]{12}$/);
+  assert.strictEqual(resolveScoringModel('task', SCORING, VALIDATORS).fingerprint, model.fingerprint);
+  assert.notStrictEqual(resolveScoringModel('task', undefined, VALIDATORS).fingerprint, model.fingerprint);
+});
+
+test('resolveScoringModel rejects invalid definitions', () => {
+  assert.throws(() => resolveScoringModel('task', { categories: { functionality: { weight: 0 } } }, []), /needs a positive weight/);
+  assert.throws(() => resolveScoringModel('task', { categories: { process: { weight: 1, metrics: [{ metric: 'session.turns', full: 5, zero: 5 }] } } }, []), /distinct numeric full and zero/);
+  assert.throws(() => resolveScoringModel('task', { categories: { functionality: { weight: 1 } } }, VALIDATORS), /Check hasTests of task task is in category "tests"/);
+});
+
+test('scoreValidation weights checks and gives metrics partial credit', () => {
+  const model = resolveScoringModel('task', SCORING, VALIDATORS);
+  const result = scoreValidation(model, { hasInput: true, hasGreeting: false, hasTests: true }, { turns: 20 });
+
+  assert.deepStrictEqual(result.categoryScores, { functionality: 0.25, tests: 1, process: 0.5 });
+  assert.ok(Math.abs(result.score - (0.6 * 0.25 + 0.2 * 1 + 0.2 * 0.5)) < 1e-12);
+});
+
+test('scoreValidation leaves out categories with nothing to score', () => {
+  const model = resolveScoringModel('task', SCORING, VALIDATORS);
+  const result = scoreValidation(model, { hasInput: true, hasGreeting: true, hasTests: false });
+
+  assert.strictEqual(result.categoryScores.process, null);
+  assert.ok(Math.abs(result.score - 0.75) < 1e-12);
+});
+
+test('scoreChange treats categories the baseline could not score as unchanged', () => {
+  const model = resolveScoringModel('task', SCORING, VALIDATORS);
+  const change = scoreChange(model, { functionality: 1, tests: 0.5, process: 0.8 }, { functionality: 0.5, tests: 0.5, process: null });
+
+  assert.ok(Math.abs(change - 0.6 * 0.5) < 1e-12);
+});
+
+test('sessionMetrics sums stages and leaves metrics some stage lacks unknown', () => {
+  const metrics = sessionMetrics([
+    { duration: 3000, turns: 2, toolCallCount: 4, toolErrors: 0, usage: { costUsd: 0.1, totalTokens: 100 } },
+    { duration: 1000, turns: 3, toolCallCount: 1, toolErrors: 1 }
+  ]);
+
+  assert.deepStrictEqual(metrics, { durationSeconds: 4, turns: 5, toolCalls: 5, toolErrors: 1, costUsd: undefined, totalTokens: undefined });
+});
+
+test('scoreValidation deducts each integrity flag type once', () => {
+  const model = resolveScoringModel('task', { ...SCORING, penalties: { 'out-of-scope': 0 } }, VALIDATORS);
+  const validation = {
+    hasInput: true,
+    hasGreeting: true,
+    hasTests: true,
+    integrity: {
+      flags: [
+        { type: 'skipped-test', file: 'a.test.js' },
+        { type: 'skipped-test', file: 'b.test.js' },
+        { type: 'out-of-scope', file: 'server.js' }
+      ]
+    }
+  };
+
+  const result = scoreValidation(model, validation);
+  assert.strictEqual(result.penalty, 0.1);
+  assert.ok(Math.abs(result.score - 0.9) < 1e-12);
+  assert.throws(() => resolveScoringModel('task', { ...SCORING, penalties: { 'deleted-test': 2 } }, VALIDATORS), /Penalty deleted-test of task task must be a number from 0 to 1/);
+});
@@ -0,0 +1,35 @@
+// A session is one trial of one scenario. Scenarios run `trials` times
+// (per scenario, else settings.trials, else once), each in its own sample.
+
+function getTrialCount(config, scenario) {
+  const trials = parseInt(scenario.trials ?? config.settings?.trials ?? 1, 10);
+  return Number.isFinite(trials) && trials > 0 ? trials : 1;
+}
+
+function getSessionId(scenarioId, trial) {
+  return `${scenarioId}-trial-${trial}`;
+}
+
+function listSessions(config, scenarios = config.scenarios) {
+  const sessions = [];
+
+  for (const scenario of scenarios) {
+    const trials = getTrialCount(config, scenario);
+    for (let trial = 1; trial <= trials; trial++) {
+      sessions.push({
+        scenario,
+        scenarioId: scenario.id,
+        trial,
+        sessionId: getSessionId(scenario.id, trial)
+      });
+    }
+  }
+
+  return sessions;
+}
+
+module.exports = {
+  getTrialCount,
+  getSessionId,
+  listSessions
+};
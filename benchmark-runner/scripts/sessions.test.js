@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTrialCount, getSessionId, listSessions } = require('./sessions');
+
+test('getTrialCount prefers the scenario, then settings, then one trial', () => {
+  assert.strictEqual(getTrialCount({ settings: { trials: 3 } }, { trials: 5 }), 5);
+  assert.strictEqual(getTrialCount({ settings: { trials: 3 } }, {}), 3);
+  assert.strictEqual(getTrialCount({}, {}), 1);
+  assert.strictEqual(getTrialCount({}, { trials: 0 }), 1);
+  assert.strictEqual(getTrialCount({}, { trials: 'many' }), 1);
+});
+
+test('listSessions expands every scenario into its trials', () => {
+  const config = { settings: { trials: 2 }, scenarios: [{ id: 'tdd' }, { id: 'minimal', trials: 1 }] };
+
+  assert.deepStrictEqual(listSessions(config).map(session => session.sessionId), [
+    getSessionId('tdd', 1),
+    'tdd-trial-2',
+    'minimal-trial-1'
+  ]);
+  assert.deepStrictEqual(listSessions(config, [config.scenarios[1]]).map(session => session.trial), [1]);
+});
@@ -3,14 +3,136 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { execSync } = require('child_process');
+const { DEPENDENCY_EXCLUDES, installDependencies } = require('./dependencies');
+const { excludeFromGit } = require('./snapshots');
+const { ARTIFACT_EXCLUDES } = require('./diff');
+const { getBaselineOptions, runBaselineChecks, saveBaselineEntry } = require('./baseline');
+const BenchmarkAnalyzer = require('./analyzer');
+const { getScenarioTask } = require('./tasks');
 
 const CONFIG_PATH = path.join(__dirname, '../config/ClaudeMapper.json');
-const TEMPLATE_PATH = path.join(__dirname, '../templates/react-app');
 const SAMPLES_PATH = path.join(__dirname, '../samples');
 const CLAUDE_CONFIGS_PATH = path.join(__dirname, '../claude-configs');
 
-async function createSampleDirectories() {
-  console.log('🚀 Setting up benchmark sample directories...');
+async function createSample(scenario, sampleDir, label = scenario.id, options = {}) {
+  const settings = options.settings || JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')).settings;
+  const task = getScenarioTask({ settings }, scenario);
+  
+  // Remove existing directory if it exists
+  if (fs.existsSync(sampleDir)) {
+    await fs.remove(sampleDir);
+  }
+  
+  // Copy the task's template to sample directory
+  await fs.copy(task.templatePath, sampleDir);
+  console.log(`   ✅ Copied template ${path.basename(task.templatePath)} for task ${task.id}`);
+  
+  // Copy the appropriate CLAUDE configuration
+  if (scenario.claudeFile) {
+    // Handle single file configuration
+    const claudeConfigSource = path.join(CLAUDE_CONFIGS_PATH, scenario.claudeFile);
+    const claudeConfigDest = path.join(sampleDir, 'CLAUDE.md');
+    
+    if (fs.existsSync(claudeConfigSource)) {
+      await fs.copy(claudeConfigSource, claudeConfigDest);
+      console.log(`   ✅ Copied ${scenario.claudeFile} to CLAUDE.md`);
+    } else {
+      console.warn(`   ⚠️  Warning: ${scenario.claudeFile} not found`);
+    }
+  } else if (scenario.claudeFolder) {
+    // Handle folder-based configuration
+    const claudeFolderSource = path.join(__dirname, '..', scenario.claudeFolder);
+    
+    if (fs.existsSync(claudeFolderSource)) {
+      // Copy all files from the folder
+      const files = await fs.readdir(claudeFolderSource);
+      for (const file of files) {
+        const sourceFile = path.join(claudeFolderSource, file);
+        const destFile = path.join(sampleDir, file);
+        
+        // Check if it's a file (not a directory)
+        const stat = await fs.stat(sourceFile);
+        if (stat.isFile()) {
+          await fs.copy(sourceFile, destFile);
+          console.log(`   ✅ Copied ${file} from ${scenario.claudeFolder}`);
+        }
+      }
+    } else {
+      console.warn(`   ⚠️  Warning: Folder ${scenario.claudeFolder} not found`);
+    }
+  } else {
+    console.warn(`   ⚠️  Warning: No claudeFile or claudeFolder specified for ${scenario.id}`);
+  }
+  
+  // Install dependencies (linked from the shared cache, which is filled on first use)
+  console.log(`   📦 Installing dependencies for ${label}...`);
+  try {
+    const cacheDir = await installDependencies(sampleDir, { offline: options.offline });
+    console.log(`   ✅ Dependencies installed for ${label} (cache ${path.basename(cacheDir)})`);
+  } catch (error) {
+    // Offline with a cold cache there is nothing useful to set up
+    if (error.code === 'DEPENDENCY_CACHE_COLD') throw error;
+    console.error(`   ❌ Failed to install dependencies for ${label}:`, error.message);
+  }
+  
+  // Initialize git repository for change tracking
+  console.log(`   🔧 Initializing git repository for ${label}...`);
+  try {
+    execSync('git init', { cwd: sampleDir, stdio: 'pipe' });
+    // node_modules stays out of the commit; workspaces link it from the cache
+    await excludeFromGit(sampleDir, [...DEPENDENCY_EXCLUDES, ...ARTIFACT_EXCLUDES]);
+    execSync('git add .', { cwd: sampleDir, stdio: 'pipe' });
+    execSync('git commit -m "Initial commit - template setup"', { 
+      cwd: sampleDir, 
+      stdio: 'pipe',
+      env: { ...process.env, GIT_AUTHOR_NAME: 'Benchmark', GIT_AUTHOR_EMAIL: 'benchmark@test.com', GIT_COMMITTER_NAME: 'Benchmark', GIT_COMMITTER_EMAIL: 'benchmark@test.com' }
+    });
+    console.log(`   ✅ Git repository initialized for ${label}`);
+  } catch (error) {
+    console.error(`   ❌ Failed to initialize git for ${label}:`, error.message);
+  }
+  
+  await recordBaseline(scenario, sampleDir, label, { ...options, settings, task });
+}
+
+// Checks the untouched sample (install, test, lint, start) and scores it with
+// the validation tests; the runner gates on this and the analyzer scores
+// sessions relative to it
+async function recordBaseline(scenario, sampleDir, label, options = {}) {
+  const settings = options.settings || JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')).settings;
+  const task = options.task || getScenarioTask({ settings }, scenario);
+  const baselineOptions = getBaselineOptions(settings);
+  
+  console.log(`   🩺 Checking baseline health of ${label}...`);
+  const checks = await runBaselineChecks(sampleDir, baselineOptions);
+  const validation = await new BenchmarkAnalyzer().validateProject(sampleDir, label, task, null, scenario);
+  
+  // Checks may leave build output or caches behind; the sample has to stay at its initial commit.
+  // Those are ignored, so clean ignored files too, all but the linked node_modules.
+  try {
+    execSync('git reset --hard --quiet && git clean -fdxq -e node_modules/', { cwd: sampleDir, stdio: 'pipe' });
+  } catch (error) {
+    console.error(`   ❌ Failed to reset ${label} after baseline checks:`, error.message);
+  }
+  
+  const failed = Object.entries(checks).filter(([, check]) => !check.passed);
+  await saveBaselineEntry(scenario.id, {
+    checkedAt: new Date().toISOString(),
+    task: task.id,
+    healthy: failed.length === 0,
+    checks,
+    validation
+  });
+  
+  if (failed.length === 0) {
+    console.log(`   ✅ Baseline healthy for ${label} (score ${(validation.overallScore * 100).toFixed(1)}%)`);
+  } else {
+    console.warn(`   ⚠️  Baseline broken for ${label}: ${failed.map(([name, check]) => `${name} (${check.detail})`).join(', ')}`);
+  }
+}
+
+async function createSampleDirectories(options = {}) {
+  console.log(`🚀 Setting up benchmark sample directories${options.offline ? ' (offline)' : ''}...`);
   
   try {
     // Load configuration
@@ -19,90 +141,21 @@ async function createSampleDirectories() {
     // Ensure samples directory exists
     await fs.ensureDir(SAMPLES_PATH);
     
-    // Create a sample directory for each scenario
+    // Prepare one base sample per scenario; the runner clones it into a
+    // fresh workspace for every session
     for (const scenario of config.scenarios) {
       console.log(`📁 Creating sample for scenario: ${scenario.name}`);
       
       const sampleDir = path.join(SAMPLES_PATH, scenario.id);
-      
-      // Remove existing directory if it exists
-      if (fs.existsSync(sampleDir)) {
-        await fs.remove(sampleDir);
-      }
-      
-      // Copy template to sample directory
-      await fs.copy(TEMPLATE_PATH, sampleDir);
-      
-      // Copy the appropriate CLAUDE configuration
-      if (scenario.claudeFile) {
-        // Handle single file configuration
-        const claudeConfigSource = path.join(CLAUDE_CONFIGS_PATH, scenario.claudeFile);
-        const claudeConfigDest = path.join(sampleDir, 'CLAUDE.md');
-        
-        if (fs.existsSync(claudeConfigSource)) {
-          await fs.copy(claudeConfigSource, claudeConfigDest);
-          console.log(`   ✅ Copied ${scenario.claudeFile} to CLAUDE.md`);
-        } else {
-          console.warn(`   ⚠️  Warning: ${scenario.claudeFile} not found`);
-        }
-      } else if (scenario.claudeFolder) {
-        // Handle folder-based configuration
-        const claudeFolderSource = path.join(__dirname, '..', scenario.claudeFolder);
-        
-        if (fs.existsSync(claudeFolderSource)) {
-          // Copy all files from the folder
-          const files = await fs.readdir(claudeFolderSource);
-          for (const file of files) {
-            const sourceFile = path.join(claudeFolderSource, file);
-            const destFile = path.join(sampleDir, file);
-            
-            // Check if it's a file (not a directory)
-            const stat = await fs.stat(sourceFile);
-            if (stat.isFile()) {
-              await fs.copy(sourceFile, destFile);
-              console.log(`   ✅ Copied ${file} from ${scenario.claudeFolder}`);
-            }
-          }
-        } else {
-          console.warn(`   ⚠️  Warning: Folder ${scenario.claudeFolder} not found`);
-        }
-      } else {
-        console.warn(`   ⚠️  Warning: No claudeFile or claudeFolder specified for ${scenario.id}`);
-      }
-      
-      // Install dependencies
-      console.log(`   📦 Installing dependencies for ${scenario.id}...`);
-      try {
-        execSync('npm install', { 
-          cwd: sampleDir, 
-          stdio: 'pipe' 
-        });
-        console.log(`   ✅ Dependencies installed for ${scenario.id}`);
-      } catch (error) {
-        console.error(`   ❌ Failed to install dependencies for ${scenario.id}:`, error.message);
-      }
-      
-      // Initialize git repository for change tracking
-      console.log(`   🔧 Initializing git repository for ${scenario.id}...`);
-      try {
-        execSync('git init', { cwd: sampleDir, stdio: 'pipe' });
-        execSync('git add .', { cwd: sampleDir, stdio: 'pipe' });
-        execSync('git commit -m "Initial commit - template setup"', { 
-          cwd: sampleDir, 
-          stdio: 'pipe',
-          env: { ...process.env, GIT_AUTHOR_NAME: 'Benchmark', GIT_AUTHOR_EMAIL: 'benchmark@test.com', GIT_COMMITTER_NAME: 'Benchmark', GIT_COMMITTER_EMAIL: 'benchmark@test.com' }
-        });
-        console.log(`   ✅ Git repository initialized for ${scenario.id}`);
-      } catch (error) {
-        console.error(`   ❌ Failed to initialize git for ${scenario.id}:`, error.message);
-      }
+      await createSample(scenario, sampleDir, scenario.id, { ...options, settings: config.settings });
     }
     
     console.log('✨ Sample directories created successfully!');
     console.log(`📍 Samples location: ${SAMPLES_PATH}`);
     
     // List created directories
-    const sampleDirs = fs.readdirSync(SAMPLES_PATH);
+    const sampleDirs = fs.readdirSync(SAMPLES_PATH)
+      .filter(dir => fs.statSync(path.join(SAMPLES_PATH, dir)).isDirectory());
     console.log('📋 Created samples:');
     sampleDirs.forEach(dir => {
       console.log(`   - ${dir}`);
@@ -117,13 +170,14 @@ async function createSampleDirectories() {
 // CLI interface
 if (require.main === module) {
   const args = process.argv.slice(2);
-  const command = args[0];
+  const command = args.find(arg => !arg.startsWith('--'));
+  const offline = args.includes('--offline');
   
   switch (command) {
     case 'create':
     case 'setup':
     default:
-      createSampleDirectories();
+      createSampleDirectories({ offline });
       break;
       
     case 'clean':
@@ -141,13 +195,17 @@ if (require.main === module) {
 Benchmark Setup Script Usage:
 
 Commands:
-  setup, create  Create sample directories for all scenarios (default)
+  setup, create  Create the prepared sample of every scenario (default)
   clean         Remove all sample directories
   help          Show this help message
 
+Options:
+  --offline     Install dependencies only from the cache in .cache/deps
+
 Examples:
   node setup.js           # Create sample directories
   node setup.js create    # Create sample directories
+  node setup.js --offline # Create sample directories without network access
   node setup.js clean     # Clean up sample directories
   node setup.js help      # Show help
       `);
@@ -155,4 +213,4 @@ Examples:
   }
 }
 
-module.exports = { createSampleDirectories };
\ No newline at end of file
+module.exports = { createSampleDirectories, createSample, recordBaseline };
\ No newline at end of file
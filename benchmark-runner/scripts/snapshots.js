@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Git snapshots of a sample's working tree. Snapshots are written through a
+// temporary index, so the sample's own index, HEAD and working tree are left
+// exactly as the agent had them; only a ref under refs/benchmark/ is added.
+
+function git(projectPath, args, env = {}) {
+  return new Promise((resolve, reject) => {
+    const gitProcess = spawn('git', args, { cwd: projectPath, env: { ...process.env, ...env } });
+    let stdout = '';
+    let stderr = '';
+
+    gitProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    gitProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    gitProcess.on('error', reject);
+    gitProcess.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout.trim());
+      } else {
+        reject(new Error(`git ${args[0]} failed in ${projectPath}: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+  });
+}
+
+// Adds patterns to the repository's .git/info/exclude, leaving the project's
+// own .gitignore alone. Snapshots, diffs and status then skip those paths.
+async function excludeFromGit(projectPath, patterns) {
+  const excludeFile = path.resolve(projectPath, await git(projectPath, ['rev-parse', '--git-path', 'info/exclude']));
+  await fs.ensureFile(excludeFile);
+
+  const existing = (await fs.readFile(excludeFile, 'utf8')).split('\n');
+  const missing = patterns.filter(pattern => !existing.includes(pattern));
+  if (missing.length > 0) {
+    const separator = existing[existing.length - 1] === '' ? '' : '\n';
+    await fs.appendFile(excludeFile, `${separator}${missing.join('\n')}\n`);
+  }
+}
+
+// Runs fn(env) with GIT_INDEX_FILE pointing at a throwaway copy of the index.
+// Copying keeps git's stat cache, so unchanged files aren't rehashed.
+async function withTemporaryIndex(projectPath, fn) {
+  const indexPath = path.resolve(projectPath, await git(projectPath, ['rev-parse', '--git-path', 'index']));
+  const tempIndex = path.join(os.tmpdir(), `benchmark-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+  if (await fs.pathExists(indexPath)) {
+    await fs.copy(indexPath, tempIndex);
+  }
+
+  try {
+    return await fn({ GIT_INDEX_FILE: tempIndex });
+  } finally {
+    await fs.remove(tempIndex);
+  }
+}
+
+// Records the current working tree (tracked and untracked files, honouring
+// .gitignore) as a commit on `ref`, e.g. refs/benchmark/stage-1
+async function snapshotWorkspace(projectPath, { ref = null, message = 'Benchmark snapshot', parent = null } = {}) {
+  return withTemporaryIndex(projectPath, async (env) => {
+    await git(projectPath, ['add', '-A', '.'], env);
+    const tree = await git(projectPath, ['write-tree'], env);
+
+    const parentCommit = parent || await git(projectPath, ['rev-parse', '--verify', '--quiet', 'HEAD']).catch(() => null);
+    const commitArgs = ['commit-tree', tree, '-m', message];
+    if (parentCommit) {
+      commitArgs.push('-p', parentCommit);
+    }
+    const commit = await git(projectPath, commitArgs, {
+      GIT_AUTHOR_NAME: 'benchmark-runner',
+      GIT_AUTHOR_EMAIL: 'benchmark-runner@localhost',
+      GIT_COMMITTER_NAME: 'benchmark-runner',
+      GIT_COMMITTER_EMAIL: 'benchmark-runner@localhost'
+    });
+
+    if (ref) {
+      await git(projectPath, ['update-ref', ref, commit]);
+    }
+
+    return { ref, commit, tree };
+  });
+}
+
+// Switches the working tree to a snapshot while fn() runs, then puts back the
+// state it found. Used to score intermediate stages of a session in place.
+async function withSnapshot(projectPath, snapshot, fn) {
+  const current = await snapshotWorkspace(projectPath, { message: 'Benchmark snapshot (restore point)' });
+
+  return withTemporaryIndex(projectPath, async (env) => {
+    await git(projectPath, ['read-tree', current.tree], env);
+    await git(projectPath, ['read-tree', '--reset', '-u', snapshot], env);
+
+    try {
+      return await fn();
+    } finally {
+      await git(projectPath, ['read-tree', '--reset', '-u', current.tree], env);
+    }
+  });
+}
+
+module.exports = {
+  git,
+  excludeFromGit,
+  withTemporaryIndex,
+  snapshotWorkspace,
+  withSnapshot
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { git, excludeFromGit, snapshotWorkspace, withSnapshot } = require('./snapshots');
+
+async function createRepo(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-snapshots-'));
+  await git(dir, ['init', '--quiet']);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(dir, file), content);
+  }
+  await git(dir, ['add', '-A']);
+  await git(dir, ['commit', '--quiet', '-m', 'Initial'], {
+    GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@localhost', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@localhost'
+  });
+  return dir;
+}
+
+test('snapshotWorkspace records untracked files without touching the index', async (t) => {
+  const dir = await createRepo({ 'a.txt': 'one\n' });
+  t.after(() => fs.remove(dir));
+  await fs.writeFile(path.join(dir, 'b.txt'), 'two\n');
+
+  const snapshot = await snapshotWorkspace(dir, { ref: 'refs/benchmark/stage-1' });
+
+  assert.strictEqual(await git(dir, ['rev-parse', 'refs/benchmark/stage-1']), snapshot.commit);
+  assert.strictEqual(await git(dir, ['show', `${snapshot.commit}:b.txt`]), 'two');
+  assert.strictEqual(await git(dir, ['status', '--porcelain']), '?? b.txt');
+});
+
+test('withSnapshot checks a snapshot out and puts the working tree back', async (t) => {
+  const dir = await createRepo({ 'a.txt': 'one\n' });
+  t.after(() => fs.remove(dir));
+  await fs.writeFile(path.join(dir, 'a.txt'), 'stage one\n');
+  const stage = await snapshotWorkspace(dir);
+  await fs.writeFile(path.join(dir, 'a.txt'), 'final\n');
+
+  const seen = await withSnapshot(dir, stage.commit, () => fs.readFile(path.join(dir, 'a.txt'), 'utf8'));
+
+  assert.strictEqual(seen, 'stage one\n');
+  assert.strictEqual(await fs.readFile(path.join(dir, 'a.txt'), 'utf8'), 'final\n');
+});
+
+test('excludeFromGit keeps paths out of snapshots and adds each pattern once', async (t) => {
+  const dir = await createRepo({ 'a.txt': 'one\n' });
+  t.after(() => fs.remove(dir));
+  await fs.outputFile(path.join(dir, 'node_modules', 'dep', 'index.js'), 'module.exports = 1;\n');
+
+  await excludeFromGit(dir, ['node_modules/']);
+  await excludeFromGit(dir, ['node_modules/']);
+  const snapshot = await snapshotWorkspace(dir);
+
+  const exclude = await fs.readFile(path.join(dir, '.git', 'info', 'exclude'), 'utf8');
+  assert.strictEqual(exclude.split('\n').filter(line => line === 'node_modules/').length, 1);
+  assert.strictEqual(await git(dir, ['ls-tree', '-r', '--name-only', snapshot.commit]), 'a.txt');
+});
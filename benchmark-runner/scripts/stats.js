@@ -0,0 +1,230 @@
+// Descriptive and inferential statistics used to aggregate repeated trials
+// and compare instruction configurations.
+
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+// Sample standard deviation (n - 1); 0 for fewer than two values
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+function summarize(values) {
+  return {
+    n: values.length,
+    mean: mean(values),
+    median: median(values),
+    stdDev: stdDev(values),
+    min: values.length > 0 ? Math.min(...values) : 0,
+    max: values.length > 0 ? Math.max(...values) : 0
+  };
+}
+
+// Small seeded PRNG (mulberry32) so bootstrap intervals are reproducible
+function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Percentile bootstrap confidence interval for the mean
+function bootstrapCI(values, { confidence = 0.95, iterations = 2000, seed = 42 } = {}) {
+  if (values.length === 0) {
+    return { lower: 0, upper: 0, confidence };
+  }
+  if (values.length === 1) {
+    return { lower: values[0], upper: values[0], confidence };
+  }
+
+  const random = createRandom(seed);
+  const means = [];
+  for (let i = 0; i < iterations; i++) {
+    let sum = 0;
+    for (let j = 0; j < values.length; j++) {
+      sum += values[Math.floor(random() * values.length)];
+    }
+    means.push(sum / values.length);
+  }
+  means.sort((a, b) => a - b);
+
+  const tail = (1 - confidence) / 2;
+  return {
+    lower: quantile(means, tail),
+    upper: quantile(means, 1 - tail),
+    confidence
+  };
+}
+
+// Abramowitz-Stegun approximation of the standard normal CDF
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tailArea = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tailArea : tailArea;
+}
+
+// Midranks of the pooled samples (ties share the average rank)
+function rankPooled(a, b) {
+  const pooled = [
+    ...a.map(value => ({ value, group: 0 })),
+    ...b.map(value => ({ value, group: 1 }))
+  ].sort((x, y) => x.value - y.value);
+
+  const tieGroups = [];
+  for (let i = 0; i < pooled.length;) {
+    let j = i;
+    while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) pooled[k].rank = rank;
+    tieGroups.push(j - i + 1);
+    i = j + 1;
+  }
+
+  return { pooled, tieGroups };
+}
+
+// Samples up to this combined size get the exact permutation distribution of
+// U; beyond it the tie-corrected normal approximation is close enough
+const EXACT_MAX_N = 30;
+
+// Exact two-sided p-value from the permutation distribution of the rank sum
+// of the first sample: every way of drawing n1 of the pooled midranks is
+// equally likely under the null, ties included. Ranks are doubled so that
+// midranks (multiples of 0.5) become integer array indices.
+function exactMannWhitneyP(pooled, n1) {
+  const ranks = pooled.map(item => item.rank * 2);
+  const maxSum = ranks.reduce((sum, rank) => sum + rank, 0);
+  // counts[k][s]: subsets of k of the ranks seen so far whose sum is s
+  const counts = Array.from({ length: n1 + 1 }, () => new Array(maxSum + 1).fill(0));
+  counts[0][0] = 1;
+  ranks.forEach((rank, index) => {
+    for (let k = Math.min(index + 1, n1); k >= 1; k--) {
+      for (let s = maxSum - rank; s >= 0; s--) {
+        if (counts[k - 1][s] > 0) counts[k][s + rank] += counts[k - 1][s];
+      }
+    }
+  });
+
+  const observed = pooled.filter(item => item.group === 0).reduce((sum, item) => sum + item.rank * 2, 0);
+  const center = n1 * (pooled.length + 1);
+  const distance = Math.abs(observed - center);
+  let total = 0;
+  let extreme = 0;
+  counts[n1].forEach((count, sum) => {
+    total += count;
+    if (Math.abs(sum - center) >= distance) extreme += count;
+  });
+  return Math.min(1, extreme / total);
+}
+
+// Two-sided Mann-Whitney U test. Uses the exact permutation distribution
+// (with ties) for small samples, otherwise the tie-corrected normal
+// approximation.
+function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (n1 === 0 || n2 === 0) {
+    return { u: 0, pValue: 1, method: 'none' };
+  }
+
+  const { pooled, tieGroups } = rankPooled(a, b);
+  const rankSumA = pooled.filter(item => item.group === 0).reduce((sum, item) => sum + item.rank, 0);
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+
+  if (n1 + n2 <= EXACT_MAX_N) {
+    return { u, pValue: exactMannWhitneyP(pooled, n1), method: 'exact' };
+  }
+
+  const n = n1 + n2;
+  const tieCorrection = tieGroups.reduce((sum, t) => sum + (t ** 3 - t), 0) / (n * (n - 1));
+  const variance = (n1 * n2 / 12) * ((n + 1) - tieCorrection);
+  if (variance === 0) {
+    return { u, pValue: 1, method: 'normal' };
+  }
+
+  const meanU = (n1 * n2) / 2;
+  const continuity = u === meanU ? 0 : 0.5 * Math.sign(u - meanU);
+  const z = (u - meanU - continuity) / Math.sqrt(variance);
+  return { u, z, pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))), method: 'normal' };
+}
+
+// Cliff's delta: P(a > b) - P(a < b), ranging from -1 to 1
+function cliffsDelta(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  let greater = 0;
+  let less = 0;
+  a.forEach(x => b.forEach(y => {
+    if (x > y) greater++;
+    else if (x < y) less++;
+  }));
+  return (greater - less) / (a.length * b.length);
+}
+
+// Romano et al. thresholds for Cliff's delta
+function cliffsDeltaMagnitude(delta) {
+  const size = Math.abs(delta);
+  if (size < 0.147) return 'negligible';
+  if (size < 0.33) return 'small';
+  if (size < 0.474) return 'medium';
+  return 'large';
+}
+
+// Cohen's d with pooled sample standard deviation
+function cohensD(a, b) {
+  if (a.length < 2 || b.length < 2) return 0;
+  const pooledVariance = ((a.length - 1) * stdDev(a) ** 2 + (b.length - 1) * stdDev(b) ** 2) / (a.length + b.length - 2);
+  if (pooledVariance === 0) return 0;
+  return (mean(a) - mean(b)) / Math.sqrt(pooledVariance);
+}
+
+// Holm-Bonferroni step-down adjustment, returned in the input order
+function holmAdjust(pValues) {
+  const order = pValues.map((p, index) => ({ p, index })).sort((x, y) => x.p - y.p);
+  const adjusted = new Array(pValues.length);
+  let running = 0;
+  order.forEach(({ p, index }, rank) => {
+    running = Math.max(running, Math.min(1, p * (pValues.length - rank)));
+    adjusted[index] = running;
+  });
+  return adjusted;
+}
+
+module.exports = {
+  mean,
+  median,
+  stdDev,
+  summarize,
+  bootstrapCI,
+  mannWhitneyU,
+  cliffsDelta,
+  cliffsDeltaMagnitude,
+  cohensD,
+  holmAdjust
+};
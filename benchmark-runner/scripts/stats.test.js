@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const stats = require('./stats');
+
+test('summarize describes a sample', () => {
+  assert.deepStrictEqual(stats.summarize([4, 1, 3, 2]), { n: 4, mean: 2.5, median: 2.5, stdDev: Math.sqrt(5 / 3), min: 1, max: 4 });
+  assert.strictEqual(stats.median([3, 1, 2]), 2);
+});
+
+test('summarize of an empty sample is all zeros', () => {
+  assert.deepStrictEqual(stats.summarize([]), { n: 0, mean: 0, median: 0, stdDev: 0, min: 0, max: 0 });
+  assert.strictEqual(stats.stdDev([5]), 0);
+});
+
+test('mannWhitneyU gives exact p-values for small samples without ties', () => {
+  // Complete separation of 3 vs 3: 2 of the 20 arrangements are as extreme
+  const separated = stats.mannWhitneyU([1, 2, 3], [4, 5, 6]);
+  assert.strictEqual(separated.method, 'exact');
+  assert.strictEqual(separated.u, 0);
+  assert.strictEqual(separated.pValue, 0.1);
+
+  // 4 vs 4 with U = 1: P(U <= 1) = 2/70 on each side
+  const nearly = stats.mannWhitneyU([1, 2, 3, 5], [4, 6, 7, 8]);
+  assert.strictEqual(nearly.u, 1);
+  assert.ok(Math.abs(nearly.pValue - 4 / 70) < 1e-12);
+
+  assert.strictEqual(stats.mannWhitneyU([1, 4], [2, 3]).pValue, 1);
+});
+
+test('mannWhitneyU stays exact for small samples with ties', () => {
+  // Ranks 2, 2, 2, 5, 5, 5: only the two complete splits are as extreme
+  const tied = stats.mannWhitneyU([0.5, 0.5, 0.5], [0.6, 0.6, 0.6]);
+  assert.strictEqual(tied.method, 'exact');
+  assert.strictEqual(tied.pValue, 0.1);
+
+  // Midranks 1.5, 1.5, 3, 4.5, 4.5, 6: rank sums of 6 or 15 out of 20 subsets
+  const partial = stats.mannWhitneyU([1, 1, 2], [3, 3, 4]);
+  assert.strictEqual(partial.pValue, 0.1);
+
+  const allTied = stats.mannWhitneyU([0.7, 0.7], [0.7, 0.7, 0.7]);
+  assert.strictEqual(allTied.pValue, 1);
+});
+
+test('mannWhitneyU falls back to the normal approximation for large samples', () => {
+  const a = Array.from({ length: 20 }, (_, index) => index % 5);
+  const b = Array.from({ length: 20 }, (_, index) => (index % 5) + 2);
+  const result = stats.mannWhitneyU(a, b);
+
+  assert.strictEqual(result.method, 'normal');
+  assert.ok(result.z < 0);
+  assert.ok(result.pValue < 0.01);
+  assert.strictEqual(stats.mannWhitneyU(new Array(16).fill(1), new Array(16).fill(1)).pValue, 1);
+  assert.deepStrictEqual(stats.mannWhitneyU([], [1]), { u: 0, pValue: 1, method: 'none' });
+});
+
+test('holmAdjust steps down through the sorted p-values and keeps the input order', () => {
+  const adjusted = stats.holmAdjust([0.04, 0.01, 0.03]);
+  // Sorted: 0.01 * 3, max(0.03, 0.03 * 2), max(0.06, 0.04 * 1)
+  [0.06, 0.03, 0.06].forEach((expected, index) => assert.ok(Math.abs(adjusted[index] - expected) < 1e-12));
+
+  assert.deepStrictEqual(stats.holmAdjust([0.5, 0.9]), [1, 1]);
+  assert.deepStrictEqual(stats.holmAdjust([]), []);
+});
+
+test('effect sizes compare two samples', () => {
+  assert.strictEqual(stats.cliffsDelta([3, 4], [1, 2]), 1);
+  assert.strictEqual(stats.cliffsDelta([1, 2], [2, 3]), -0.75);
+  assert.strictEqual(stats.cliffsDeltaMagnitude(-0.75), 'large');
+  assert.strictEqual(stats.cliffsDeltaMagnitude(0.1), 'negligible');
+  assert.strictEqual(stats.cohensD([1, 2, 3], [2, 3, 4]), -1);
+  assert.strictEqual(stats.cohensD([1, 1], [1, 1]), 0);
+});
+
+test('bootstrapCI is reproducible and brackets the mean', () => {
+  const values = [0.2, 0.4, 0.5, 0.7, 0.9];
+  const interval = stats.bootstrapCI(values);
+
+  assert.deepStrictEqual(stats.bootstrapCI(values), interval);
+  assert.ok(interval.lower < stats.mean(values) && stats.mean(values) < interval.upper);
+  assert.deepStrictEqual(stats.bootstrapCI([0.3]), { lower: 0.3, upper: 0.3, confidence: 0.95 });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { createRuleValidator } = require('./rules');
+const { resolveCategory, resolveScoringModel } = require('./scoring');
+
+// Task packs keep what a benchmark asks for together with how the answer is
+// scored, so the prompt and the validators cannot drift apart:
+//
+// tasks/<taskId>/
+//   task.json      manifest (name, template, prompt or prompts, rules, validators, scoring, scope, hiddenTests)
+//   prompt.md      prompt sent to the agent
+//   validators.js  optional scored checks written in JavaScript, for what the
+//                  declarative `rules` of task.json (scripts/rules.js) cannot express
+//   hidden-tests/  optional acceptance tests the agent never sees
+//
+// A scenario picks its task with `task`, falling back to settings.task and
+// then todo-app, which is what runs without task packs were scored against.
+
+const TASKS_PATH = path.join(__dirname, '../tasks');
+const TEMPLATES_PATH = path.join(__dirname, '../templates');
+const DEFAULT_TASK = 'todo-app';
+
+const loadedTasks = new Map();
+
+function resolveTaskId(config, scenario) {
+  return scenario?.task || config.settings?.task || DEFAULT_TASK;
+}
+
+// Checks the fields every validator shares, whether it came from a rule or
+// validators.js, and fills in their defaults
+function normalizeValidator(taskId, name, validator) {
+  if (typeof validator.check !== 'function') {
+    throw new Error(`Validator ${name} of task ${taskId} has no check function`);
+  }
+  // The category is checked against the task's scoring model once it is resolved
+  const category = resolveCategory(validator.category);
+  const weight = validator.weight ?? 1;
+  if (typeof weight !== 'number' || !(weight > 0)) {
+    throw new Error(`Validator ${name} of task ${taskId} has invalid weight ${JSON.stringify(weight)} (expected a positive number)`);
+  }
+
+  const description = validator.description || name;
+  return {
+    name,
+    description,
+    category,
+    weight,
+    strength: validator.strength || description,
+    weakness: validator.weakness || `Missing: ${description}`,
+    check: validator.check
+  };
+}
+
+// validators.js exports { <name>: { description, category, weight, strength, weakness, check } }
+// where check(projectPath, { task, templatePath }) returns (a promise of) a boolean
+function loadValidators(taskId, validatorsFile) {
+  if (!fs.existsSync(validatorsFile)) {
+    throw new Error(`Task ${taskId} has no validators file ${path.basename(validatorsFile)}`);
+  }
+
+  return Object.entries(require(validatorsFile))
+    .map(([name, validator]) => normalizeValidator(taskId, name, validator));
+}
+
+// The task's rules followed by its validators.js checks; names must be unique
+// since validation results are keyed by them
+function loadTaskValidators(taskId, taskDir, manifest) {
+  const rules = (manifest.rules || [])
+    .map(rule => createRuleValidator(rule, taskId))
+    .map(validator => normalizeValidator(taskId, validator.name, validator));
+
+  const validatorsFile = path.join(taskDir, manifest.validators || 'validators.js');
+  const scripted = manifest.validators || fs.existsSync(validatorsFile)
+    ? loadValidators(taskId, validatorsFile)
+    : [];
+
+  const validators = [...rules, ...scripted];
+  if (validators.length === 0) {
+    throw new Error(`Task ${taskId} defines neither rules nor validators`);
+  }
+  const seen = new Set();
+  validators.forEach(({ name }) => {
+    if (seen.has(name)) {
+      throw new Error(`Task ${taskId} defines the check ${name} more than once`);
+    }
+    seen.add(name);
+  });
+  return validators;
+}
+
+function loadTask(taskId) {
+  if (loadedTasks.has(taskId)) return loadedTasks.get(taskId);
+
+  const taskDir = path.join(TASKS_PATH, taskId);
+  const manifestFile = path.join(taskDir, 'task.json');
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`Task ${taskId} not found (expected ${path.relative(process.cwd(), manifestFile)})`);
+  }
+  const manifest = fs.readJsonSync(manifestFile);
+  if (manifest.id && manifest.id !== taskId) {
+    throw new Error(`Task manifest ${path.relative(process.cwd(), manifestFile)} declares id "${manifest.id}"; it must match its directory`);
+  }
+
+  const promptFiles = manifest.prompts || (manifest.prompt ? [manifest.prompt] : []);
+  if (promptFiles.length === 0) {
+    throw new Error(`Task ${taskId} defines neither prompt nor prompts`);
+  }
+  const prompts = promptFiles.map(file => {
+    const promptFile = path.join(taskDir, file);
+    if (!fs.existsSync(promptFile)) {
+      throw new Error(`Prompt ${file} of task ${taskId} not found`);
+    }
+    return fs.readFileSync(promptFile, 'utf8');
+  });
+
+  const templatePath = path.join(TEMPLATES_PATH, manifest.template || 'react-app');
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template ${manifest.template} of task ${taskId} not found in ${TEMPLATES_PATH}`);
+  }
+
+  const hiddenTestsPath = manifest.hiddenTests ? path.join(taskDir, manifest.hiddenTests) : null;
+  if (hiddenTestsPath && !fs.existsSync(hiddenTestsPath)) {
+    throw new Error(`Hidden tests ${manifest.hiddenTests} of task ${taskId} not found`);
+  }
+
+  // Globs of the files a session may change; changes elsewhere are flagged
+  // by scripts/integrity.js
+  const scope = manifest.scope || null;
+  if (scope && (!Array.isArray(scope) || !scope.every(glob => typeof glob === 'string'))) {
+    throw new Error(`Scope of task ${taskId} must be a list of globs`);
+  }
+
+  const validators = loadTaskValidators(taskId, taskDir, manifest);
+  const task = {
+    id: taskId,
+    name: manifest.name || taskId,
+    description: manifest.description || '',
+    dir: taskDir,
+    prompts,
+    templatePath,
+    validators,
+    scoring: resolveScoringModel(taskId, manifest.scoring, validators),
+    scope,
+    hiddenTestsPath
+  };
+  loadedTasks.set(taskId, task);
+  return task;
+}
+
+function getScenarioTask(config, scenario) {
+  return loadTask(resolveTaskId(config, scenario));
+}
+
+function listTasks() {
+  if (!fs.existsSync(TASKS_PATH)) return [];
+  return fs.readdirSync(TASKS_PATH)
+    .filter(entry => fs.existsSync(path.join(TASKS_PATH, entry, 'task.json')))
+    .sort();
+}
+
+module.exports = {
+  TASKS_PATH,
+  DEFAULT_TASK,
+  resolveTaskId,
+  loadTask,
+  getScenarioTask,
+  listTasks
+};
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_TASK, resolveTaskId, loadTask, listTasks } = require('./tasks');
+
+test('resolveTaskId prefers the scenario, then settings, then the default task', () => {
+  assert.strictEqual(resolveTaskId({ settings: { task: 'b' } }, { task: 'a' }), 'a');
+  assert.strictEqual(resolveTaskId({ settings: { task: 'b' } }, {}), 'b');
+  assert.strictEqual(resolveTaskId({}, {}), DEFAULT_TASK);
+});
+
+test('every bundled task pack loads with prompts and uniquely named validators', () => {
+  const taskIds = listTasks();
+  assert.ok(taskIds.includes(DEFAULT_TASK));
+
+  taskIds.forEach(taskId => {
+    const task = loadTask(taskId);
+    assert.strictEqual(task.id, taskId);
+    assert.ok(task.prompts.length > 0 && task.prompts.every(prompt => prompt.trim() !== ''));
+    assert.strictEqual(new Set(task.validators.map(validator => validator.name)).size, task.validators.length);
+    assert.strictEqual(loadTask(taskId), task);
+  });
+});
+
+test('loadTask names a missing task', () => {
+  assert.throws(() => loadTask('no-such-task'), /Task no-such-task not found/);
+});
@@ -0,0 +1,197 @@
+const fs = require('fs-extra');
+
+// Parses an agent's line-delimited stream-json output (the Claude Code
+// `--output-format stream-json` event shape) into a normalized transcript of
+// init, turn, tool_call, tool_result, result and error entries, written to a
+// JSONL file as events arrive.
+class TranscriptParser {
+  constructor(transcriptFile) {
+    this.stream = transcriptFile ? fs.createWriteStream(transcriptFile) : null;
+    this.pending = '';
+    this.entries = [];
+    this.turns = 0;
+    this.toolCalls = {};
+    this.toolErrors = 0;
+    this.errors = [];
+    this.result = null;
+    this.agentSessionId = null;
+  }
+
+  // Feed raw stdout; returns the entries completed by this chunk
+  feed(chunk) {
+    this.pending += chunk;
+    const lines = this.pending.split('\n');
+    this.pending = lines.pop();
+    return lines.flatMap(line => this.parseLine(line));
+  }
+
+  end() {
+    const entries = this.pending ? this.parseLine(this.pending) : [];
+    this.pending = '';
+    if (this.stream) {
+      this.stream.end();
+    }
+    return entries;
+  }
+
+  parseLine(line) {
+    if (!line.trim()) return [];
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      return this.record([{ type: 'output', text: line }]);
+    }
+
+    return this.record(this.normalize(event));
+  }
+
+  normalize(event) {
+    const content = Array.isArray(event.message?.content) ? event.message.content : [];
+
+    switch (event.type) {
+      case 'system':
+        if (event.session_id) this.agentSessionId = event.session_id;
+        return [{ type: 'init', subtype: event.subtype, sessionId: event.session_id, model: event.model, tools: event.tools }];
+
+      case 'assistant': {
+        this.turns++;
+        const entries = [];
+        const text = content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+        entries.push({ type: 'turn', index: this.turns, text });
+
+        content.filter(part => part.type === 'tool_use').forEach(part => {
+          this.toolCalls[part.name] = (this.toolCalls[part.name] || 0) + 1;
+          entries.push({ type: 'tool_call', turn: this.turns, id: part.id, name: part.name, input: part.input });
+        });
+        return entries;
+      }
+
+      case 'user':
+        return content.filter(part => part.type === 'tool_result').map(part => {
+          if (part.is_error) this.toolErrors++;
+          return {
+            type: 'tool_result',
+            turn: this.turns,
+            toolUseId: part.tool_use_id,
+            isError: Boolean(part.is_error),
+            content: summarizeContent(part.content)
+          };
+        });
+
+      case 'result': {
+        if (event.session_id) this.agentSessionId = event.session_id;
+        const entry = {
+          type: 'result',
+          subtype: event.subtype,
+          isError: Boolean(event.is_error),
+          numTurns: event.num_turns,
+          durationMs: event.duration_ms,
+          result: event.result,
+          usage: normalizeUsage(event)
+        };
+        this.result = entry;
+        if (entry.isError || (event.subtype && event.subtype !== 'success')) {
+          this.errors.push(`Result ${event.subtype || 'error'}${event.result ? `: ${event.result}` : ''}`);
+        }
+        return [entry];
+      }
+
+      case 'error': {
+        const message = event.error?.message || event.message || 'Unknown error';
+        this.errors.push(message);
+        return [{ type: 'error', message }];
+      }
+
+      default:
+        return [{ type: 'event', eventType: event.type, subtype: event.subtype }];
+    }
+  }
+
+  record(entries) {
+    entries.forEach(entry => {
+      const stamped = { timestamp: new Date().toISOString(), ...entry };
+      this.entries.push(stamped);
+      if (this.stream) {
+        this.stream.write(JSON.stringify(stamped) + '\n');
+      }
+    });
+    return entries;
+  }
+
+  // A stream-json session completed when it produced a successful result event
+  succeeded() {
+    return Boolean(this.result) && !this.result.isError && (this.result.subtype || 'success') === 'success';
+  }
+
+  summary() {
+    return {
+      turns: this.result?.numTurns ?? this.turns,
+      toolCalls: { ...this.toolCalls },
+      toolCallCount: Object.values(this.toolCalls).reduce((sum, count) => sum + count, 0),
+      toolErrors: this.toolErrors,
+      errors: [...this.errors],
+      hasResult: Boolean(this.result),
+      usage: this.result?.usage || null,
+      agentSessionId: this.agentSessionId
+    };
+  }
+}
+
+// Token counts and reported cost from a result event, or null when absent
+function normalizeUsage(event) {
+  const usage = event.usage;
+  const costUsd = event.total_cost_usd ?? event.cost_usd;
+  if (!usage && costUsd === undefined) return null;
+
+  const inputTokens = usage?.input_tokens || 0;
+  const outputTokens = usage?.output_tokens || 0;
+  const cacheCreationTokens = usage?.cache_creation_input_tokens || 0;
+  const cacheReadTokens = usage?.cache_read_input_tokens || 0;
+
+  return {
+    inputTokens,
+    outputTokens,
+    cacheCreationTokens,
+    cacheReadTokens,
+    totalTokens: inputTokens + outputTokens + cacheCreationTokens + cacheReadTokens,
+    costUsd: costUsd || 0
+  };
+}
+
+function summarizeContent(content, limit = 500) {
+  const text = Array.isArray(content)
+    ? content.map(part => part.text || '').join('\n')
+    : String(content ?? '');
+  return text.length > limit ? `${text.slice(0, limit)}…` : text;
+}
+
+// One-line rendering of a transcript entry for console output
+function describeEntry(entry) {
+  switch (entry.type) {
+    case 'init':
+      return `⚙️  Session started${entry.model ? ` (${entry.model})` : ''}`;
+    case 'turn':
+      return entry.text ? `💬 ${entry.text.split('\n')[0].slice(0, 160)}` : null;
+    case 'tool_call': {
+      const target = entry.input?.file_path || entry.input?.command || entry.input?.pattern || '';
+      return `🔧 ${entry.name}${target ? ` ${String(target).slice(0, 120)}` : ''}`;
+    }
+    case 'tool_result':
+      return entry.isError ? `⚠️  Tool error: ${entry.content.split('\n')[0].slice(0, 160)}` : null;
+    case 'result':
+      return `🏁 Result: ${entry.subtype || 'done'}${entry.numTurns !== undefined ? ` after ${entry.numTurns} turns` : ''}${entry.usage ? ` ($${entry.usage.costUsd.toFixed(4)}, ${entry.usage.totalTokens} tokens)` : ''}`;
+    case 'error':
+      return `❌ ${entry.message}`;
+    case 'output':
+      return entry.text;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  TranscriptParser,
+  describeEntry
+};
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TranscriptParser, describeEntry } = require('./transcript');
+
+const EVENTS = [
+  { type: 'system', subtype: 'init', session_id: 'abc', model: 'model-x', tools: ['Edit'] },
+  {
+    type: 'assistant',
+    message: {
+      content: [
+        { type: 'text', text: 'Editing the app' },
+        { type: 'tool_use', id: 't1', name: 'Edit', input: { file_path: 'src/App.js' } },
+        { type: 'tool_use', id: 't2', name: 'Bash', input: { command: 'npm test' } }
+      ]
+    }
+  },
+  {
+    type: 'user',
+    message: {
+      content: [
+        { type: 'tool_result', tool_use_id: 't1', content: 'ok' },
+        { type: 'tool_result', tool_use_id: 't2', is_error: true, content: [{ type: 'text', text: 'tests failed' }] }
+      ]
+    }
+  },
+  { type: 'result', subtype: 'success', num_turns: 3, duration_ms: 1200, result: 'Task completed', session_id: 'abc' }
+];
+
+function stream(events) {
+  return events.map(event => JSON.stringify(event)).join('\n') + '\n';
+}
+
+test('TranscriptParser normalizes stream-json events split across chunks', () => {
+  const parser = new TranscriptParser();
+  const text = stream(EVENTS);
+  const entries = [...parser.feed(text.slice(0, 50)), ...parser.feed(text.slice(50)), ...parser.end()];
+
+  assert.deepStrictEqual(entries.map(entry => entry.type), ['init', 'turn', 'tool_call', 'tool_call', 'tool_result', 'tool_result', 'result']);
+  assert.strictEqual(entries[5].content, 'tests failed');
+  assert.ok(parser.succeeded());
+  assert.deepStrictEqual(parser.summary(), {
+    turns: 3,
+    toolCalls: { Edit: 1, Bash: 1 },
+    toolCallCount: 2,
+    toolErrors: 1,
+    errors: [],
+    hasResult: true,
+    usage: null,
+    agentSessionId: 'abc'
+  });
+});
+
+test('TranscriptParser keeps plain output lines and records errors', () => {
+  const parser = new TranscriptParser();
+  parser.feed('not json\n');
+  parser.feed(stream([{ type: 'error', error: { message: 'Overloaded' } }]));
+  parser.feed(JSON.stringify({ type: 'result', subtype: 'error_max_turns', is_error: true }));
+  parser.end();
+
+  assert.deepStrictEqual(parser.entries[0].text, 'not json');
+  assert.strictEqual(parser.succeeded(), false);
+  assert.deepStrictEqual(parser.summary().errors, ['Overloaded', 'Result error_max_turns']);
+});
+
+test('describeEntry renders tool calls and hides successful tool results', () => {
+  assert.strictEqual(describeEntry({ type: 'tool_call', name: 'Bash', input: { command: 'npm test' } }), '🔧 Bash npm test');
+  assert.strictEqual(describeEntry({ type: 'tool_result', isError: false, content: 'ok' }), null);
+  assert.strictEqual(describeEntry({ type: 'result', subtype: 'success', numTurns: 2 }), '🏁 Result: success after 2 turns');
+});
+
+test('TranscriptParser reports token usage and cost of the result event', () => {
+  const parser = new TranscriptParser();
+  parser.feed(stream([{
+    type: 'result',
+    subtype: 'success',
+    total_cost_usd: 0.25,
+    usage: { input_tokens: 100, output_tokens: 40, cache_creation_input_tokens: 10, cache_read_input_tokens: 5 }
+  }]));
+
+  assert.deepStrictEqual(parser.summary().usage, {
+    inputTokens: 100,
+    outputTokens: 40,
+    cacheCreationTokens: 10,
+    cacheReadTokens: 5,
+    totalTokens: 155,
+    costUsd: 0.25
+  });
+  assert.strictEqual(describeEntry(parser.result), '🏁 Result: success ($0.2500, 155 tokens)');
+});
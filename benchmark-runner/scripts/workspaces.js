@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { git, excludeFromGit } = require('./snapshots');
+const { DEPENDENCY_EXCLUDES, installDependencies } = require('./dependencies');
+const { ARTIFACT_EXCLUDES } = require('./diff');
+
+// Setup prepares one base sample per scenario (samples/<scenarioId>: template,
+// instruction files, installed dependencies, initial commit). Every session
+// then runs in its own clone of that base under workspaces/<runName>/, so
+// trials and runs never share a working tree.
+
+const SAMPLES_PATH = path.join(__dirname, '../samples');
+const WORKSPACES_PATH = path.join(__dirname, '../workspaces');
+
+function getBasePath(scenarioId) {
+  return path.join(SAMPLES_PATH, scenarioId);
+}
+
+function getRunWorkspacesPath(runName) {
+  return path.join(WORKSPACES_PATH, runName);
+}
+
+function getWorkspacePath(runName, sessionId) {
+  return path.join(getRunWorkspacesPath(runName), sessionId);
+}
+
+// Fresh clone of a prepared base. --local hard-links the object store, so
+// only the sources are checked out. node_modules is not committed; the clone
+// gets its own hard links from the dependency cache, like the base did (a
+// base without node_modules gives a clone without). The origin remote is
+// dropped so nothing an agent does can reach the base.
+async function createWorkspace(basePath, workspacePath) {
+  if (!fs.existsSync(basePath)) {
+    throw new Error(`Prepared sample ${path.basename(basePath)} not found in ${SAMPLES_PATH}. Run setup.js first.`);
+  }
+
+  await fs.remove(workspacePath);
+  await fs.ensureDir(path.dirname(workspacePath));
+  await git(path.dirname(workspacePath), ['clone', '--quiet', '--local', basePath, path.basename(workspacePath)]);
+  await git(workspacePath, ['remote', 'remove', 'origin']);
+  await excludeFromGit(workspacePath, [...DEPENDENCY_EXCLUDES, ...ARTIFACT_EXCLUDES]);
+
+  if (fs.existsSync(path.join(basePath, 'node_modules'))) {
+    await installDependencies(workspacePath, { offline: true });
+  }
+
+  return workspacePath;
+}
+
+async function removeRunWorkspaces(runName) {
+  const runWorkspaces = getRunWorkspacesPath(runName);
+  if (!fs.existsSync(runWorkspaces)) return false;
+
+  await fs.remove(runWorkspaces);
+  return true;
+}
+
+module.exports = {
+  SAMPLES_PATH,
+  WORKSPACES_PATH,
+  getBasePath,
+  getWorkspacePath,
+  createWorkspace,
+  removeRunWorkspaces
+};
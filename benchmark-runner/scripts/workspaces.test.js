@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { git } = require('./snapshots');
+const { createWorkspace } = require('./workspaces');
+
+test('createWorkspace clones the base without its remote and excludes node_modules', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'benchmark-workspaces-'));
+  t.after(() => fs.remove(dir));
+  const basePath = path.join(dir, 'base');
+  await fs.outputFile(path.join(basePath, 'src', 'App.js'), 'module.exports = {};\n');
+  await git(basePath, ['init', '--quiet']);
+  await git(basePath, ['add', '-A']);
+  await git(basePath, ['commit', '--quiet', '-m', 'Initial'], {
+    GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@localhost', GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@localhost'
+  });
+
+  const workspacePath = await createWorkspace(basePath, path.join(dir, 'run', 'session-1'));
+
+  assert.strictEqual(await fs.readFile(path.join(workspacePath, 'src', 'App.js'), 'utf8'), 'module.exports = {};\n');
+  assert.strictEqual(await git(workspacePath, ['remote']), '');
+  assert.match(await fs.readFile(path.join(workspacePath, '.git', 'info', 'exclude'), 'utf8'), /^node_modules\/$/m);
+  // The base has no installed dependencies, so neither does the clone
+  assert.strictEqual(fs.existsSync(path.join(workspacePath, 'node_modules')), false);
+});
+
+test('createWorkspace refuses a base that was never prepared', async () => {
+  await assert.rejects(createWorkspace(path.join(os.tmpdir(), 'benchmark-missing-base'), path.join(os.tmpdir(), 'unused')), /Run setup.js first/);
+});
@@ -0,0 +1,39 @@
+const { createStorage, renderApp } = require('./helpers/render-app');
+
+// Acceptance tests of the name-greeting task. They render the app as it is
+// first shown, with the stored name (if any) coming from localStorage.
+
+describe('Personalized name greeting', () => {
+  test('renders a text input for the name', () => {
+    const { html } = renderApp();
+    expect(html).toMatch(/<input\b/);
+  });
+
+  test('shows the default greeting with the count when no name is stored', () => {
+    const { text } = renderApp(createStorage({ name: null }));
+    expect(text).toMatch(/Hello there,? your count is:? 0/i);
+  });
+
+  test('greets a stored name together with the count', () => {
+    const { text } = renderApp(createStorage({ name: 'Ada' }));
+    expect(text).toMatch(/Hello,? Ada\b.*your count is:? 0/i);
+  });
+
+  test('reads the name from localStorage on load', () => {
+    const storage = createStorage({ name: 'Ada' });
+    renderApp(storage);
+    expect(storage.getItem).toHaveBeenCalled();
+  });
+
+  test('still renders the default greeting when localStorage is unavailable', () => {
+    const { text } = renderApp(createStorage({ failing: true }));
+    expect(text).toMatch(/Hello there,? your count is:? 0/i);
+  });
+
+  test('keeps the counter controls', () => {
+    const { text } = renderApp();
+    expect(text).toMatch(/Increment/);
+    expect(text).toMatch(/Decrement/);
+    expect(text).toMatch(/Reset/);
+  });
+});
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+// The react-app template has no JSX or ES module transform, so the acceptance
+// tests compile the app themselves with the workspace's @babel/core: JSX
+// becomes React.createElement calls, import/export becomes CommonJS and style
+// imports are dropped. The app is then rendered with react-dom/server.
+
+const projectPath = process.env.BENCHMARK_PROJECT_PATH || process.cwd();
+const projectRequire = Module.createRequire(path.join(projectPath, 'package.json'));
+const babel = projectRequire('@babel/core');
+const React = projectRequire('react');
+const { renderToString } = projectRequire('react-dom/server');
+
+const SOURCE_EXTENSIONS = ['', '.js', '.jsx', '/index.js', '/index.jsx'];
+const IGNORED_IMPORT = /\.(css|scss|sass|less|svg|png|jpe?g|gif)$/;
+
+// Whitespace rules of JSX text: lines are trimmed and blank lines dropped
+function cleanJsxText(value) {
+  const lines = value.split(/\r\n|\n|\r/);
+  if (lines.length === 1) return value;
+
+  return lines
+    .map((line, index) => {
+      let text = line.replace(/\t/g, ' ');
+      if (index !== 0) text = text.replace(/^ +/, '');
+      if (index !== lines.length - 1) text = text.replace(/ +$/, '');
+      return text;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+function jsxPlugin({ types: t }) {
+  const createElement = () => t.memberExpression(t.identifier('React'), t.identifier('createElement'));
+
+  const toTag = (name, nested = false) => {
+    if (t.isJSXIdentifier(name)) {
+      return !nested && /^[a-z]/.test(name.name) ? t.stringLiteral(name.name) : t.identifier(name.name);
+    }
+    if (t.isJSXMemberExpression(name)) {
+      return t.memberExpression(toTag(name.object, true), t.identifier(name.property.name));
+    }
+    return t.stringLiteral(`${name.namespace.name}:${name.name.name}`);
+  };
+
+  const toProps = (attributes) => {
+    if (attributes.length === 0) return t.nullLiteral();
+    return t.objectExpression(attributes.map(attribute => {
+      if (t.isJSXSpreadAttribute(attribute)) return t.spreadElement(attribute.argument);
+
+      const name = t.isJSXNamespacedName(attribute.name)
+        ? `${attribute.name.namespace.name}:${attribute.name.name.name}`
+        : attribute.name.name;
+      let value = attribute.value;
+      if (value === null) value = t.booleanLiteral(true);
+      else if (t.isJSXExpressionContainer(value)) value = value.expression;
+      return t.objectProperty(t.stringLiteral(name), value);
+    }));
+  };
+
+  const toChildren = (children) => children
+    .map(child => {
+      if (t.isJSXText(child)) {
+        const text = cleanJsxText(child.value);
+        return text ? t.stringLiteral(text) : null;
+      }
+      if (t.isJSXExpressionContainer(child)) {
+        return t.isJSXEmptyExpression(child.expression) ? null : child.expression;
+      }
+      if (t.isJSXSpreadChild(child)) return t.spreadElement(child.expression);
+      return child;
+    })
+    .filter(Boolean);
+
+  return {
+    visitor: {
+      Program: {
+        exit(programPath) {
+          if (!programPath.scope.hasBinding('React')) {
+            programPath.unshiftContainer('body', t.variableDeclaration('const', [
+              t.variableDeclarator(t.identifier('React'), t.callExpression(t.identifier('require'), [t.stringLiteral('react')]))
+            ]));
+          }
+        }
+      },
+      JSXElement: {
+        exit(elementPath) {
+          const opening = elementPath.node.openingElement;
+          elementPath.replaceWith(t.callExpression(createElement(), [
+            toTag(opening.name),
+            toProps(opening.attributes),
+            ...toChildren(elementPath.node.children)
+          ]));
+        }
+      },
+      JSXFragment: {
+        exit(fragmentPath) {
+          fragmentPath.replaceWith(t.callExpression(createElement(), [
+            t.memberExpression(t.identifier('React'), t.identifier('Fragment')),
+            t.nullLiteral(),
+            ...toChildren(fragmentPath.node.children)
+          ]));
+        }
+      }
+    }
+  };
+}
+
+function modulesPlugin({ types: t }) {
+  const requireCall = source => t.callExpression(t.identifier('require'), [t.stringLiteral(source)]);
+  const exportsMember = name => t.memberExpression(t.identifier('exports'), t.identifier(name));
+  const assignExport = (name, value) => t.expressionStatement(t.assignmentExpression('=', exportsMember(name), value));
+  const declaredNames = declaration => (t.isVariableDeclaration(declaration)
+    ? declaration.declarations.map(declarator => declarator.id.name)
+    : [declaration.id.name]);
+
+  return {
+    visitor: {
+      ImportDeclaration(importPath) {
+        const source = importPath.node.source.value;
+        if (IGNORED_IMPORT.test(source)) {
+          importPath.remove();
+          return;
+        }
+
+        const moduleId = importPath.scope.generateUidIdentifier('module');
+        const declarators = [t.variableDeclarator(moduleId, requireCall(source))];
+        importPath.node.specifiers.forEach(specifier => {
+          let value;
+          if (t.isImportDefaultSpecifier(specifier)) {
+            value = t.conditionalExpression(
+              t.logicalExpression('&&', moduleId, t.memberExpression(moduleId, t.identifier('__esModule'))),
+              t.memberExpression(moduleId, t.identifier('default')),
+              moduleId
+            );
+          } else if (t.isImportNamespaceSpecifier(specifier)) {
+            value = moduleId;
+          } else {
+            value = t.memberExpression(moduleId, t.identifier(specifier.imported.name || specifier.imported.value));
+          }
+          declarators.push(t.variableDeclarator(specifier.local, value));
+        });
+        importPath.replaceWith(t.variableDeclaration('const', declarators));
+      },
+
+      ExportDefaultDeclaration(exportPath) {
+        const declaration = exportPath.node.declaration;
+        if ((t.isFunctionDeclaration(declaration) || t.isClassDeclaration(declaration)) && declaration.id) {
+          exportPath.replaceWithMultiple([declaration, assignExport('default', declaration.id)]);
+        } else {
+          exportPath.replaceWith(assignExport('default', t.isDeclaration(declaration) ? t.toExpression(declaration) : declaration));
+        }
+      },
+
+      ExportNamedDeclaration(exportPath) {
+        const { declaration, specifiers, source } = exportPath.node;
+        if (declaration) {
+          exportPath.replaceWithMultiple([
+            declaration,
+            ...declaredNames(declaration).map(name => assignExport(name, t.identifier(name)))
+          ]);
+          return;
+        }
+
+        exportPath.replaceWithMultiple(specifiers.map(specifier => {
+          const local = source
+            ? t.memberExpression(requireCall(source.value), t.identifier(specifier.local.name))
+            : specifier.local;
+          return assignExport(specifier.exported.name, local);
+        }));
+      },
+
+      ExportAllDeclaration(exportPath) {
+        exportPath.replaceWith(t.expressionStatement(t.callExpression(
+          t.memberExpression(t.identifier('Object'), t.identifier('assign')),
+          [t.identifier('exports'), requireCall(exportPath.node.source.value)]
+        )));
+      }
+    }
+  };
+}
+
+function resolveSource(fromDir, request) {
+  for (const extension of SOURCE_EXTENSIONS) {
+    const candidate = path.resolve(fromDir, request + extension);
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+  }
+  throw new Error(`Cannot resolve ${request} from ${path.relative(projectPath, fromDir) || '.'}`);
+}
+
+// Loads a source file of the app (and the app files it imports) compiled to
+// CommonJS; packages come from the workspace's node_modules
+function loadSource(file, cache = new Map()) {
+  if (cache.has(file)) return cache.get(file).exports;
+
+  const { code } = babel.transformSync(fs.readFileSync(file, 'utf8'), {
+    filename: file,
+    babelrc: false,
+    configFile: false,
+    parserOpts: { plugins: ['jsx'] },
+    plugins: [jsxPlugin, modulesPlugin]
+  });
+
+  const module = { exports: {} };
+  cache.set(file, module);
+  const localRequire = request => (request.startsWith('.')
+    ? loadSource(resolveSource(path.dirname(file), request), cache)
+    : projectRequire(request));
+
+  new Function('require', 'module', 'exports', '__filename', '__dirname', code)(
+    localRequire, module, module.exports, file, path.dirname(file)
+  );
+  return module.exports;
+}
+
+function installStorage(storage) {
+  const createdWindow = typeof window === 'undefined';
+  if (createdWindow) {
+    global.window = {};
+  }
+  Object.defineProperty(global.window, 'localStorage', { value: storage, configurable: true, writable: true });
+  Object.defineProperty(global, 'localStorage', { value: storage, configurable: true, writable: true });
+
+  return () => {
+    delete global.localStorage;
+    if (createdWindow) {
+      delete global.window;
+    }
+  };
+}
+
+// In-memory localStorage whose getItem returns `name` for every key, so the
+// test does not depend on the key the app stores the name under
+function createStorage({ name = null, failing = false } = {}) {
+  const items = new Map();
+  const guard = () => {
+    if (failing) throw new Error('localStorage is unavailable');
+  };
+  return {
+    getItem: jest.fn(key => {
+      guard();
+      return items.has(key) ? items.get(key) : name;
+    }),
+    setItem: jest.fn((key, value) => {
+      guard();
+      items.set(key, String(value));
+    }),
+    removeItem: jest.fn(key => {
+      guard();
+      items.delete(key);
+    }),
+    clear: jest.fn(() => items.clear())
+  };
+}
+
+// Renders src/App.js with the given localStorage; returns the markup and its
+// visible text with whitespace collapsed
+function renderApp(storage = createStorage()) {
+  const restore = installStorage(storage);
+  try {
+    const exported = loadSource(resolveSource(path.join(projectPath, 'src'), './App'));
+    const App = exported.default || exported;
+    const html = renderToString(React.createElement(App));
+    const text = html
+      .replace(/<!-- -->/g, '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&#x27;|&#39;/g, "'")
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return { html, text };
+  } finally {
+    restore();
+  }
+}
+
+module.exports = {
+  createStorage,
+  renderApp
+};